@@ -4,6 +4,39 @@ const EventEmitter =require('events')
 
 const TEST_ID = 'test-id'
 
+// API description of the device, which is advertised in profile
+const OPENAPI = {
+  openapi: '3.0.0',
+  paths: {
+    '/api/temperature/{sensor}': {
+      parameters: [ { name: 'sensor', in: 'path', required: true, schema: { type: 'string' } } ],
+      get: {
+        operationId: 'getTemperature',
+        parameters: [ { name: 'unit', in: 'query', schema: { type: 'string', enum: [ 'c', 'f' ] } } ]
+      }
+    },
+    '/api/target': {
+      put: {
+        operationId: 'setTarget',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Target' } } }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Target: {
+        type: 'object',
+        required: [ 'value' ],
+        properties: { value: { type: 'number', minimum: 0, maximum: 100 } },
+        additionalProperties: false
+      }
+    }
+  }
+}
+
 class Call extends EventEmitter {
   constructor(parent) {
     super(parent)
@@ -32,10 +65,19 @@ class Conn extends EventEmitter {
       method: 'get',
       body: {
         uuid: 'test-uuid',
-        ssg_peerid: 'SSG_test-other-id'
+        ssg_peerid: 'SSG_test-other-id',
+        capabilities: ['subscribe'],
+        openapi: '/openapi.json'
       }
     })
     this.data = ''
+    this.frozen = false
+    this.sent = []
+    this.uploads = {}
+    this.requestCounts = {}
+    this.pushTimers = {}
+    this.cancelled = []
+    this.notifications = []
     this.createData()
 
     setTimeout( ev => {
@@ -51,8 +93,16 @@ class Conn extends EventEmitter {
     this.data = [this.preamble, this.body].join("")
   }
 
+  close() {
+    this.emit('close')
+  }
+
   send(str) {
+    if(this.frozen) return
+    this.sent.push(str)
+    if(typeof(str) !== 'string') return // binary framed data
     if(str.indexOf("SSG:") === 0) {
+      if(str.indexOf('SSG:keepalive,') === 0) this.emit('data', Buffer.from(`SSG:keepalive/ack,${str.split(',')[2]}`))
       if(str === 'SSG:profile/get') this.emit('data', Buffer.from(this.data))
       if(str.indexOf('SSG:stream/start') === 0) {
         const call = new Call()
@@ -61,6 +111,163 @@ class Conn extends EventEmitter {
       if(str === 'SSG:stream/stop') { /*noop*/ }
     } else {
       const req = JSON.parse(str)
+      if( Array.isArray(req.payload) || req.payload.jsonrpc === '2.0' ) {
+        // JSON-RPC 2.0. 'add' sums params, 'fail' responds error of params.code, 'slow' never responds
+        // and 'invalid' responds error without id
+        const batch = Array.isArray(req.payload)
+        const responses = (batch ? req.payload : [ req.payload ]).map(call => {
+          if( call.id === undefined ) {
+            this.notifications.push(call)
+            return null
+          }
+          switch( call.method ) {
+          case 'add':
+            return { jsonrpc: '2.0', id: call.id, result: call.params.reduce((sum, n) => sum + n, 0) }
+          case 'fail':
+            return { jsonrpc: '2.0', id: call.id, error: { code: call.params.code, message: 'failed', data: call.params.data } }
+          case 'slow':
+            return null
+          case 'invalid':
+            return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } }
+          default:
+            return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: 'Method not found' } }
+          }
+        }).filter(res => res !== null)
+
+        if( responses.length === 0 ) return
+        // responses of batch are returned in reversed order, since order is not guaranteed
+        const payload = batch ? responses.reverse() : responses[0]
+        setTimeout(ev => this.emit('data', Buffer.from(JSON.stringify({ topic: req.topic, payload }))), 10)
+        return
+      }
+      if( typeof(req.payload.path) !== 'string' ) return // published message
+      if( req.payload.cancel ) {
+        // stop pushing frames of the stream
+        const { transaction_id } = req.payload
+        ;(this.pushTimers[transaction_id] || []).forEach(timer => clearTimeout(timer))
+        delete this.pushTimers[transaction_id]
+        delete this.uploads[transaction_id]
+        this.cancelled.push(transaction_id)
+        return
+      }
+      if( req.payload.push && req.payload.path.indexOf("/push/") === 0 ) {
+        // push n frames of `frame-<idx>` every 20ms, then the end frame without body
+        // query.reverse: reversed order, query.chunked: body of each frame in chunks of 3 characters
+        const { transaction_id, method } = req.payload
+        const query = req.payload.query || {}
+        const n = parseInt(req.payload.path.slice(6), 10)
+
+        let payloads = Array.from({ length: n + 1 }, (_, idx) => idx < n ?
+          { status: 200, transaction_id, method, push: true, idx, body: `frame-${idx}` } :
+          { status: 200, transaction_id, method, push: true, idx, end: true })
+        if( query.chunked ) {
+          payloads = payloads.reduce((arr, payload) => {
+            if( payload.body === undefined ) return arr.concat([ payload ])
+
+            const chunks = payload.body.match(/.{1,3}/g)
+            return arr.concat(chunks.map((chunk, chunk_idx) => Object.assign({}, payload, {
+              body: undefined, chunked: true, chunk_len: chunks.length, chunk_idx, chunk
+            })))
+          }, [])
+        }
+        if( query.reverse ) payloads.reverse()
+
+        this.pushTimers[transaction_id] = payloads.map((payload, i) => setTimeout(ev => {
+          this.emit('data', Buffer.from(JSON.stringify({ topic: req.topic, payload })))
+        }, 20 * (i + 1)))
+        return
+      }
+      if( req.payload.path === '/upload' ) {
+        // reassemble chunked request body, then respond it
+        const { transaction_id, chunked, chunk_len, idx, chunk } = req.payload
+        if( chunked ) {
+          this.uploads[transaction_id] = this.uploads[transaction_id] || []
+          this.uploads[transaction_id][idx] = chunk
+          if( this.uploads[transaction_id].filter(c => c !== undefined).length < chunk_len ) return
+        }
+        const body = chunked ? this.uploads[transaction_id].join('') :
+          (typeof(req.payload.body) === 'string' ? req.payload.body : JSON.stringify(req.payload.body))
+        const ret = { topic: req.topic, payload: { status: 200, transaction_id, method: req.payload.method, body } }
+
+        this.emit('data', Buffer.from(JSON.stringify(ret)))
+        return
+      }
+      if( req.payload.path.indexOf("/chunked/") === 0 ) {
+        // respond echo in chunks of 2 characters, one by one
+        // query.reverse: reversed order, query.drop: drop chunk of the idx,
+        // query.duplicate: send every chunk twice, query.bogus: idx of last chunk is out of range
+        const { transaction_id, method } = req.payload
+        const query = req.payload.query || {}
+        const text = req.payload.path.slice(9)
+        let chunks = text.match(/.{1,2}/g).map((chunk, idx) => ({ chunk, idx }))
+        const chunk_len = chunks.length
+        if( query.reverse ) chunks.reverse()
+        if( query.bogus ) chunks[chunk_len - 1].idx = chunk_len
+        if( query.drop !== undefined ) chunks = chunks.filter(c => c.idx !== query.drop)
+        if( query.duplicate ) chunks = chunks.reduce((arr, c) => arr.concat([c, c]), [])
+
+        chunks.forEach(({ chunk, idx }, i) => {
+          setTimeout(ev => {
+            const ret = { topic: req.topic, payload: {
+              status: 200, transaction_id, method, chunked: true, chunk_len, idx, chunk
+            } }
+            this.emit('data', Buffer.from(JSON.stringify(ret)))
+          }, 20 * (i + 1))
+        })
+        return
+      }
+      if( req.payload.path.indexOf("/flaky/") === 0 ) {
+        // respond 503 for first n requests of the path, then 200
+        const path = req.payload.path
+        const count = this.requestCounts[path] = (this.requestCounts[path] || 0) + 1
+        const ret = { topic: req.topic, payload: {
+          status: count > parseInt(path.slice(7), 10) ? 200 : 503,
+          transaction_id: req.payload.transaction_id, method: req.payload.method, body: String(count)
+        } }
+
+        this.emit('data', Buffer.from(JSON.stringify(ret)))
+        return
+      }
+      if( req.payload.path.indexOf("/cached/") === 0 ) {
+        // respond with ETag of the path and Cache-Control of query.cc. 304 when If-None-Match matches
+        const path = req.payload.path
+        const etag = `"${path.slice(8)}"`
+        const query = req.payload.query || {}
+        const headers = req.payload.headers || {}
+        const count = this.requestCounts[path] = (this.requestCounts[path] || 0) + 1
+        const notModified = headers['if-none-match'] === etag
+        const ret = { topic: req.topic, payload: {
+          status: notModified ? 304 : 200,
+          transaction_id: req.payload.transaction_id, method: req.payload.method,
+          headers: Object.assign({ ETag: etag }, query.cc ? { 'Cache-Control': query.cc } : {}),
+          body: notModified ? '' : `body-${count}`
+        } }
+
+        this.emit('data', Buffer.from(JSON.stringify(ret)))
+        return
+      }
+      if( req.payload.path === '/openapi.json' || req.payload.path.indexOf("/api/") === 0 ) {
+        // respond API description, or echo request of API as JSON
+        const { transaction_id, method, path, query, body } = req.payload
+        const ret = { topic: req.topic, payload: {
+          status: 200, transaction_id, method,
+          body: JSON.stringify(path === '/openapi.json' ? OPENAPI : { method, path, query, body })
+        } }
+
+        this.emit('data', Buffer.from(JSON.stringify(ret)))
+        return
+      }
+      if( req.payload.path.indexOf("/status/") === 0 ) {
+        // respond status of the path without body
+        const status = parseInt(req.payload.path.slice(8), 10)
+        const ret = { topic: req.topic, payload: {
+          status, transaction_id: req.payload.transaction_id, method: req.payload.method,
+          headers: { 'X-Status': String(status) }
+        } }
+
+        this.emit('data', Buffer.from(JSON.stringify(ret)))
+        return
+      }
       if( req.payload.path.indexOf("/echo/") === 0 ) {
         const ret =
         { topic: req.topic,
@@ -91,6 +298,9 @@ class Socket extends EventEmitter {
     case 'ROOM_JOIN':
       this.emit('ROOM_USER_JOIN', { src: TEST_ID, roomName: data.roomName })
       break;
+    case 'ROOM_LEAVE':
+      this.emit('ROOM_USER_LEAVE', { src: TEST_ID, roomName: data.roomName })
+      break;
     case 'ROOM_GET_USERS':
       this.emit('ROOM_USERS', { roomName: data.roomName, userList: ['SSG_test-other-id']})
       break;
@@ -116,6 +326,13 @@ class SkyWay extends EventEmitter {
 
     return conn
   }
+  destroy() {
+    if(this.destroyed) return
+    // like skyway-js, signaling link is disconnected before destroyed
+    this.emit('disconnected', this.myid)
+    this.destroyed = true
+    this.emit('close')
+  }
   call() {
     const call = new Call();
     setTimeout( ev => {
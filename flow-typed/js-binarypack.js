@@ -0,0 +1,3 @@
+declare module 'js-binarypack' {
+  declare module.exports: any;
+}
@@ -1,11 +1,22 @@
 // @flow
 
+import BinaryPack from 'js-binarypack'
+
+import topicFilter from './topicFilter'
+import util from './util'
+
 class Device {
   uuid: string // uuid of this device
   profile: Object // profile data
   connection: Object // SkyWay connection object of this device
   peerid: string // peerid of this device
   callobj: Object|null // SkyWay call object of this device
+  lastSeen: number|null // timestamp when we received data from this device lastly
+  latency: number|null // round trip latency of keepalive in milli seconds
+  missed: number // number of keepalives missed in a row
+  awaiting: boolean // whether we are waiting for reply of keepalive
+  stale: boolean // whether this device is considered as stale
+  api: Object|null // DeviceApi generated from API description of this device (see SiRuClient#discover)
 
   /**
    * @params {string} uuid
@@ -25,6 +36,12 @@ class Device {
     this.connection = connection
     this.peerid = peerid
     this.callobj = null
+    this.lastSeen = null
+    this.latency = null
+    this.missed = 0
+    this.awaiting = false
+    this.stale = false
+    this.api = null
   }
 
   /**
@@ -44,6 +61,92 @@ class Device {
   unsetCallObj(): void {
     this.callobj = null
   }
+
+  /**
+   * publish message only to this device.
+   * binary data is packed by js-binarypack, when this device advertises 'binary' capability.
+   *
+   * @param {string} topic
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} data
+   *
+   * @example
+   * device.publish('robot/command', {action: 'stop'})
+   */
+  publish(topic: string, data: string|Object): void {
+    topicFilter.validateTopic(topic)
+    if( typeof(data) !== 'string' && typeof(data) !== 'object' ) throw new Error("data should be string or object")
+
+    if( util.isBinary(data) ) {
+      if( !this.hasCapability('binary') ) throw new Error(`device ${this.uuid} does not support binary payload`)
+
+      this.connection.send(BinaryPack.pack({ topic, payload: data }))
+    } else {
+      this.connection.send(JSON.stringify({ topic, payload: data }))
+    }
+  }
+
+  /**
+   * check whether this device advertises capability in its profile.
+   * (e.g. profile.capabilities = ['subscribe'])
+   *
+   * @param {string} name - name of capability
+   * @returns {boolean}
+   */
+  hasCapability(name: string): boolean {
+    const capabilities = this.profile.capabilities
+
+    return Array.isArray(capabilities) && capabilities.indexOf(name) !== -1
+  }
+
+  /**
+   * mark keepalive is sent. when previous one is not answered yet,
+   * count it as missed.
+   *
+   * @returns {number} number of keepalives missed in a row
+   */
+  beat(): number {
+    if(this.awaiting) this.missed++
+    this.awaiting = true
+
+    return this.missed
+  }
+
+  /**
+   * mark this device is alive
+   *
+   * @param {number} [sentAt] - timestamp of answered keepalive, to measure latency
+   * @returns {boolean} true, when this device was stale
+   */
+  alive(sentAt: ?number): boolean {
+    const wasStale = this.stale
+
+    const now = Date.now()
+
+    this.lastSeen = now
+    if(typeof(sentAt) === 'number') this.latency = now - sentAt
+    this.missed = 0
+    this.awaiting = false
+    this.stale = false
+
+    return wasStale
+  }
+
+  /**
+   * mark this device as stale
+   */
+  markStale(): void {
+    this.stale = true
+  }
+
+  /**
+   * close MediaConnection and DataChannel connection of this device
+   */
+  close(): void {
+    if(this.callobj) this.callobj.close()
+    this.unsetCallObj()
+
+    if(typeof(this.connection.close) === 'function') this.connection.close()
+  }
 }
 
 export default Device
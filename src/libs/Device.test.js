@@ -71,3 +71,151 @@ describe('setCallObj and unsetCallObj test', () => {
   })
 })
 
+
+describe('publish() test', () => {
+  let device, connection
+
+  beforeEach(() => {
+    connection = { send: jest.fn() }
+    device = new Device({
+      uuid: 'test-uuid',
+      profile: {},
+      connection,
+      peerid: 'test-peerid'
+    })
+  })
+
+  afterEach(() => {
+    device = null
+  })
+
+  test('publish() sends serialized message to connection', () => {
+    device.publish('test/topic', {str: 'hello'})
+    expect(connection.send).toHaveBeenCalledWith(JSON.stringify({topic: 'test/topic', payload: {str: 'hello'}}))
+  })
+
+  test('publish() sends binary data packed by js-binarypack, when device supports binary', () => {
+    device.profile.capabilities = ['binary']
+    device.publish('test/topic', new Uint8Array([1, 2, 3]))
+
+    expect(connection.send.mock.calls[0][0]).toBeInstanceOf(Blob)
+  })
+
+  test('publish() throws Error, when device does not support binary', () => {
+    expect(() => device.publish('test/topic', new Uint8Array([1, 2, 3]))).toThrow()
+    expect(connection.send).not.toHaveBeenCalled()
+  })
+
+  test('publish() throws Error, when topic or data is wrong', () => {
+    expect(() => device.publish(0, 'hello')).toThrow()
+    expect(() => device.publish('test/+', 'hello')).toThrow()
+    expect(() => device.publish('test', 0)).toThrow()
+    expect(connection.send).not.toHaveBeenCalled()
+  })
+})
+
+describe('hasCapability() test', () => {
+  test('it returns true, when capability is advertised in profile', () => {
+    const device = new Device({
+      uuid: 'test-uuid',
+      profile: { capabilities: ['subscribe'] },
+      connection: {},
+      peerid: 'test-peerid'
+    })
+
+    expect(device.hasCapability('subscribe')).toBe(true)
+    expect(device.hasCapability('binary')).toBe(false)
+  })
+
+  test('it returns false, when profile does not have capabilities', () => {
+    const device = new Device({
+      uuid: 'test-uuid',
+      profile: {},
+      connection: {},
+      peerid: 'test-peerid'
+    })
+
+    expect(device.hasCapability('subscribe')).toBe(false)
+  })
+})
+
+describe('liveness test', () => {
+  let device
+
+  beforeEach(() => {
+    device = new Device({
+      uuid: 'test-uuid',
+      profile: {},
+      connection: {},
+      peerid: 'test-peerid'
+    })
+  })
+
+  afterEach(() => {
+    device = null
+  })
+
+  test('lastSeen is null until alive() is called', () => {
+    expect(device.lastSeen).toBeNull()
+
+    const before = Date.now()
+    device.alive()
+    expect(device.lastSeen).toBeGreaterThanOrEqual(before)
+  })
+
+  test('beat() counts missed keepalives, when previous one is not answered', () => {
+    expect(device.beat()).toBe(0)
+    expect(device.beat()).toBe(1)
+    expect(device.beat()).toBe(2)
+  })
+
+  test('alive() resets missed count and measures latency', () => {
+    device.beat()
+    device.beat()
+    expect(device.alive(Date.now() - 10)).toBe(false)
+    expect(device.missed).toBe(0)
+    expect(device.latency).toBeGreaterThanOrEqual(10)
+  })
+
+  test('alive() returns true, when device was stale', () => {
+    device.markStale()
+    expect(device.stale).toBe(true)
+    expect(device.alive()).toBe(true)
+    expect(device.stale).toBe(false)
+    expect(device.latency).toBeNull()
+  })
+})
+
+describe('close() test', () => {
+  let device, connection, callobj
+
+  beforeEach(() => {
+    connection = { close: jest.fn() }
+    callobj = { close: jest.fn() }
+    device = new Device({
+      uuid: 'test-uuid',
+      profile: {},
+      connection,
+      peerid: 'test-peerid'
+    })
+  })
+
+  afterEach(() => {
+    device = null
+  })
+
+  test('close() closes connection and call object', () => {
+    device.setCallObj(callobj)
+    device.close()
+
+    expect(connection.close).toHaveBeenCalled()
+    expect(callobj.close).toHaveBeenCalled()
+    expect(device.callobj).toBeNull()
+  })
+
+  test('close() closes connection, when call object is not set', () => {
+    device.close()
+
+    expect(connection.close).toHaveBeenCalled()
+  })
+})
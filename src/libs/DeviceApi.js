@@ -0,0 +1,208 @@
+// @flow
+
+import util from './util'
+import jsonSchema from './jsonSchema'
+import { ValidationError } from './errors'
+
+/**
+ * Callable API of a device, which is generated from OpenAPI description (OpenAPI 3 or Swagger 2)
+ * advertised by the device. Every operation which has operationId is exposed as method.
+ * Parameters are validated with the description before request is sent.
+ * Operations whose operationId conflicts with members of DeviceApi are not exposed as method,
+ * but they are still available with call(). Their operationIds are listed in `skipped`.
+ * @class
+ *
+ * @param {object} document - OpenAPI description
+ * @param {function} request - `(method, path, options) => Promise`, which sends request to the device
+ *
+ * @example
+ * // GET /temperature/{sensor}?unit=c
+ * device.api.getTemperature({ sensor: 'cpu', unit: 'c' }).then(temperature => console.log(temperature))
+ *
+ * // request body is passed as `body`
+ * device.api.moveArm({ body: { x: 10, y: 20 } })
+ */
+class DeviceApi {
+  document: Object
+  operations: { [string]: Object }
+  skipped: Array<string>
+  _request: Function
+
+  constructor(document: Object, request: Function) {
+    if(document === null || typeof(document) !== 'object' || document.paths === null || typeof(document.paths) !== 'object') {
+      throw new Error('API description should have paths')
+    }
+    if(typeof(request) !== 'function') throw new Error('request should be function')
+
+    this.document = document
+    this._request = request
+    this.operations = DeviceApi.operationsOf(document)
+    this.skipped = []
+
+    Object.keys(this.operations).forEach(operationId => {
+      if(operationId in this) {
+        this.skipped.push(operationId)
+        return
+      }
+
+      (this: any)[operationId] = (args: ?Object, options: ?Object) => this.call(operationId, args, options)
+    })
+  }
+
+  /**
+   * call operation of the device
+   *
+   * @param {string} operationId
+   * @param {object} [args] - values of parameters, and request body as `body`
+   * @param {object} [options] - options of fetch(). `options.responseType` is available as well as get().
+   * @returns {Promise<any>} resolved with parsed body. When parameters are invalid, it is rejected
+   *   with ValidationError without sending request.
+   * @method DeviceApi#call
+   */
+  call(operationId: string, args: ?Object, options: ?Object): Promise<any> {
+    const operation = this.operations[operationId]
+    if(!operation) return Promise.reject(new Error(`unknown operation: ${operationId}`))
+
+    const _args = args || {}
+    const errors = this.validate(operationId, _args)
+    if(errors.length > 0) {
+      return Promise.reject(new ValidationError(`invalid parameters for ${operationId}: ${errors.join(', ')}`, errors))
+    }
+
+    const query = {}
+    const headers = {}
+    let path = operation.path
+
+    operation.parameters.forEach(param => {
+      const value = _args[param.name]
+      if(value === undefined) return
+
+      switch(param.in) {
+      case 'path':
+        path = path.split(`{${param.name}}`).join(encodeURIComponent(String(value)))
+        break
+      case 'query':
+        query[param.name] = value
+        break
+      case 'header':
+        headers[param.name] = String(value)
+        break
+      default:
+        break
+      }
+    })
+
+    const _options = options || {}
+
+    return this._request(operation.method.toUpperCase(), path, Object.assign({}, _options, {
+      query,
+      headers: Object.assign({}, _options.headers, headers),
+      body: _args.body === undefined ? null : _args.body
+    }))
+  }
+
+  /**
+   * validate arguments of operation
+   *
+   * @param {string} operationId
+   * @param {object} args - values of parameters, and request body as `body`
+   * @returns {Array<string>} error messages. It is empty, when args are valid.
+   * @method DeviceApi#validate
+   */
+  validate(operationId: string, args: Object): Array<string> {
+    const operation = this.operations[operationId]
+    if(!operation) throw new Error(`unknown operation: ${operationId}`)
+    if(args === null || typeof(args) !== 'object' || Array.isArray(args)) return [ 'arguments should be object' ]
+
+    const errors = []
+    const names = operation.parameters.map(param => param.name)
+
+    operation.parameters.forEach(param => {
+      const value = args[param.name]
+
+      if(value === undefined) {
+        if(param.required || param.in === 'path') errors.push(`${param.name} is required`)
+        return
+      }
+
+      // Swagger 2 describes schema of non-body parameter in itself
+      errors.push(...jsonSchema.validate(param.schema || param, value, this.document, param.name))
+    })
+
+    Object.keys(args)
+      .filter(key => key !== 'body' && names.indexOf(key) === -1 && args[key] !== undefined)
+      .forEach(key => errors.push(`${key} is not allowed`))
+
+    if(operation.body) {
+      if(args.body === undefined) {
+        if(operation.body.required) errors.push('body is required')
+      } else if(operation.body.schema) {
+        errors.push(...jsonSchema.validate(operation.body.schema, args.body, this.document, 'body'))
+      }
+    } else if(args.body !== undefined) {
+      errors.push('body is not allowed')
+    }
+
+    return errors
+  }
+
+  /**
+   * collect operations which have operationId in OpenAPI description
+   *
+   * @param {object} document - OpenAPI description
+   * @returns {object} map of operationId and `{method, path, parameters, body}`
+   * @method DeviceApi.operationsOf
+   */
+  static operationsOf(document: Object): { [string]: Object } {
+    const operations = {}
+    const __deref = obj => (obj && typeof(obj.$ref) === 'string') ? jsonSchema.resolve(document, obj.$ref) : obj
+
+    Object.keys(document.paths).forEach(path => {
+      const pathItem = __deref(document.paths[path]) || {}
+      const common = Array.isArray(pathItem.parameters) ? pathItem.parameters.map(__deref) : []
+
+      util.METHODS.map(method => method.toLowerCase()).forEach(method => {
+        const operation = pathItem[method]
+        if(!operation || typeof(operation.operationId) !== 'string') return
+
+        // parameters of operation override common ones of the path
+        const own = Array.isArray(operation.parameters) ? operation.parameters.map(__deref) : []
+        const parameters = common
+          .filter(param => !own.some(_param => _param.name === param.name && _param.in === param.in))
+          .concat(own)
+
+        operations[operation.operationId] = {
+          method,
+          path,
+          parameters: parameters.filter(param => ['path', 'query', 'header'].indexOf(param.in) !== -1),
+          body: DeviceApi._bodyOf(__deref(operation.requestBody), parameters)
+        }
+      })
+    })
+
+    return operations
+  }
+
+  /**
+   * get request body description of operation
+   *
+   * @param {object} [requestBody] - requestBody of OpenAPI 3
+   * @param {Array<object>} parameters - parameters which may include body parameter of Swagger 2
+   * @returns {object|null} `{required, schema}`
+   * @private
+   */
+  static _bodyOf(requestBody: ?Object, parameters: Array<Object>): Object|null {
+    if(requestBody && typeof(requestBody) === 'object') {
+      const content = requestBody.content || {}
+      const media = content['application/json'] || content[Object.keys(content)[0]] || {}
+
+      return { required: !!requestBody.required, schema: media.schema || null }
+    }
+
+    const param = parameters.find(_param => _param.in === 'body')
+
+    return param ? { required: !!param.required, schema: param.schema || null } : null
+  }
+}
+
+export default DeviceApi
@@ -0,0 +1,134 @@
+import DeviceApi from './DeviceApi'
+import { ValidationError } from './errors'
+
+describe('DeviceApi test', () => {
+  let api, requests
+
+  const document = {
+    openapi: '3.0.0',
+    paths: {
+      '/sensors/{id}': {
+        parameters: [ { $ref: '#/components/parameters/Id' } ],
+        get: {
+          operationId: 'getSensor',
+          parameters: [
+            { name: 'unit', in: 'query', schema: { type: 'string', enum: [ 'c', 'f' ] } },
+            { name: 'X-Trace', in: 'header', schema: { type: 'string' } }
+          ]
+        },
+        delete: {}
+      },
+      '/arm': {
+        post: {
+          operationId: 'moveArm',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Position' } } }
+          }
+        }
+      },
+      '/call': {
+        get: { operationId: 'call' }
+      }
+    },
+    components: {
+      parameters: {
+        Id: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+      },
+      schemas: {
+        Position: { type: 'object', required: [ 'x' ], properties: { x: { type: 'number' } } }
+      }
+    }
+  }
+
+  beforeEach(() => {
+    requests = []
+    api = new DeviceApi(document, (method, path, options) => {
+      requests.push({ method, path, options })
+      return Promise.resolve('ok')
+    })
+  })
+
+  test('it collects operations which have operationId', () => {
+    expect(Object.keys(api.operations).sort()).toEqual([ 'call', 'getSensor', 'moveArm' ])
+    expect(api.operations.getSensor.method).toBe('get')
+    expect(api.operations.getSensor.parameters.map(param => param.name)).toEqual([ 'id', 'unit', 'X-Trace' ])
+    expect(api.operations.moveArm.body.required).toBe(true)
+  })
+
+  test('it exposes operations as methods, except ones conflicting with DeviceApi', () => {
+    expect(typeof(api.getSensor)).toBe('function')
+    expect(typeof(api.moveArm)).toBe('function')
+    expect(api.call).toBe(DeviceApi.prototype.call)
+    expect(api.skipped).toEqual([ 'call' ])
+  })
+
+  test('it sends request with path, query and header parameters', () => {
+    return api.getSensor({ id: 3, unit: 'c', 'X-Trace': 'abc' }, { timeout: 100 })
+      .then(ret => {
+        expect(ret).toBe('ok')
+        expect(requests).toEqual([ {
+          method: 'GET',
+          path: '/sensors/3',
+          options: { timeout: 100, query: { unit: 'c' }, headers: { 'X-Trace': 'abc' }, body: null }
+        } ])
+      })
+  })
+
+  test('it sends request body', () => {
+    return api.moveArm({ body: { x: 1 } })
+      .then(() => {
+        expect(requests[0].method).toBe('POST')
+        expect(requests[0].options.body).toEqual({ x: 1 })
+      })
+  })
+
+  test('it rejects invalid parameters with ValidationError without sending request', () => {
+    return Promise.all([
+      api.getSensor({ id: 0, unit: 'k', extra: 1 }).catch(err => err),
+      api.getSensor().catch(err => err),
+      api.moveArm({ body: { y: 1 } }).catch(err => err),
+      api.moveArm({}).catch(err => err)
+    ]).then(([ err1, err2, err3, err4 ]) => {
+      expect(err1).toBeInstanceOf(ValidationError)
+      expect(err1.errors).toEqual([ 'id should be >= 1', 'unit should be one of "c", "f"', 'extra is not allowed' ])
+      expect(err1.message).toBe('invalid parameters for getSensor: id should be >= 1, unit should be one of "c", "f", extra is not allowed')
+      expect(err2.errors).toEqual([ 'id is required' ])
+      expect(err3.errors).toEqual([ 'body.x is required' ])
+      expect(err4.errors).toEqual([ 'body is required' ])
+      expect(requests.length).toBe(0)
+    })
+  })
+
+  test('it rejects unknown operation', () => {
+    return api.call('unknown')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('unknown operation: unknown'))
+  })
+
+  test('it supports body and non-body parameters of Swagger 2', () => {
+    const swagger = new DeviceApi({
+      swagger: '2.0',
+      paths: {
+        '/target': {
+          put: {
+            operationId: 'setTarget',
+            parameters: [
+              { name: 'force', in: 'query', type: 'boolean' },
+              { name: 'target', in: 'body', required: true, schema: { $ref: '#/definitions/Target' } }
+            ]
+          }
+        }
+      },
+      definitions: { Target: { type: 'number' } }
+    }, () => Promise.resolve())
+
+    expect(swagger.validate('setTarget', { force: 'yes', body: 'hot' }))
+      .toEqual([ 'force should be boolean', 'body should be number' ])
+    expect(swagger.validate('setTarget', { force: true, body: 20 })).toEqual([])
+  })
+
+  test('it raises error, when document does not have paths', () => {
+    expect(() => new DeviceApi({}, () => {})).toThrow('API description should have paths')
+  })
+})
@@ -92,6 +92,20 @@ class DeviceManager {
     })
   }
 
+  /**
+   * close connections of all devices, then remove them
+   *
+   */
+  closeAll(): Promise<any> {
+    return new Promise((resolv, reject) => {
+      const devices = this.devices
+      this.devices = []
+
+      devices.forEach(device => device.close())
+      resolv()
+    })
+  }
+
   /**
    * set call object
    *
@@ -172,6 +186,42 @@ class DeviceManager {
 
 
 
+  /**
+   * select devices.
+   * When `to` is not specified, all devices are selected.
+   *
+   * @param {string|Array<string>|function} [to] - uuid, array of uuid or predicate function which receives Device
+   * @returns {Array<Device>}
+   */
+  select(to: ?(string|Array<string>|Function)): Array<Device> {
+    if(to === undefined || to === null) return this.devices.slice()
+
+    if(typeof(to) === 'function') return this.devices.filter(to)
+
+    const uuids = typeof(to) === 'string' ? [to] : to
+    if(!Array.isArray(uuids)) throw new Error('select: target should be uuid, array of uuid or function')
+
+    return uuids.map(uuid => {
+      const device = this.getDevice(uuid)
+      if(!device) throw new Error(`select: unknown uuid ${uuid}`)
+
+      return device
+    })
+  }
+
+  /**
+   *
+   * @param {string} uuid
+   */
+  getDevice(uuid: string): Device | null {
+    let ret = null
+
+    this.devices.filter(device => device.uuid === uuid)
+      .forEach(device => ret = device)
+
+    return ret
+  }
+
   /**
    *
    * @param {string} uuid
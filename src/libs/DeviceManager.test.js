@@ -269,6 +269,28 @@ describe('unregister() test', () => {
   })
 })
 
+describe('closeAll() test', () => {
+  let conn
+
+  beforeEach(() => {
+    conn = new Conn()
+    conn.close = jest.fn()
+  })
+
+  afterEach(() => {
+    conn = null
+  })
+
+  it('will close connection and remove all devices', () => {
+    return deviceManager.register(conn)
+      .then(() => deviceManager.closeAll())
+      .then(() => {
+        expect(conn.close).toHaveBeenCalled()
+        expect(deviceManager.devices).toHaveLength(0)
+      })
+  })
+})
+
 describe('setCallObect(uuid, call) test', () =>{
   let conn, device
 
@@ -370,6 +392,37 @@ describe('utility methods test', () => {
     device = null
   })
 
+  test('select() returns all devices, when target is not specified', () => {
+    expect(deviceManager.select()).toHaveLength(1)
+  })
+
+  test('select() returns devices of uuid or array of uuid', () => {
+    expect(deviceManager.select('test-uuid')[0]).toBeInstanceOf(Device)
+    expect(deviceManager.select(['test-uuid'])).toHaveLength(1)
+  })
+
+  test('select() returns devices which match predicate', () => {
+    expect(deviceManager.select(device => device.peerid === 'ssg-peerid')).toHaveLength(1)
+    expect(deviceManager.select(device => false)).toHaveLength(0)
+  })
+
+  test('select() throws Error, when unknown uuid is specified', () => {
+    expect(() => deviceManager.select('unexist-uuid')).toThrow()
+    expect(() => deviceManager.select(['test-uuid', 'unexist-uuid'])).toThrow()
+  })
+
+  test('select() throws Error, when target is wrong type', () => {
+    expect(() => deviceManager.select(0)).toThrow()
+  })
+
+  test('getDevice() returns Device when uuid exists', () => {
+    expect(deviceManager.getDevice('test-uuid')).toBeInstanceOf(Device)
+  })
+
+  test('getDevice() returns null when uuid unexists', () => {
+    expect(deviceManager.getDevice('unexist-uuid')).toBeNull()
+  })
+
   test('getDataChannelConnection() returns connection instance when uuid exists', () => {
     expect(deviceManager.getDataChannelConnection('test-uuid')).toMatchObject(conn)
   })
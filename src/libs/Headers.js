@@ -0,0 +1,140 @@
+// @flow
+
+/**
+ * Headers class, which resembles WHATWG Fetch Headers.
+ * Names of headers are case insensitive.
+ * @class
+ *
+ * @param {Object|Array|Headers} [init] - object of name and value, array of [name, value] or Headers
+ *
+ * @example
+ * const headers = new Headers({'Content-Type': 'application/json'})
+ * headers.get('content-type') // => 'application/json'
+ */
+class Headers {
+  _map: { [string]: Array<string> }
+
+  constructor(init: any) {
+    this._map = {}
+
+    if( init instanceof Headers ) {
+      init.forEach((value, name) => this.append(name, value))
+    } else if( Array.isArray(init) ) {
+      init.forEach(pair => {
+        if( !Array.isArray(pair) || pair.length !== 2 ) throw new TypeError('each header should be pair of name and value')
+        this.append(pair[0], pair[1])
+      })
+    } else if( init !== null && typeof(init) === 'object' ) {
+      Object.keys(init).forEach(name => this.append(name, init[name]))
+    } else if( init !== null && init !== undefined ) {
+      throw new TypeError('headers should be object, array or Headers')
+    }
+  }
+
+  /**
+   * append value to header
+   *
+   * @param {string} name
+   * @param {string} value
+   * @method Headers#append
+   */
+  append(name: string, value: any): void {
+    const key = this._normalizeName(name)
+
+    this._map[key] = (this._map[key] || []).concat(String(value))
+  }
+
+  /**
+   * set value of header. Existing values are overwritten.
+   *
+   * @param {string} name
+   * @param {string} value
+   * @method Headers#set
+   */
+  set(name: string, value: any): void {
+    this._map[this._normalizeName(name)] = [String(value)]
+  }
+
+  /**
+   * get value of header. Multiple values are joined with ', '.
+   *
+   * @param {string} name
+   * @returns {string|null} null, when header does not exist
+   * @method Headers#get
+   */
+  get(name: string): string|null {
+    const values = this._map[this._normalizeName(name)]
+
+    return values ? values.join(', ') : null
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   * @method Headers#has
+   */
+  has(name: string): boolean {
+    return this._map.hasOwnProperty(this._normalizeName(name))
+  }
+
+  /**
+   * @param {string} name
+   * @method Headers#delete
+   */
+  delete(name: string): void {
+    delete this._map[this._normalizeName(name)]
+  }
+
+  /**
+   * call callback with (value, name, headers) for each header, sorted by name.
+   *
+   * @param {function} callback
+   * @method Headers#forEach
+   */
+  forEach(callback: Function): void {
+    this.keys().forEach(name => callback(this.get(name), name, this))
+  }
+
+  /**
+   * @returns {Array<string>} names of headers in lower case, sorted
+   * @method Headers#keys
+   */
+  keys(): Array<string> {
+    return Object.keys(this._map).sort()
+  }
+
+  /**
+   * @returns {Array<Array<string>>} pairs of [name, value]
+   * @method Headers#entries
+   */
+  entries(): Array<Array<any>> {
+    return this.keys().map(name => [name, this.get(name)])
+  }
+
+  /**
+   * @returns {Object} object of name and value, to be sent in envelope
+   * @method Headers#toJSON
+   */
+  toJSON(): Object {
+    const ret = {}
+
+    this.forEach((value, name) => { ret[name] = value })
+
+    return ret
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} name in lower case
+   * @private
+   */
+  _normalizeName(name: string): string {
+    if( typeof(name) !== 'string' || !/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name) ) {
+      throw new TypeError(`invalid header name: ${String(name)}`)
+    }
+
+    return name.toLowerCase()
+  }
+}
+
+export default Headers
@@ -0,0 +1,59 @@
+import Headers from './Headers'
+
+describe('Headers test', () => {
+  it('will be initialized with object', () => {
+    const headers = new Headers({'Content-Type': 'application/json'})
+
+    expect(headers.get('content-type')).toBe('application/json')
+    expect(headers.has('Content-Type')).toBe(true)
+  })
+
+  it('will be initialized with array of pairs', () => {
+    const headers = new Headers([['X-A', '1'], ['X-A', '2']])
+
+    expect(headers.get('x-a')).toBe('1, 2')
+  })
+
+  it('will be initialized with Headers', () => {
+    const headers = new Headers(new Headers({'X-A': 1}))
+
+    expect(headers.get('X-A')).toBe('1')
+  })
+
+  it('will throw, when init is wrong', () => {
+    expect(() => new Headers('hello')).toThrow(TypeError)
+    expect(() => new Headers([['X-A']])).toThrow(TypeError)
+  })
+
+  it('will throw, when name is invalid', () => {
+    const headers = new Headers()
+
+    expect(() => headers.set('bad name', 'value')).toThrow(TypeError)
+  })
+
+  it('will return null for unknown header', () => {
+    expect(new Headers().get('x-unknown')).toBe(null)
+  })
+
+  it('will overwrite with set() and remove with delete()', () => {
+    const headers = new Headers({'X-A': '1'})
+
+    headers.set('x-a', '2')
+    expect(headers.get('X-A')).toBe('2')
+
+    headers.delete('X-A')
+    expect(headers.has('x-a')).toBe(false)
+  })
+
+  it('will iterate headers sorted by name', () => {
+    const headers = new Headers({'X-B': '2', 'X-A': '1'})
+    const ret = []
+
+    headers.forEach((value, name) => ret.push([name, value]))
+
+    expect(ret).toEqual([['x-a', '1'], ['x-b', '2']])
+    expect(headers.keys()).toEqual(['x-a', 'x-b'])
+    expect(headers.entries()).toEqual(ret)
+    expect(headers.toJSON()).toEqual({'x-a': '1', 'x-b': '2'})
+  })
+})
@@ -0,0 +1,80 @@
+// @flow
+
+/**
+ * Manager of interceptors for SiRuClient#fetch, e.g. `client.interceptors.request`.
+ * Interceptors are applied in the order of registration.
+ * @class
+ */
+class InterceptorManager {
+  handlers: Array<{ fulfilled: ?Function, rejected: ?Function }|null>
+
+  constructor() {
+    this.handlers = []
+  }
+
+  /**
+   * add interceptor
+   *
+   * @param {function} [fulfilled] - called with request options (or Response). It should return
+   *   (Promise of) modified one.
+   * @param {function} [rejected] - called with error. It should return recovered value, or throw.
+   * @returns {number} id of interceptor, to be used with eject()
+   * @method InterceptorManager#use
+   *
+   * @example
+   * client.interceptors.request.use(req => {
+   *   req.headers = Object.assign({}, req.headers, { Authorization: `Bearer ${token}` })
+   *   return req
+   * })
+   */
+  use(fulfilled: ?Function, rejected: ?Function): number {
+    if( fulfilled != null && typeof(fulfilled) !== 'function' ) throw new Error('fulfilled should be function')
+    if( rejected != null && typeof(rejected) !== 'function' ) throw new Error('rejected should be function')
+
+    this.handlers.push({ fulfilled, rejected })
+
+    return this.handlers.length - 1
+  }
+
+  /**
+   * remove interceptor
+   *
+   * @param {number} id - id returned by use()
+   * @method InterceptorManager#eject
+   */
+  eject(id: number): void {
+    if( this.handlers[id] ) this.handlers[id] = null
+  }
+
+  /**
+   * remove all interceptors
+   *
+   * @method InterceptorManager#clear
+   */
+  clear(): void {
+    this.handlers = []
+  }
+
+  /**
+   * @returns {boolean} true, when no interceptor is registered
+   */
+  isEmpty(): boolean {
+    return this.handlers.every(handler => handler === null)
+  }
+
+  /**
+   * chain interceptors to promise
+   *
+   * @param {Promise} promise
+   * @returns {Promise}
+   */
+  apply(promise: Promise<any>): Promise<any> {
+    return this.handlers.reduce((prev, handler) => {
+      if( !handler ) return prev
+
+      return prev.then(handler.fulfilled || undefined, handler.rejected || undefined)
+    }, promise)
+  }
+}
+
+export default InterceptorManager
@@ -0,0 +1,57 @@
+import InterceptorManager from './InterceptorManager'
+
+describe('InterceptorManager test', () => {
+  let manager
+
+  beforeEach(() => {
+    manager = new InterceptorManager()
+  })
+
+  it('will apply interceptors in order of registration', () => {
+    manager.use(v => v + 'a')
+    manager.use(v => Promise.resolve(v + 'b'))
+
+    return manager.apply(Promise.resolve('')).then(v => expect(v).toBe('ab'))
+  })
+
+  it('will skip ejected interceptor', () => {
+    const id = manager.use(v => v + 'a')
+    manager.use(v => v + 'b')
+    manager.eject(id)
+
+    return manager.apply(Promise.resolve('')).then(v => expect(v).toBe('b'))
+  })
+
+  it('will recover from error with rejected handler', () => {
+    manager.use(null, err => 'recovered')
+
+    return manager.apply(Promise.reject(new Error('failed'))).then(v => expect(v).toBe('recovered'))
+  })
+
+  it('will pass error through, when rejected handler is not specified', () => {
+    manager.use(v => v)
+
+    return manager.apply(Promise.reject(new Error('failed')))
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('failed'))
+  })
+
+  it('will be empty, when every interceptor is ejected or cleared', () => {
+    expect(manager.isEmpty()).toBe(true)
+
+    const id = manager.use(v => v)
+    expect(manager.isEmpty()).toBe(false)
+
+    manager.eject(id)
+    expect(manager.isEmpty()).toBe(true)
+
+    manager.use(v => v)
+    manager.clear()
+    expect(manager.isEmpty()).toBe(true)
+  })
+
+  it('will throw, when handler is not function', () => {
+    expect(() => manager.use('hello')).toThrow()
+    expect(() => manager.use(null, 'hello')).toThrow()
+  })
+})
@@ -0,0 +1,111 @@
+// @flow
+
+/**
+ * Queue of outbound items (publishes and requests) for devices which are temporarily absent.
+ * Items are kept per uuid in order, and expire after ttl.
+ * @class
+ *
+ * @param {object} options
+ * @param {number} options.ttl - life time of each item in milli seconds
+ * @param {number} options.maxSize - maximum number of items per uuid. When exceeded, the oldest one is dropped.
+ * @param {function} onDropped - called with (uuid, item) when item is dropped by maxSize
+ * @param {function} onExpired - called with (uuid, item) when item is expired
+ */
+class OutboundQueue {
+  ttl: number
+  maxSize: number
+  items: { [string]: Array<{ item: Object, timer: any }> }
+  _onDropped: Function
+  _onExpired: Function
+
+  constructor({ ttl, maxSize }: { ttl: number, maxSize: number }, onDropped: Function, onExpired: Function) {
+    if( typeof(ttl) !== 'number' || ttl <= 0 ) throw new Error('OutboundQueue: ttl should be positive number')
+    if( typeof(maxSize) !== 'number' || maxSize <= 0 ) throw new Error('OutboundQueue: maxSize should be positive number')
+
+    this.ttl = ttl
+    this.maxSize = maxSize
+    this.items = {}
+    this._onDropped = onDropped
+    this._onExpired = onExpired
+  }
+
+  /**
+   * append item to the queue of uuid
+   *
+   * @param {string} uuid
+   * @param {object} item
+   */
+  push(uuid: string, item: Object): void {
+    const queue = this.items[uuid] = this.items[uuid] || []
+
+    if( queue.length >= this.maxSize ) {
+      const oldest = queue.shift()
+
+      clearTimeout(oldest.timer)
+      this._onDropped(uuid, oldest.item)
+    }
+
+    const timer = setTimeout(ev => {
+      if( this.remove(uuid, item) ) this._onExpired(uuid, item)
+    }, this.ttl)
+
+    queue.push({ item, timer })
+  }
+
+  /**
+   * remove item from the queue of uuid
+   *
+   * @param {string} uuid
+   * @param {object} item
+   * @returns {boolean} true, when item was in the queue
+   */
+  remove(uuid: string, item: Object): boolean {
+    const queue = this.items[uuid] || []
+    const idx = queue.findIndex(entry => entry.item === item)
+
+    if( idx === -1 ) return false
+
+    clearTimeout(queue[idx].timer)
+    queue.splice(idx, 1)
+    if( queue.length === 0 ) delete this.items[uuid]
+
+    return true
+  }
+
+  /**
+   * remove every item of uuid
+   *
+   * @param {string} uuid
+   * @returns {Array<object>} items in order
+   */
+  flush(uuid: string): Array<Object> {
+    const queue = this.items[uuid] || []
+
+    delete this.items[uuid]
+
+    return queue.map(entry => {
+      clearTimeout(entry.timer)
+      return entry.item
+    })
+  }
+
+  /**
+   * remove every item of every uuid
+   *
+   * @returns {Array<object>} items
+   */
+  clear(): Array<Object> {
+    return Object.keys(this.items)
+      .reduce((arr, uuid) => arr.concat(this.flush(uuid)), [])
+  }
+
+  /**
+   * @param {string} uuid
+   * @returns {number} number of items for uuid
+   */
+  size(uuid: string): number {
+    return (this.items[uuid] || []).length
+  }
+}
+
+export default OutboundQueue
@@ -0,0 +1,80 @@
+import OutboundQueue from './OutboundQueue'
+
+describe('OutboundQueue test', () => {
+  let queue, dropped, expired
+
+  beforeEach(() => {
+    dropped = []
+    expired = []
+    queue = new OutboundQueue({ ttl: 50, maxSize: 2 },
+      (uuid, item) => dropped.push([uuid, item]),
+      (uuid, item) => expired.push([uuid, item]))
+  })
+
+  afterEach(() => {
+    queue.clear()
+  })
+
+  it('will flush items of uuid in order', () => {
+    queue.push('a', 1)
+    queue.push('b', 2)
+    queue.push('a', 3)
+
+    expect(queue.size('a')).toBe(2)
+    expect(queue.flush('a')).toEqual([1, 3])
+    expect(queue.size('a')).toBe(0)
+    expect(queue.flush('b')).toEqual([2])
+  })
+
+  it('will drop the oldest item, when maxSize is exceeded', () => {
+    queue.push('a', 1)
+    queue.push('a', 2)
+    queue.push('a', 3)
+
+    expect(dropped).toEqual([['a', 1]])
+    expect(queue.flush('a')).toEqual([2, 3])
+  })
+
+  it('will expire items after ttl', done => {
+    queue.push('a', 1)
+
+    setTimeout(ev => {
+      expect(expired).toEqual([['a', 1]])
+      expect(queue.size('a')).toBe(0)
+      done()
+    }, 100)
+  })
+
+  it('will not expire flushed items', done => {
+    queue.push('a', 1)
+    queue.flush('a')
+
+    setTimeout(ev => {
+      expect(expired).toEqual([])
+      done()
+    }, 100)
+  })
+
+  it('will remove item', () => {
+    const item = {}
+
+    queue.push('a', item)
+
+    expect(queue.remove('a', item)).toBe(true)
+    expect(queue.remove('a', item)).toBe(false)
+    expect(queue.size('a')).toBe(0)
+  })
+
+  it('will clear every item', () => {
+    queue.push('a', 1)
+    queue.push('b', 2)
+
+    expect(queue.clear()).toEqual([1, 2])
+    expect(queue.size('a')).toBe(0)
+  })
+
+  it('will throw, when options are wrong', () => {
+    expect(() => new OutboundQueue({ ttl: 0, maxSize: 1 }, () => {}, () => {})).toThrow()
+    expect(() => new OutboundQueue({ ttl: 1, maxSize: 'a' }, () => {}, () => {})).toThrow()
+  })
+})
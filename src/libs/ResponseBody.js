@@ -0,0 +1,241 @@
+// @flow
+
+import util from './util'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * Body of Response, which receives chunks progressively.
+ * It can be read as a whole (text(), arrayBuffer()) or as a stream (toStream()).
+ * Once it is read as a stream, chunks are not kept after they are delivered to the stream
+ * (unless it is shared by cloned Response), so that large body is not held in memory.
+ *
+ * @class
+ * @extends EventEmitter
+ */
+class ResponseBody extends EventEmitter {
+  chunks: Array<string|ArrayBuffer>
+  ended: boolean
+  failure: Error|null
+  retained: boolean
+  shared: boolean
+  _binary: boolean
+
+  constructor() {
+    super()
+
+    this.chunks = []
+    this.ended = false
+    this.failure = null
+    // false after it is read as a stream, then chunks are no longer kept
+    this.retained = true
+    // true when it is read by more than one Response (see Response#clone)
+    this.shared = false
+    this._binary = false
+  }
+
+  /**
+   * create ended body from string or ArrayBuffer
+   *
+   * @param {string|ArrayBuffer} data
+   * @returns {ResponseBody}
+   */
+  static from(data: string|ArrayBuffer): ResponseBody {
+    const body = new ResponseBody()
+
+    body.push(data)
+    body.end()
+
+    return body
+  }
+
+  /**
+   * append chunk
+   *
+   * @param {string|ArrayBuffer} chunk
+   */
+  push(chunk: string|ArrayBuffer): void {
+    if(this.ended || this.failure) return
+
+    if(typeof(chunk) !== 'string') this._binary = true
+    if(this.retained) this.chunks.push(chunk)
+    this.emit('data', chunk)
+  }
+
+  /**
+   * mark that every chunk is received
+   */
+  end(): void {
+    if(this.ended || this.failure) return
+
+    this.ended = true
+    this.emit('end')
+  }
+
+  /**
+   * mark that receiving chunks failed
+   *
+   * @param {Error} err
+   */
+  fail(err: Error): void {
+    if(this.ended || this.failure) return
+
+    this.failure = err
+    // avoid throwing 'error' event when nobody is listening
+    if(this.listenerCount('error') > 0) this.emit('error', err)
+    this.emit('__failed', err)
+  }
+
+  /**
+   * wait until every chunk is received
+   *
+   * @returns {Promise<Array>} chunks. It is rejected with TypeError, when body has been read as a stream.
+   */
+  complete(): Promise<Array<string|ArrayBuffer>> {
+    return new Promise((resolv, reject) => {
+      if(!this.retained) reject(new TypeError('body has already been read as a stream'))
+      else if(this.ended) resolv(this.chunks)
+      else if(this.failure) reject(this.failure)
+      else {
+        const __onEnd = () => {
+          this.removeListener('__failed', __onFail)
+          resolv(this.chunks)
+        }
+        const __onFail = err => {
+          this.removeListener('end', __onEnd)
+          reject(err)
+        }
+
+        this.once('end', __onEnd)
+        this.once('__failed', __onFail)
+      }
+    })
+  }
+
+  /**
+   * get whole body in string
+   *
+   * @returns {Promise<string>}
+   */
+  text(): Promise<string> {
+    return this.complete().then(chunks => {
+      if(chunks.every(chunk => typeof(chunk) === 'string')) return chunks.join('')
+
+      return util.decodeUTF8(ResponseBody.concat(chunks))
+    })
+  }
+
+  /**
+   * get whole body in ArrayBuffer. string chunks are encoded in UTF-8.
+   *
+   * @returns {Promise<ArrayBuffer>}
+   */
+  arrayBuffer(): Promise<ArrayBuffer> {
+    return this.complete().then(chunks => ResponseBody.concat(chunks))
+  }
+
+  /**
+   * @returns {boolean} true, when every chunk received so far is string
+   */
+  isText(): boolean {
+    return !this._binary
+  }
+
+  /**
+   * get body as stream. When WHATWG ReadableStream is available (browser), it returns ReadableStream
+   * of Uint8Array. Otherwise, it returns Readable stream of Node.
+   * Unless body is shared, chunks delivered to the stream are released.
+   *
+   * @returns {ReadableStream|stream.Readable}
+   */
+  toStream(): any {
+    let stream
+
+    if(typeof(ReadableStream) !== 'undefined') {
+      stream = new ReadableStream({
+        start: controller => {
+          const __enqueue = chunk => controller.enqueue(new Uint8Array(ResponseBody.toArrayBuffer(chunk)))
+
+          this._pipe(__enqueue, () => controller.close(), err => controller.error(err))
+        }
+      })
+    } else {
+      const Readable = require('stream').Readable
+      const readable = new Readable({ read: () => {} })
+
+      this._pipe(
+        chunk => readable.push(typeof(chunk) === 'string' ? chunk : Buffer.from(chunk)),
+        () => readable.push(null),
+        err => readable.emit('error', err)
+      )
+
+      stream = readable
+    }
+
+    // chunks received so far are already delivered to the stream by _pipe()
+    if(!this.shared) {
+      this.retained = false
+      this.chunks = []
+    }
+
+    return stream
+  }
+
+  /**
+   * call handlers with chunks already received, and chunks received later
+   *
+   * @param {function} onData
+   * @param {function} onEnd
+   * @param {function} onError
+   * @private
+   */
+  _pipe(onData: Function, onEnd: Function, onError: Function): void {
+    this.chunks.forEach(onData)
+
+    if(this.ended) onEnd()
+    else if(this.failure) onError(this.failure)
+    else {
+      this.on('data', onData)
+      this.once('end', () => {
+        this.removeListener('data', onData)
+        onEnd()
+      })
+      this.once('__failed', err => {
+        this.removeListener('data', onData)
+        onError(err)
+      })
+    }
+  }
+
+  /**
+   * @param {string|ArrayBuffer} chunk
+   * @returns {ArrayBuffer}
+   */
+  static toArrayBuffer(chunk: string|ArrayBuffer): ArrayBuffer {
+    return typeof(chunk) === 'string' ? util.encodeUTF8(chunk) : chunk
+  }
+
+  /**
+   * concatenate chunks into ArrayBuffer
+   *
+   * @param {Array<string|ArrayBuffer>} chunks
+   * @returns {ArrayBuffer}
+   */
+  static concat(chunks: Array<string|ArrayBuffer>): ArrayBuffer {
+    // avoid copying, when body is single binary chunk
+    if(chunks.length === 1 && chunks[0] instanceof ArrayBuffer) return chunks[0]
+
+    const buffers = chunks.map(ResponseBody.toArrayBuffer)
+    const ret = new Uint8Array(buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0))
+
+    let offset = 0
+    buffers.forEach(buffer => {
+      ret.set(new Uint8Array(buffer), offset)
+      offset += buffer.byteLength
+    })
+
+    return ret.buffer
+  }
+}
+
+export default ResponseBody
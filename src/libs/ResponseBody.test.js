@@ -0,0 +1,146 @@
+import ResponseBody from './ResponseBody'
+
+describe('ResponseBody test', () => {
+  it('will resolve text() when ended', () => {
+    const body = new ResponseBody()
+    const ret = body.text()
+
+    body.push('hel')
+    body.push('lo')
+    body.end()
+
+    return ret.then(text => expect(text).toBe('hello'))
+  })
+
+  it('will concatenate string and binary chunks in arrayBuffer()', () => {
+    const body = new ResponseBody()
+
+    body.push('he')
+    body.push(new Uint8Array([0x6c, 0x6c, 0x6f]).buffer)
+    body.end()
+
+    return body.arrayBuffer()
+      .then(buffer => expect(Array.from(new Uint8Array(buffer))).toEqual([0x68, 0x65, 0x6c, 0x6c, 0x6f]))
+  })
+
+  it('will reject text(), when failed', () => {
+    const body = new ResponseBody()
+    const ret = body.text()
+
+    body.fail(new Error('failed'))
+
+    return ret
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('failed'))
+  })
+
+  it('will ignore chunks after ended', () => {
+    const body = ResponseBody.from('hello')
+
+    body.push('world')
+
+    return body.text().then(text => expect(text).toBe('hello'))
+  })
+
+  it('will return Node Readable, when ReadableStream is not available', done => {
+    const body = new ResponseBody()
+    body.push('hel')
+
+    const stream = body.toStream()
+    const data = []
+    stream.on('data', chunk => data.push(chunk.toString()))
+    stream.on('end', () => {
+      expect(data.join('')).toBe('hello')
+      done()
+    })
+
+    body.push('lo')
+    body.end()
+  })
+
+  it('will not keep chunks, after it is read as a stream', done => {
+    const body = new ResponseBody()
+    body.push('hel')
+
+    const stream = body.toStream()
+    const data = []
+    stream.on('data', chunk => data.push(chunk.toString()))
+    stream.on('end', () => {
+      expect(data.join('')).toBe('hello')
+      expect(body.chunks).toEqual([])
+      expect(body.isText()).toBe(true)
+
+      body.text()
+        .then(() => done.fail('should reject'))
+        .catch(err => {
+          expect(err).toBeInstanceOf(TypeError)
+          done()
+        })
+    })
+
+    expect(body.chunks).toEqual([])
+    body.push('lo')
+    expect(body.chunks).toEqual([])
+    body.end()
+  })
+
+  it('will keep chunks read as a stream, when it is shared', () => {
+    const body = new ResponseBody()
+    body.shared = true
+    body.push('hel')
+
+    body.toStream().on('data', () => {})
+    body.push('lo')
+    body.end()
+
+    return body.text().then(text => expect(text).toBe('hello'))
+  })
+
+  describe('with WHATWG ReadableStream', () => {
+    // minimum implementation of ReadableStream, which records controller calls
+    class FakeReadableStream {
+      constructor(source) {
+        this.chunks = []
+        this.closed = false
+        this.error = null
+        source.start({
+          enqueue: chunk => this.chunks.push(chunk),
+          close: () => { this.closed = true },
+          error: err => { this.error = err }
+        })
+      }
+    }
+
+    beforeAll(() => {
+      global.ReadableStream = FakeReadableStream
+    })
+
+    afterAll(() => {
+      delete global.ReadableStream
+    })
+
+    it('will return ReadableStream of Uint8Array', () => {
+      const body = new ResponseBody()
+      body.push('hel')
+
+      const stream = body.toStream()
+
+      body.push('lo')
+      body.end()
+
+      expect(stream).toBeInstanceOf(FakeReadableStream)
+      stream.chunks.forEach(chunk => expect(chunk).toBeInstanceOf(Uint8Array))
+      expect(stream.chunks.map(chunk => Array.from(chunk))).toEqual([[0x68, 0x65, 0x6c], [0x6c, 0x6f]])
+      expect(stream.closed).toBe(true)
+    })
+
+    it('will error ReadableStream, when failed', () => {
+      const body = new ResponseBody()
+      const stream = body.toStream()
+
+      body.fail(new Error('failed'))
+
+      expect(stream.error.message).toBe('failed')
+    })
+  })
+})
@@ -0,0 +1,266 @@
+// @flow
+
+import Headers from './Headers'
+
+/**
+ * Store of ResponseCache, which keeps entries in memory.
+ * Every store has Promise based interface get(key), set(key, entry), delete(key) and keys(),
+ * so that asynchronous storage such as IndexedDB can be plugged in.
+ * @class
+ *
+ * @param {number} [maxEntries=100] - the oldest entry is removed, when exceeded
+ */
+class MemoryStore {
+  entries: Map<string, Object>
+  maxEntries: number
+
+  constructor(maxEntries: ?number) {
+    this.entries = new Map()
+    this.maxEntries = typeof(maxEntries) === 'number' ? maxEntries : 100
+  }
+
+  get(key: string): Promise<Object|null> {
+    const entry = this.entries.get(key)
+
+    return Promise.resolve(entry !== undefined ? entry : null)
+  }
+
+  set(key: string, entry: Object): Promise<void> {
+    // re-insert, so that the oldest entry comes first
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    if(this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value
+
+      if(oldest !== undefined) this.entries.delete(oldest)
+    }
+
+    return Promise.resolve()
+  }
+
+  delete(key: string): Promise<void> {
+    this.entries.delete(key)
+
+    return Promise.resolve()
+  }
+
+  keys(): Promise<Array<string>> {
+    return Promise.resolve(Array.from(this.entries.keys()))
+  }
+}
+
+/**
+ * Store of ResponseCache, which keeps entries in Web Storage (e.g. localStorage).
+ * @class
+ *
+ * @param {Storage} storage - localStorage, sessionStorage or compatible object
+ * @param {string} [prefix='siru-cache:'] - prefix of keys in storage
+ */
+class WebStorageStore {
+  storage: Object
+  prefix: string
+
+  constructor(storage: Object, prefix: ?string) {
+    if( !storage || typeof(storage.getItem) !== 'function' ) throw new Error('WebStorageStore: storage should be Web Storage')
+
+    this.storage = storage
+    this.prefix = typeof(prefix) === 'string' ? prefix : 'siru-cache:'
+  }
+
+  get(key: string): Promise<Object|null> {
+    return new Promise((resolv, reject) => {
+      const str = this.storage.getItem(this.prefix + key)
+
+      try {
+        resolv(str === null ? null : JSON.parse(str))
+      } catch(err) {
+        // broken entry is regarded as missing
+        resolv(null)
+      }
+    })
+  }
+
+  set(key: string, entry: Object): Promise<void> {
+    return new Promise((resolv, reject) => {
+      // setItem throws, when quota is exceeded
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry))
+      resolv()
+    })
+  }
+
+  delete(key: string): Promise<void> {
+    return new Promise((resolv, reject) => {
+      this.storage.removeItem(this.prefix + key)
+      resolv()
+    })
+  }
+
+  keys(): Promise<Array<string>> {
+    return new Promise((resolv, reject) => {
+      const keys = []
+
+      for(let i = 0; i < this.storage.length; i++) {
+        const key = this.storage.key(i)
+
+        if(key && key.indexOf(this.prefix) === 0) keys.push(key.slice(this.prefix.length))
+      }
+
+      resolv(keys)
+    })
+  }
+}
+
+/**
+ * Cache of responses from devices, which honors Cache-Control and ETag headers.
+ * Only text body of GET and HEAD is cached.
+ * @class
+ *
+ * @param {object} [options]
+ * @param {object} [options.store] - store of entries. MemoryStore, Web Storage (e.g. localStorage)
+ *   or object which implements the same interface as MemoryStore. default is MemoryStore.
+ * @param {number} [options.maxEntries=100] - maximum number of entries of default MemoryStore
+ */
+class ResponseCache {
+  store: Object
+
+  constructor(options: ?Object) {
+    const { store, maxEntries } = Object.assign({}, options)
+
+    if( store && typeof(store.getItem) === 'function' ) this.store = new WebStorageStore(store)
+    else if( store ) {
+      ['get', 'set', 'delete', 'keys'].forEach(name => {
+        if( typeof(store[name]) !== 'function' ) throw new Error(`ResponseCache: store should implement ${name}()`)
+      })
+      this.store = store
+    } else this.store = new MemoryStore(maxEntries)
+  }
+
+  /**
+   * create key of cache entry
+   *
+   * @param {string} uuid
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [query]
+   * @returns {string}
+   */
+  static keyOf(uuid: string, method: string, path: string, query: ?Object): string {
+    const _query = query || {}
+    const sorted = Object.keys(_query).sort().map(name => [name, _query[name]])
+
+    return JSON.stringify([uuid, method.toUpperCase(), path, sorted])
+  }
+
+  /**
+   * parse Cache-Control header
+   *
+   * @param {string|null} value
+   * @returns {object} directives. value of directive without argument is true.
+   */
+  static parseCacheControl(value: ?string): Object {
+    const ret = {}
+
+    if( typeof(value) !== 'string' ) return ret
+
+    value.split(',').forEach(directive => {
+      const [name, arg] = directive.trim().split('=')
+
+      if( name ) ret[name.toLowerCase()] = arg === undefined ? true : arg.replace(/^"|"$/g, '')
+    })
+
+    return ret
+  }
+
+  /**
+   * create cache entry from response headers. It returns null, when response should not be stored.
+   *
+   * @param {number} status
+   * @param {string} statusText
+   * @param {Headers} headers
+   * @param {string} text - body
+   * @returns {object|null}
+   */
+  static createEntry(status: number, statusText: string, headers: Headers, text: string): Object|null {
+    const directives = ResponseCache.parseCacheControl(headers.get('cache-control'))
+    const etag = headers.get('etag')
+    const maxAge = parseInt(directives['max-age'], 10)
+
+    if( directives['no-store'] ) return null
+    // without freshness nor validator, response can not be reused
+    if( isNaN(maxAge) && !etag ) return null
+
+    return {
+      status,
+      statusText,
+      headers: headers.toJSON(),
+      text,
+      etag,
+      storedAt: Date.now(),
+      maxAge: directives['no-cache'] || isNaN(maxAge) ? 0 : maxAge
+    }
+  }
+
+  /**
+   * @param {object} entry
+   * @returns {boolean} true, when entry can be used without revalidation
+   */
+  static isFresh(entry: Object): boolean {
+    return Date.now() - entry.storedAt < entry.maxAge * 1000
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  get(key: string): Promise<Object|null> {
+    return this.store.get(key)
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} entry
+   * @returns {Promise<void>}
+   */
+  set(key: string, entry: Object): Promise<void> {
+    return this.store.set(key, entry)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  delete(key: string): Promise<void> {
+    return this.store.delete(key)
+  }
+
+  /**
+   * remove cached responses
+   *
+   * @param {string} [uuid] - when specified, only responses of the device are removed
+   * @returns {Promise<void>}
+   * @method ResponseCache#clear
+   *
+   * @example
+   * client.cache.clear('robot-uuid')
+   */
+  clear(uuid: ?string): Promise<void> {
+    return this.store.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => {
+            if( typeof(uuid) !== 'string' ) return true
+            try {
+              return JSON.parse(key)[0] === uuid
+            } catch(err) {
+              return false
+            }
+          })
+          .map(key => this.store.delete(key))
+      ))
+      .then(() => {})
+  }
+}
+
+export { MemoryStore, WebStorageStore }
+export default ResponseCache
@@ -0,0 +1,142 @@
+import ResponseCache, { MemoryStore, WebStorageStore } from './ResponseCache'
+import Headers from './Headers'
+
+describe('ResponseCache test', () => {
+  describe('keyOf()', () => {
+    it('will not depend on order of query', () => {
+      expect(ResponseCache.keyOf('uuid', 'get', '/a', { b: 1, a: 2 }))
+        .toBe(ResponseCache.keyOf('uuid', 'GET', '/a', { a: 2, b: 1 }))
+    })
+
+    it('will differ by uuid, method, path and query', () => {
+      const key = ResponseCache.keyOf('uuid', 'GET', '/a', { a: 1 })
+
+      expect(ResponseCache.keyOf('other', 'GET', '/a', { a: 1 })).not.toBe(key)
+      expect(ResponseCache.keyOf('uuid', 'HEAD', '/a', { a: 1 })).not.toBe(key)
+      expect(ResponseCache.keyOf('uuid', 'GET', '/b', { a: 1 })).not.toBe(key)
+      expect(ResponseCache.keyOf('uuid', 'GET', '/a', { a: 2 })).not.toBe(key)
+    })
+  })
+
+  describe('parseCacheControl()', () => {
+    it('will parse directives', () => {
+      expect(ResponseCache.parseCacheControl('max-age=60, No-Cache, private="x"'))
+        .toEqual({ 'max-age': '60', 'no-cache': true, private: 'x' })
+    })
+
+    it('will return empty object for null', () => {
+      expect(ResponseCache.parseCacheControl(null)).toEqual({})
+    })
+  })
+
+  describe('createEntry()', () => {
+    const create = headers => ResponseCache.createEntry(200, 'OK', new Headers(headers), 'hello')
+
+    it('will use max-age as freshness', () => {
+      const entry = create({ 'Cache-Control': 'max-age=60' })
+
+      expect(entry.maxAge).toBe(60)
+      expect(entry.text).toBe('hello')
+      expect(ResponseCache.isFresh(entry)).toBe(true)
+    })
+
+    it('will store response with ETag to revalidate', () => {
+      const entry = create({ ETag: '"v1"' })
+
+      expect(entry.etag).toBe('"v1"')
+      expect(ResponseCache.isFresh(entry)).toBe(false)
+    })
+
+    it('will not be fresh with no-cache', () => {
+      expect(ResponseCache.isFresh(create({ 'Cache-Control': 'max-age=60, no-cache', ETag: '"v1"' }))).toBe(false)
+    })
+
+    it('will not store with no-store, or without freshness nor validator', () => {
+      expect(create({ 'Cache-Control': 'no-store, max-age=60' })).toBe(null)
+      expect(create({})).toBe(null)
+    })
+  })
+
+  describe('clear()', () => {
+    it('will remove entries of uuid', () => {
+      const cache = new ResponseCache()
+      const a = ResponseCache.keyOf('a', 'GET', '/x')
+      const b = ResponseCache.keyOf('b', 'GET', '/x')
+
+      return Promise.all([cache.set(a, { text: 'a' }), cache.set(b, { text: 'b' })])
+        .then(() => cache.clear('a'))
+        .then(() => Promise.all([cache.get(a), cache.get(b)]))
+        .then(([entryA, entryB]) => {
+          expect(entryA).toBe(null)
+          expect(entryB).toEqual({ text: 'b' })
+        })
+        .then(() => cache.clear())
+        .then(() => cache.get(b))
+        .then(entry => expect(entry).toBe(null))
+    })
+  })
+
+  describe('store', () => {
+    // minimum implementation of Web Storage
+    class FakeStorage {
+      constructor() {
+        this.items = {}
+      }
+      get length() {
+        return Object.keys(this.items).length
+      }
+      key(i) {
+        const keys = Object.keys(this.items)
+        return i < keys.length ? keys[i] : null
+      }
+      getItem(key) {
+        return this.items.hasOwnProperty(key) ? this.items[key] : null
+      }
+      setItem(key, value) {
+        this.items[key] = String(value)
+      }
+      removeItem(key) {
+        delete this.items[key]
+      }
+    }
+
+    it('MemoryStore will remove the oldest entry, when maxEntries is exceeded', () => {
+      const store = new MemoryStore(2)
+
+      return store.set('a', 1)
+        .then(() => store.set('b', 2))
+        .then(() => store.set('c', 3))
+        .then(() => store.keys())
+        .then(keys => expect(keys).toEqual(['b', 'c']))
+    })
+
+    it('will wrap Web Storage with WebStorageStore', () => {
+      const cache = new ResponseCache({ store: new FakeStorage() })
+
+      expect(cache.store).toBeInstanceOf(WebStorageStore)
+    })
+
+    it('WebStorageStore will keep entries with prefix', () => {
+      const storage = new FakeStorage()
+      const store = new WebStorageStore(storage, 'test:')
+
+      storage.setItem('other', 'x')
+
+      return store.set('a', { text: 'hello' })
+        .then(() => {
+          expect(storage.getItem('test:a')).toBe(JSON.stringify({ text: 'hello' }))
+          return store.keys()
+        })
+        .then(keys => {
+          expect(keys).toEqual(['a'])
+          return store.delete('a')
+        })
+        .then(() => store.get('a'))
+        .then(entry => expect(entry).toBe(null))
+    })
+
+    it('will throw, when store does not implement interface', () => {
+      expect(() => new ResponseCache({ store: { get: () => {} } })).toThrow()
+    })
+  })
+})
@@ -0,0 +1,226 @@
+// @flow
+
+import Rx from 'rx'
+
+import Response from './response'
+import util from './util'
+import { ReassemblyError } from './errors'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * Stream of response frames which a device pushes for a single request. It is returned by SiRuClient#stream.
+ * Frames can be consumed with Observable (`toObservable()`) or with async iterator (`for await`).
+ * Frames are buffered for next() only after it is called first, so that streams consumed only by
+ * Observable do not hold frames. The buffer keeps `bufferSize` frames at most, and the oldest one is dropped.
+ * @class
+ * @extends EventEmitter
+ *
+ * @param {object} params
+ * @param {number} params.transaction_id
+ * @param {string} params.uuid - uuid of the device
+ * @param {string} params.path - requested path
+ * @param {number} [params.bufferSize=100] - maximum number of frames buffered for next()
+ * @param {function} onCancel - called when cancel() is called, to notify the device
+ */
+class ResponseStream extends EventEmitter {
+  transaction_id: number
+  uuid: string
+  path: string
+  closed: boolean
+  failure: Error|null
+  bufferSize: number
+  _iterating: boolean
+  _nextIdx: number
+  _reorder: { [number]: { res: ?Response, end: boolean } }
+  _queue: Array<Response>
+  _waiters: Array<{ resolv: Function, reject: Function }>
+  _onCancel: Function
+
+  constructor({ transaction_id, uuid, path, bufferSize }:
+      { transaction_id: number, uuid: string, path: string, bufferSize?: number }, onCancel: Function) {
+    super()
+
+    this.transaction_id = transaction_id
+    this.uuid = uuid
+    this.path = path
+    this.closed = false
+    this.failure = null
+    this.bufferSize = typeof(bufferSize) === 'number' && bufferSize > 0 ? bufferSize : util.STREAM_BUFFER_SIZE
+    this._iterating = false
+    this._nextIdx = 0
+    this._reorder = {}
+    this._queue = []
+    this._waiters = []
+    this._onCancel = onCancel
+  }
+
+  /**
+   * append response frame
+   *
+   * @param {Response} res
+   */
+  push(res: Response): void {
+    if(this.closed) return
+
+    const waiter = this._waiters.shift()
+
+    if(waiter) {
+      waiter.resolv({ value: res, done: false })
+    } else if(this._iterating) {
+      this._queue.push(res)
+      if(this._queue.length > this.bufferSize) this._queue.shift()
+    }
+
+    this.emit('frame', res)
+  }
+
+  /**
+   * append response frame of idx. Frames which arrive out of order are held until preceding ones arrive,
+   * and duplicated ones are ignored. When more than `bufferSize` frames are held, the stream is cancelled
+   * and fails with ReassemblyError.
+   *
+   * @param {number} idx - index of frame, which begins with 0
+   * @param {Response|null} res - null for end frame without body
+   * @param {boolean} end - whether it is the last frame
+   */
+  pushAt(idx: number, res: ?Response, end: boolean): void {
+    if(this.closed || idx < this._nextIdx || this._reorder[idx] !== undefined) return
+
+    this._reorder[idx] = { res, end }
+
+    if(Object.keys(this._reorder).length > this.bufferSize) {
+      this._onCancel(this)
+      this.fail(new ReassemblyError(`frame ${this._nextIdx} did not arrive : ${this.transaction_id}`))
+      return
+    }
+
+    while(this._reorder[this._nextIdx] !== undefined) {
+      const frame = this._reorder[this._nextIdx]
+
+      delete this._reorder[this._nextIdx]
+      this._nextIdx++
+
+      if(frame.res) this.push(frame.res)
+      if(frame.end) {
+        this.end()
+        return
+      }
+    }
+  }
+
+  /**
+   * mark that the device finished pushing frames
+   */
+  end(): void {
+    if(this.closed) return
+
+    this.closed = true
+    this._reorder = {}
+    this._waiters.splice(0).forEach(waiter => waiter.resolv({ value: undefined, done: true }))
+    this.emit('end')
+  }
+
+  /**
+   * mark that stream failed (e.g. connection closed)
+   *
+   * @param {Error} err
+   */
+  fail(err: Error): void {
+    if(this.closed) return
+
+    this.closed = true
+    this.failure = err
+    this._reorder = {}
+    this._waiters.splice(0).forEach(waiter => waiter.reject(err))
+    // avoid throwing 'error' event when nobody is listening
+    if(this.listenerCount('error') > 0) this.emit('error', err)
+    this.emit('__failed', err)
+  }
+
+  /**
+   * stop the stream. The device is notified to stop pushing frames.
+   *
+   * @method ResponseStream#cancel
+   */
+  cancel(): void {
+    if(this.closed) return
+
+    this._onCancel(this)
+    this.end()
+  }
+
+  /**
+   * get Observable of response frames, which arrive after subscribed.
+   * It completes when stream is ended or cancelled.
+   *
+   * @returns {Rx.Observable<Response>}
+   * @method ResponseStream#toObservable
+   *
+   * @example
+   * client.stream('gps-uuid/fix').toObservable()
+   *   .subscribe(res => res.json().then(fix => console.log(fix.lat, fix.lng)))
+   */
+  toObservable(): Object {
+    return Rx.Observable.create(observer => {
+      if(this.failure) {
+        observer.onError(this.failure)
+        return () => {}
+      }
+      if(this.closed) {
+        observer.onCompleted()
+        return () => {}
+      }
+
+      const __onFrame = res => observer.onNext(res)
+      const __onEnd = () => observer.onCompleted()
+      const __onFail = err => observer.onError(err)
+
+      this.on('frame', __onFrame)
+      this.on('end', __onEnd)
+      this.on('__failed', __onFail)
+
+      return () => {
+        this.removeListener('frame', __onFrame)
+        this.removeListener('end', __onEnd)
+        this.removeListener('__failed', __onFail)
+      }
+    })
+  }
+
+  /**
+   * get next response frame. Once it is called, frames which arrive while nobody is waiting are buffered.
+   *
+   * @returns {Promise<{value: Response, done: boolean}>}
+   * @method ResponseStream#next
+   */
+  next(): Promise<{ value: ?Response, done: boolean }> {
+    this._iterating = true
+
+    return new Promise((resolv, reject) => {
+      if(this._queue.length > 0) resolv({ value: this._queue.shift(), done: false })
+      else if(this.failure) reject(this.failure)
+      else if(this.closed) resolv({ value: undefined, done: true })
+      else this._waiters.push({ resolv, reject })
+    })
+  }
+
+  /**
+   * finish iteration. It cancels the stream (e.g. `break` in `for await`).
+   *
+   * @returns {Promise<{done: boolean}>}
+   * @method ResponseStream#return
+   */
+  return(): Promise<{ value: void, done: boolean }> {
+    this.cancel()
+
+    return Promise.resolve({ value: undefined, done: true })
+  }
+}
+
+// make it available for `for await (const res of client.stream(...))`
+if(typeof(Symbol) === 'function' && (Symbol: any).asyncIterator) {
+  (ResponseStream.prototype: any)[(Symbol: any).asyncIterator] = function() { return this }
+}
+
+export default ResponseStream
@@ -0,0 +1,140 @@
+import ResponseStream from './ResponseStream'
+import Response from './response'
+import { ReassemblyError } from './errors'
+
+describe('ResponseStream test', () => {
+  let stream, cancelled
+
+  const frame = text => new Response({ status: 200, method: 'GET', transaction_id: 1, text })
+
+  beforeEach(() => {
+    cancelled = []
+    stream = new ResponseStream({ transaction_id: 1, uuid: 'uuid', path: '/path' }, s => cancelled.push(s))
+  })
+
+  it('will resolve buffered frames with next(), then done', () => {
+    const first = stream.next()
+
+    stream.push(frame('a'))
+    stream.push(frame('b'))
+    stream.push(frame('c'))
+    stream.end()
+
+    return first
+      .then(({ value, done }) => {
+        expect(done).toBe(false)
+        return value.text()
+      })
+      .then(text => expect(text).toBe('a'))
+      .then(() => stream.next())
+      .then(({ value }) => value.text())
+      .then(text => expect(text).toBe('b'))
+      .then(() => stream.next())
+      .then(({ value }) => value.text())
+      .then(text => expect(text).toBe('c'))
+      .then(() => stream.next())
+      .then(ret => expect(ret).toEqual({ value: undefined, done: true }))
+  })
+
+  it('will not buffer frames, until next() is called', () => {
+    stream.toObservable().subscribe(() => {})
+
+    for(let i = 0; i < 1000; i++) stream.push(frame(String(i)))
+
+    expect(stream._queue.length).toBe(0)
+  })
+
+  it('will drop the oldest frame, when buffer is full', () => {
+    stream = new ResponseStream({ transaction_id: 1, uuid: 'uuid', path: '/path', bufferSize: 2 }, s => cancelled.push(s))
+    stream.next()
+
+    stream.push(frame('a'))
+    stream.push(frame('b'))
+    stream.push(frame('c'))
+    stream.push(frame('d'))
+
+    expect(stream._queue.length).toBe(2)
+
+    return stream.next()
+      .then(({ value }) => value.text())
+      .then(text => expect(text).toBe('c'))
+  })
+
+  it('will emit frames in order of idx with pushAt(), ignoring duplicated ones', () => {
+    const texts = []
+    const p = new Promise((resolv, reject) => {
+      stream.toObservable().subscribe(res => texts.push(res), reject, resolv)
+    })
+
+    stream.pushAt(2, null, true)
+    stream.pushAt(1, frame('b'), false)
+    stream.pushAt(0, frame('a'), false)
+    stream.pushAt(0, frame('a'), false)
+
+    return p
+      .then(() => Promise.all(texts.map(res => res.text())))
+      .then(ret => expect(ret).toEqual(['a', 'b']))
+  })
+
+  it('will cancel and fail, when too many frames are held for reordering', () => {
+    stream = new ResponseStream({ transaction_id: 1, uuid: 'uuid', path: '/path', bufferSize: 2 }, s => cancelled.push(s))
+    const p = stream.next()
+
+    stream.pushAt(1, frame('b'), false)
+    stream.pushAt(2, frame('c'), false)
+    stream.pushAt(3, frame('d'), false)
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(cancelled).toEqual([stream])
+      })
+  })
+
+  it('will resolve waiting next() when frame arrives', () => {
+    const p = stream.next()
+    stream.push(frame('a'))
+
+    return p.then(({ value }) => value.text()).then(text => expect(text).toBe('a'))
+  })
+
+  it('will reject next() when failed', () => {
+    const p = stream.next()
+    stream.fail(new Error('broken'))
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('broken'))
+  })
+
+  it('will emit frames to Observable, and complete at the end', () => {
+    const texts = []
+    const p = new Promise((resolv, reject) => {
+      stream.toObservable().subscribe(res => texts.push(res), reject, resolv)
+    })
+
+    stream.push(frame('a'))
+    stream.push(frame('b'))
+    stream.end()
+
+    return p.then(() => expect(texts.length).toBe(2))
+  })
+
+  it('will call onCancel once with cancel() or return()', () => {
+    return stream.return()
+      .then(ret => {
+        expect(ret.done).toBe(true)
+        stream.cancel()
+        expect(cancelled).toEqual([stream])
+        expect(stream.closed).toBe(true)
+      })
+  })
+
+  it('will ignore frames after closed', () => {
+    stream.end()
+    stream.push(frame('a'))
+
+    return stream.next().then(ret => expect(ret.done).toBe(true))
+  })
+})
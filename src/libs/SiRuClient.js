@@ -3,15 +3,31 @@
 import _             from 'underscore'
 import Rx            from 'rx'
 import Enum          from 'enum'
+import BinaryPack    from 'js-binarypack'
 
 import SkyWay        from 'skyway-js'
 
 import util          from './util'
 import DeviceManager from './DeviceManager'
+import Device        from './Device'
 import Response      from './response'
+import ResponseBody  from './ResponseBody'
+import Headers       from './Headers'
+import InterceptorManager from './InterceptorManager'
+import OutboundQueue from './OutboundQueue'
+import ResponseCache from './ResponseCache'
+import ResponseStream from './ResponseStream'
+import DeviceApi     from './DeviceApi'
+import topicFilter   from './topicFilter'
+import Subscription  from './Subscription'
+import * as errors from './errors'
+import { AbortError, TimeoutError, ReassemblyError, HttpError, QueueError, RpcError } from './errors'
 
 const EventEmitter  = require('events').EventEmitter
 
+const KEEPALIVE_ACK = 'SSG:keepalive/ack,'
+const SUBSCRIBE     = 'SSG:subscribe'
+const UNSUBSCRIBE   = 'SSG:unsubscribe'
 
 
 const STATES = new Enum([
@@ -19,17 +35,63 @@ const STATES = new Enum([
     'SKYWAY_CONNECTED',
     'ROOM_JOINED',
     'USER_LIST_OBTAINED',
-    'STARTED'
+    'STARTED',
+    'DISCONNECTED',
+    'RECONNECTING',
+    'CLOSED'
 ])
 
 /**
  * Client class of SkyWay IoT Room Utility
  *
+ * Error classes (e.g. `SiRuClient.TimeoutError`, `SiRuClient.MethodNotFoundError`), `SiRuClient.Headers`
+ * and `SiRuClient.Response` are exposed as static properties, so that they are available with `instanceof`
+ * and for building request headers.
+ *
  * @class
  *
  * @param {string} roomName - The name of the room.
  * @param {Object} options - option argument of skyway constructor. For more detail, please check https://webrtc.ecl.ntt.com/en/js-reference/Peer.html.
  * @param {string} options.key - SkyWay API key. This is only one mandatory parameter in options.
+ * @param {Object} [options.reconnect] - reconnect policy, when SkyWay signaling link is lost.
+ * @param {boolean} [options.reconnect.enabled=true] - when false, client will not try to reconnect.
+ * @param {number} [options.reconnect.maxRetries=10] - maximum number of reconnect attempts.
+ * @param {number} [options.reconnect.initialDelay=1000] - delay before 1st attempt in milli seconds.
+ * @param {number} [options.reconnect.maxDelay=30000] - upper limit of delay in milli seconds.
+ * @param {number} [options.reconnect.factor=2] - multiplier of delay for each attempt.
+ * @param {Object} [options.heartbeat] - heartbeat policy for detecting liveness of devices.
+ * @param {number} [options.heartbeat.interval=25000] - interval of keepalive in milli seconds.
+ * @param {number} [options.heartbeat.staleAfter=2] - device will be marked as stale after this number of missed keepalives.
+ * @param {number} [options.heartbeat.deadAfter=5] - device will be considered as dead after this number of missed keepalives.
+ * @param {boolean} [options.heartbeat.autoUnregister=false] - when true, dead device will be closed and unregistered.
+ * @param {Object|boolean} [options.retry] - retry policy of fetch(). `false` disables retry.
+ * @param {number} [options.retry.maxAttempts=3] - maximum number of attempts including the first one.
+ * @param {number} [options.retry.initialDelay=500] - delay before 1st retry in milli seconds.
+ * @param {number} [options.retry.maxDelay=5000] - upper limit of delay in milli seconds.
+ * @param {number} [options.retry.factor=2] - multiplier of delay for each retry.
+ * @param {number} [options.retry.jitter=0.5] - ratio of delay which is randomly reduced.
+ * @param {Array<number>} [options.retry.statuses=[408,429,502,503,504]] - status codes to retry.
+ * @param {Array<string>} [options.retry.methods=['GET','HEAD']] - methods to retry.
+ * @param {Object|boolean} [options.queue] - when specified, publishes and requests for devices which are
+ *   temporarily absent are queued, then sent when the device is connected again. `true` uses default policy.
+ * @param {number} [options.queue.ttl=30000] - queued item expires after this milli seconds. Absent device is
+ *   forgotten (see forget()), when it is not connected again within this milli seconds and nothing is queued for it.
+ * @param {number} [options.queue.maxSize=100] - maximum number of queued items per device. The oldest one is dropped.
+ * @param {Object|boolean} [options.cache] - when specified, responses of GET and HEAD are cached by
+ *   Cache-Control and ETag headers of devices. `true` uses in-memory cache.
+ * @param {Object} [options.cache.store] - store of cache. localStorage or object which implements
+ *   get/set/delete/keys in Promise (e.g. IndexedDB based one). default is in-memory store.
+ * @param {number} [options.cache.maxEntries=100] - maximum number of entries of in-memory store.
+ * @param {boolean} [options.discovery=false] - when true, API description advertised in profile of each device
+ *   (`profile.openapi`) is requested at registration, then exposed as `device.api`. see discover().
+ * @param {number} [options.chunkSize=16384] - request body larger than this is sent in chunks.
+ * @param {number} [options.maxBufferedAmount=1048576] - sending chunks is paused while bufferedAmount of DataChannel exceeds this.
+ * @param {number} [options.reassemblyTimeout=30000] - inactivity timeout of chunked message. It fails, when next chunk
+ *   does not arrive within this milli seconds.
+ * @param {number} [options.reassemblyDeadline=300000] - chunked message fails, when every chunk is not received
+ *   within this milli seconds from the first chunk.
+ * @param {number} [options.maxReassemblySize=16777216] - upper limit of total bytes of chunks being reassembled across all requests.
+ *   String chunks are counted in UTF-8.
  * @constructs SiRuClient
  *
  * @extends EventEmitter
@@ -42,12 +104,31 @@ const STATES = new Enum([
 class SiRuClient extends EventEmitter {
   roomName:    string
   topics:      Array<string>
+  subscriptions: Array<Subscription>
   skyway:      SkyWay
   chunks:      Object
+  reassemblySize: number
+  pendings:    Object
+  streams:     { [number]: ResponseStream }
+  pushChunks:  Object
+  handlers:    { [string]: Function }
+  incoming:    Object
   options:     Object
   myid:        string
   state:       string
   deviceManager: Object
+  keepaliveTimers: Object
+  reconnectOptions: Object
+  heartbeatOptions: Object
+  retryOptions: Object
+  queue: OutboundQueue|null
+  knownDevices: { [string]: Device }
+  forgetTimers: { [string]: any }
+  cache: ResponseCache|null
+  reconnectTimer: any
+  closed:      boolean
+  closing:     ?Promise<void>
+  interceptors: { request: InterceptorManager, response: InterceptorManager }
 
   constructor(roomName: string, options: Object) {
     super();
@@ -65,9 +146,24 @@ class SiRuClient extends EventEmitter {
     this.state = STATES.INIT.key
     this.roomName = roomName;
     this.topics = []
+    this.subscriptions = []
     this.skyway = undefined
     this.chunks = {}
+    this.reassemblySize = 0
+    this.pendings = {}
+    this.streams = {}
+    this.pushChunks = {}
+    this.handlers = {}
+    this.incoming = {}
+    this.keepaliveTimers = {}
+    this.reconnectTimer = null
+    this.closed = false
+    this.closing = null
     this.deviceManager = new DeviceManager()
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager()
+    }
 
 
     // override this.options
@@ -76,6 +172,24 @@ class SiRuClient extends EventEmitter {
       origin: 'https://localhost'
     }, options);
 
+    this.reconnectOptions = Object.assign({}, util.RECONNECT, options.reconnect)
+    this.heartbeatOptions = Object.assign({}, util.HEARTBEAT, options.heartbeat)
+    this.retryOptions = Object.assign({}, util.RETRY, options.retry === false ? { maxAttempts: 1 } : options.retry)
+
+    this.cache = options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null
+
+    // devices which have been connected once. absent ones are targets of offline queue
+    this.knownDevices = {}
+    this.forgetTimers = {}
+    this.queue = options.queue ?
+      new OutboundQueue(
+        Object.assign({}, util.QUEUE, options.queue === true ? {} : options.queue),
+        (uuid, item) => this._handleQueueOut('queue:dropped', uuid, item,
+          new QueueError(`request for ${uuid} was dropped, since offline queue is full`)),
+        (uuid, item) => this._handleQueueOut('queue:expired', uuid, item,
+          new QueueError(`request for ${uuid} expired in offline queue`))
+      ) : null
+
     // start establishing SkyWay connecction, then start connecting message hub
     // when finished, we'll emit 'connect' message.
 
@@ -89,27 +203,141 @@ class SiRuClient extends EventEmitter {
    *
    */
   _start(): void {
-    this._createSkyWayConnection()
+    this._connect([])
+      .then(() => {
+        this._setState(STATES.STARTED.key)
+        this.emit("connect")
+      }).catch(err => {
+        // when close() was called while starting, we will not start.
+        if(this.closed) return
+
+        throw err
+      })
+  }
+
+  /**
+   * establish SkyWay connection, join room, then connect to devices
+   *
+   * @param {Array<string>} peerids - peerids of devices, which we will connect in addition to user list.
+   * @private
+   */
+  _connect(peerids: Array<string>): Promise<any> {
+    if(this.closed) return Promise.reject(new AbortError('connect aborted, since client was closed'))
+
+    const connecting = this._createSkyWayConnection()
+    const skyway = this.skyway
+
+    // when close() was called while connecting, SkyWay instance created by this chain is destroyed,
+    // then the chain is stopped. Otherwise, state would be overwritten after CLOSED.
+    const __abortIfClosed = () => {
+      if(!this.closed) return
+
+      if(!skyway.destroyed) skyway.destroy()
+      throw new AbortError('connect aborted, since client was closed')
+    }
+
+    return connecting
       .then( () => {
+        __abortIfClosed()
         this._setState(STATES.SKYWAY_CONNECTED.key)
 
         return this._sendRoomJoinRequest()
       })
       .then( () => {
+        __abortIfClosed()
         this._setState(STATES.ROOM_JOINED.key)
 
         return this._sendUserListRequest()
       }).then((userList) => {
+        __abortIfClosed()
         this._setState(STATES.USER_LIST_OBTAINED.key)
 
         this._setRoomHandlers()
 
-        this._connectToDevices(userList)
+        this._connectToDevices(_.union(userList, peerids))
         return this._next()
-      }).then(() => {
-        this._setState(STATES.STARTED.key)
-        this.emit("connect")
-      }).catch(err => {throw err})
+      })
+      .then(() => __abortIfClosed())
+  }
+
+  /**
+   * handle disconnection of SkyWay signaling link.
+   * when reconnect is enabled, reconnect supervisor will start.
+   *
+   * @param {object} skyway - SkyWay instance which is disconnected
+   * @private
+   */
+  _handleDisconnect(skyway: SkyWay): void {
+    // ignore events from previous SkyWay instance, while (re)connecting, or while closing
+    // (SkyWay instance emits 'disconnected' when it is destroyed by close()).
+    if(skyway !== this.skyway || this.state !== STATES.STARTED.key || this.closed) return
+
+    // we will re-establish DataChannels for devices known at this moment.
+    const peerids = this.deviceManager.devices.map(device => device.peerid)
+
+    this._setState(STATES.DISCONNECTED.key)
+    this._reconnect(0, peerids)
+  }
+
+  /**
+   * reconnect supervisor. it retries connection with exponential backoff.
+   *
+   * @param {number} attempt - number of attempts already made
+   * @param {Array<string>} peerids - peerids of previously known devices
+   * @private
+   */
+  _reconnect(attempt: number, peerids: Array<string>): void {
+    if(!this.reconnectOptions.enabled || this.closed) return
+
+    if(attempt >= this.reconnectOptions.maxRetries) {
+      this._setState(STATES.DISCONNECTED.key)
+      this.emit('reconnect:failed', attempt)
+      return
+    }
+
+    this._setState(STATES.RECONNECTING.key)
+
+    this.reconnectTimer = setTimeout(ev => {
+      this.reconnectTimer = null
+
+      this._teardownSkyWayConnection()
+        .then(() => this._connect(peerids))
+        .then(() => {
+          this._setState(STATES.STARTED.key)
+          this.emit('reconnect', attempt + 1)
+        }).catch(err => {
+          // close() was called while reconnecting
+          if(this.closed) return
+
+          console.warn(err)
+          this._reconnect(attempt + 1, peerids)
+        })
+    }, this._reconnectDelay(attempt))
+  }
+
+  /**
+   * calculate delay before reconnect attempt
+   *
+   * @param {number} attempt
+   * @returns {number} delay in milli seconds
+   * @private
+   */
+  _reconnectDelay(attempt: number): number {
+    const { initialDelay, maxDelay, factor } = this.reconnectOptions
+
+    return Math.min(initialDelay * Math.pow(factor, attempt), maxDelay)
+  }
+
+  /**
+   * close connections to devices, then destroy current SkyWay instance
+   *
+   * @private
+   */
+  _teardownSkyWayConnection(): Promise<any> {
+    return this.deviceManager.closeAll()
+      .then(() => {
+        if(this.skyway) this.skyway.destroy()
+      })
   }
 
 
@@ -117,16 +345,234 @@ class SiRuClient extends EventEmitter {
    *
    * @param {string} uuid_path - target-device-uuid + path which begin with '/'. (e.g. "target-uuid/echo/hello" )
    * @param {object} options
-   * @param {string} options.method - default is `GET`
+   * @param {string} options.method - default is `GET`. It should be one of GET, HEAD, POST, PUT, PATCH, DELETE and OPTIONS.
    * @param {object} options.query  - default is `{}`
-   * @param {string} options.body   - default is `null`
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} options.body   - default is `null`.
+   *   binary body is available only for devices which advertise 'binary' capability.
+   * @param {object|Headers} options.headers - request headers. When body is object,
+   *   `Content-Type: application/json` is set unless specified.
+   * @param {number} options.timeout - timeout in milli seconds. default is 5000. `0` disables timeout.
+   *   While body is sent in chunks, it is restarted every time a chunk is sent, so that it covers
+   *   each chunk and the response after the last one, rather than whole upload.
+   * @param {AbortSignal} options.signal - signal to abort this request.
+   * @param {number} options.chunkSize - body larger than this is sent in chunks. default is `options.chunkSize` of constructor.
+   * @param {function} options.onUploadProgress - called with (sent, total) every time a chunk of body is sent.
+   * @param {function} options.onProgress - called with (received, total) every time a chunk of response is received.
+   *   `total` is number of chunks (`chunk_len`). For not chunked response, it is called once with (1, 1).
+   * @param {boolean} options.stream - when true, resolved as soon as the first chunk of response is received.
+   *   Rest of chunks can be read from `Response#body` stream progressively.
+   * @param {object|boolean} options.retry - retry policy for this request, which overrides `options.retry` of constructor.
+   *   `false` disables retry. Request is retried on timeout or status in `retry.statuses`, only when method is
+   *   in `retry.methods` (GET and HEAD by default). Each attempt has its own transaction_id, and number of
+   *   attempts is set to `attempt` of Response or error.
+   * @param {string} options.cache - cache mode, when cache is enabled by constructor. 'default' uses fresh
+   *   cached response or revalidates it with If-None-Match, 'no-cache' always revalidates, 'reload' ignores
+   *   cached response but stores new one, and 'no-store' bypasses cache.
    *
-   * @returns {Promise.<Response>} Response object
+   * @returns {Promise.<Response>} Response object. When aborted, it will be rejected with `AbortError`,
+   *   and when timeout, with `TimeoutError`.
+   *
+   * Before sending, request options (with `uuid_path`) are passed to `client.interceptors.request`,
+   * and Response is passed to `client.interceptors.response` before resolved.
    *
    * @private
    *
    */
   fetch(uuid_path: string, options:?Object): Promise<any> {
+    // errors are always delivered by rejection, even when request is sent synchronously
+    const __send = req => {
+      if( req === null || typeof(req) !== 'object' ) {
+        return Promise.reject(new Error('request interceptor should return request options'))
+      }
+      if( typeof(req.uuid_path) !== 'string' ) {
+        return Promise.reject(new Error('uuid_path should be string'))
+      }
+
+      try {
+        return this._fetchWithCache(req.uuid_path, _.omit(req, 'uuid_path'))
+          .then(res => {
+            // request options which produced this response, e.g. for logging in response interceptor
+            res.request = req
+            return res
+          })
+      } catch(err) {
+        return Promise.reject(err)
+      }
+    }
+
+    const req = Object.assign({}, options, { uuid_path })
+
+    // without request interceptors, request is sent synchronously as before
+    const response = this.interceptors.request.isEmpty() ?
+      __send(req) :
+      this.interceptors.request.apply(Promise.resolve(req)).then(__send)
+
+    return this.interceptors.response.apply(response)
+  }
+
+  /**
+   * send request with cache. Only GET and HEAD are cached, and stream mode bypasses cache.
+   *
+   * @param {string} uuid_path
+   * @param {object} options - options of fetch()
+   * @returns {Promise.<Response>}
+   * @private
+   */
+  _fetchWithCache(uuid_path: string, options: Object): Promise<any> {
+    const cache = this.cache
+    const mode = typeof(options.cache) === 'string' ? options.cache : 'default'
+    const method = typeof(options.method) === 'string' ? options.method.toUpperCase() : 'GET'
+    const fetchOptions = _.omit(options, 'cache')
+
+    if(['default', 'no-cache', 'reload', 'no-store'].indexOf(mode) === -1) {
+      return Promise.reject(new Error(`unknown cache mode: ${mode}`))
+    }
+    if(!cache || mode === 'no-store' || options.stream || (method !== 'GET' && method !== 'HEAD')) {
+      return this._fetchWithRetry(uuid_path, fetchOptions)
+    }
+
+    const arr = uuid_path.split("/")
+    const uuid = arr[0]
+    const path = "/" + arr.slice(1).join("/")
+    const key = ResponseCache.keyOf(uuid, method, path, options.query)
+
+    const __fromEntry = entry => new Response({
+      status: entry.status,
+      statusText: entry.statusText,
+      method: typeof(options.method) === 'string' ? options.method : 'GET',
+      transaction_id: util.createTransactionId(),
+      headers: entry.headers,
+      text: entry.text,
+      uuid,
+      path
+    })
+
+    return cache.get(key).then(entry => {
+      if(entry && mode === 'default' && ResponseCache.isFresh(entry)) return __fromEntry(entry)
+
+      // revalidate cached response with its ETag
+      const headers = new Headers(fetchOptions.headers)
+      if(entry && entry.etag && mode !== 'reload') headers.set('if-none-match', entry.etag)
+
+      return this._fetchWithRetry(uuid_path, Object.assign({}, fetchOptions, { headers: headers.toJSON() }))
+        .then(res => {
+          if(res.status === 304 && entry) {
+            // cached response is still valid. freshness is updated by headers of 304
+            const merged = new Headers(Object.assign({}, entry.headers, res.headers.toJSON()))
+            const refreshed = ResponseCache.createEntry(entry.status, entry.statusText, merged, entry.text) || entry
+            const ret = __fromEntry(refreshed)
+
+            ret.attempt = res.attempt
+            return cache.set(key, refreshed).then(() => ret)
+          }
+
+          if(!res.ok || !res._isText()) return res
+
+          return res.clone().text()
+            .then(text => {
+              const created = ResponseCache.createEntry(res.status, res.statusText, res.headers, text)
+
+              return created ? cache.set(key, created) : cache.delete(key)
+            })
+            // failure of cache must not fail the request
+            .catch(err => console.warn(err))
+            .then(() => res)
+        })
+    })
+  }
+
+  /**
+   * send request with _fetch(), then retry it by retry policy
+   *
+   * @param {string} uuid_path
+   * @param {object} options - options of fetch()
+   * @returns {Promise.<Response>} Response or error has `attempt`
+   * @private
+   */
+  _fetchWithRetry(uuid_path: string, options: Object): Promise<any> {
+    const policy = Object.assign({}, this.retryOptions,
+      options.retry === false ? { maxAttempts: 1 } : options.retry)
+    const method = typeof(options.method) === 'string' ? options.method.toUpperCase() : 'GET'
+    const retriable = policy.methods.indexOf(method) !== -1
+    const fetchOptions = _.omit(options, 'retry')
+
+    const __retry = attempt => this._waitForRetry(attempt, policy, options.signal)
+      .then(() => __attempt(attempt + 1), err => {
+        err.attempt = attempt
+        throw err
+      })
+
+    const __attempt = attempt => this._fetch(uuid_path, fetchOptions)
+      .then(res => {
+        if(retriable && attempt < policy.maxAttempts && policy.statuses.indexOf(res.status) !== -1) {
+          return __retry(attempt)
+        }
+
+        res.attempt = attempt
+        return res
+      }, err => {
+        if(retriable && attempt < policy.maxAttempts && err instanceof TimeoutError) {
+          return __retry(attempt)
+        }
+
+        err.attempt = attempt
+        throw err
+      })
+
+    return __attempt(1)
+  }
+
+  /**
+   * wait before retry with exponential backoff and jitter
+   *
+   * @param {number} attempt - number of attempts done
+   * @param {object} policy - retry policy
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>} rejected when aborted or client is closed while waiting
+   * @private
+   */
+  _waitForRetry(attempt: number, policy: Object, signal: ?Object): Promise<void> {
+    return new Promise((resolv, reject) => {
+      const __abortListener = () => {
+        clearTimeout(timer)
+        reject(new AbortError(`fetch aborted while waiting for retry`))
+      }
+
+      const timer = setTimeout(ev => {
+        if(signal) signal.removeEventListener('abort', __abortListener)
+
+        if(this.state === STATES.CLOSED.key) reject(new Error('fetch aborted, since client was closed'))
+        else resolv()
+      }, this._retryDelay(attempt, policy))
+
+      if(signal) signal.addEventListener('abort', __abortListener)
+    })
+  }
+
+  /**
+   * calculate delay before retry
+   *
+   * @param {number} attempt - number of attempts done
+   * @param {object} policy - retry policy
+   * @returns {number} delay in milli seconds
+   * @private
+   */
+  _retryDelay(attempt: number, policy: Object): number {
+    const { initialDelay, maxDelay, factor, jitter } = policy
+    const delay = Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay)
+
+    return delay * (1 - jitter * Math.random())
+  }
+
+  /**
+   * send request to the device. see fetch()
+   *
+   * @param {string} uuid_path
+   * @param {object} options
+   * @returns {Promise.<Response>}
+   * @private
+   */
+  _fetch(uuid_path: string, options:?Object): Promise<any> {
     return new Promise((resolv, reject) => {
       const arr = uuid_path.split("/")
       if(arr.length < 2) {
@@ -134,544 +580,2370 @@ class SiRuClient extends EventEmitter {
         return
       }
 
+      const { signal, timeout, method } = Object.assign({ signal: null, timeout: util.TIMEOUT, method: 'GET' }, options)
+      if(typeof(method) !== 'string' || util.METHODS.indexOf(method.toUpperCase()) === -1) {
+        reject(new Error(`method ${String(method)} is not allowed`))
+        return
+      }
+      if(typeof(timeout) !== 'number' || timeout < 0) {
+        reject(new Error("options.timeout must be positive number"))
+        return
+      }
+      if(signal && signal.aborted) {
+        reject(new AbortError(`fetch aborted for ${uuid_path}`))
+        return
+      }
+
       const uuid = arr[0]
       const conn = this.deviceManager.getDataChannelConnection(uuid)
-      if(!conn) reject(new Error(`no connection found for ${uuid}`))
+      if(!conn) {
+        // request for absent device is queued, then sent when it is connected again
+        if(this.queue && this.knownDevices[uuid]) {
+          this._enqueueRequest(uuid, uuid_path, options || {}, resolv, reject)
+          return
+        }
+
+        reject(new Error(`no connection found for ${uuid}`))
+      }
+
+      const device = this.deviceManager.getDevice(uuid)
+      if(device && options && util.isBinary(options.body) && !device.hasCapability('binary')) {
+        reject(new Error(`device ${uuid} does not support binary payload`))
+        return
+      }
+
+      let headers
+      try {
+        headers = this._createRequestHeaders(options || {})
+      } catch(err) {
+        reject(err)
+        return
+      }
 
       if(uuid && conn) {
-        const transaction_id = Date.now()
+        const transaction_id = util.createTransactionId()
         const path           = "/" + arr.slice(1).join("/")
-        let resolved = false
 
         const _default = { uuid, conn, transaction_id, path, method: 'GET', query: {}, body: null }
 
-        const requestObj = Object.assign({}, _default, options)
+        const requestObj = Object.assign({}, _default, options, { headers })
 
 
-        const __listener =  (id, res) => {
-          if(id === transaction_id) {
-            this.removeListener('__fetchResponse', __listener)
+        let timer = null
 
-            resolved = true
+        // when discard is true, partially received chunks are discarded as well.
+        // (in stream mode, chunks are still received after resolved)
+        const __cleanup = (discard: boolean) => {
+          clearTimeout(timer)
+          delete this.pendings[transaction_id]
+          if(signal) signal.removeEventListener('abort', __abortListener)
+
+          if(discard) this._discardChunks(transaction_id)
+        }
+
+        const __abortListener = () => {
+          __cleanup(true)
+          reject(new AbortError(`fetch aborted for ${transaction_id}`))
+        }
+
+        // pending request will be settled by _handleDCData() or close()
+        this.pendings[transaction_id] = {
+          uuid,
+          path,
+          stream: !!requestObj.stream,
+          onProgress: requestObj.onProgress,
+          resolv: res => {
+            __cleanup(false)
             resolv(res)
+          },
+          reject: err => {
+            __cleanup(true)
+            reject(err)
           }
         }
-        this.addListener('__fetchResponse', __listener)
 
-        this._sendRequest(requestObj)
+        if(signal) signal.addEventListener('abort', __abortListener)
 
-        setTimeout( ev => {
-          if(!resolved) {
-            console.log('timeout')
-            this.removeListener('__fetchResponse', __listener)
+        // (re)started every time a chunk of body is sent, then after the last one
+        const __startTimer = () => {
+          if(timeout <= 0 || !this.pendings[transaction_id]) return
+
+          clearTimeout(timer)
+          timer = setTimeout( ev => {
+            if(this.pendings[transaction_id]) {
+              console.log('timeout')
+              __cleanup(true)
+
+              reject(new TimeoutError(`fetch timeout for ${transaction_id}`))
+            }
+          }, timeout)
+        }
+
+        __startTimer()
 
-            reject(new Error(`fetch timeout for ${transaction_id}`))
+        this._sendRequest(Object.assign({}, requestObj, {
+          onUploadProgress: (sent, total) => {
+            __startTimer()
+            if(typeof(requestObj.onUploadProgress) === 'function') requestObj.onUploadProgress(sent, total)
           }
-        }, util.TIMEOUT)
+        }))
+          .then(() => __startTimer())
+          .catch(err => {
+            if(this.pendings[transaction_id]) this.pendings[transaction_id].reject(err)
+          })
       }
     })
   }
 
+  /**
+   * send GET request to the device, then resolve with parsed body.
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {string} path - path which begins with '/'
+   * @param {object} [query] - query parameters
+   * @param {object} [options] - options of fetch(). In addition, `options.responseType` is available.
+   * @param {string} [options.responseType='json'] - 'json', 'text', 'arrayBuffer', 'blob' or 'response'
+   *   ('response' resolves Response object as it is).
+   * @returns {Promise<any>} parsed body. When status is not 2xx, it will be rejected with `HttpError`.
+   * @method SiRuClient#get
+   *
+   * @example
+   * client.get('robot-uuid', '/battery').then(json => console.log(json.level))
+   */
+  get(uuid: string, path: string, query: ?Object, options: ?Object): Promise<any> {
+    return this._request('GET', uuid, path, Object.assign({}, options, query ? { query } : {}))
+  }
 
   /**
-   * publish message to all connecting peer.
-   * when subscribing by myself, fire 'message' event internally as well.
+   * send POST request to the device, then resolve with parsed body.
    *
-   * @param {string} topic
-   * @param {string|object} data
-   * @method SiRuClient#publish
+   * @param {string} uuid - uuid of target device
+   * @param {string} path - path which begins with '/'
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} [body]
+   * @param {object} [options] - same as options of SiRuClient#get
+   * @returns {Promise<any>} parsed body. When status is not 2xx, it will be rejected with `HttpError`.
+   * @method SiRuClient#post
    *
    * @example
-   * client.publish('testtopic/message', {payload: 'hello'});
+   * client.post('robot-uuid', '/move', {x: 10, y: 20})
    */
-  publish(topic: string, data: string|Object): void {
-    if(typeof(topic) === 'string' && (typeof(data) === 'string' || typeof(data) === 'object')) {
-      const _data = {
-        topic,
-        payload: data
-      }
+  post(uuid: string, path: string, body: any, options: ?Object): Promise<any> {
+    return this._request('POST', uuid, path, Object.assign({}, options, { body }))
+  }
 
-      // send serialized message to all connecting peer.
-      const _serialized = JSON.stringify(_data)
-      this.deviceManager.devices.forEach( (device, i) => {
-        console.log(`to device ${i} : send`);
-        device.connection.send(_serialized)
-      })
-    } else {
-      if( typeof(topic) !== 'string' ) throw new Error("topic should be string")
-      if( typeof(data) !== 'string' && typeof(data) !== 'object' ) throw new Error("data should be string or object")
-    }
+  /**
+   * send PUT request to the device, then resolve with parsed body.
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {string} path - path which begins with '/'
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} [body]
+   * @param {object} [options] - same as options of SiRuClient#get
+   * @returns {Promise<any>} parsed body. When status is not 2xx, it will be rejected with `HttpError`.
+   * @method SiRuClient#put
+   */
+  put(uuid: string, path: string, body: any, options: ?Object): Promise<any> {
+    return this._request('PUT', uuid, path, Object.assign({}, options, { body }))
   }
 
   /**
-   * subscribe to topic
-   * @param {string} topic
-   * @method SiRuClient#subscribe
+   * send PATCH request to the device, then resolve with parsed body.
    *
-   * @example
-   * client.subscribe('testtopic/+');
-   * client.on('message', ( topic, name ) => {
-   *   console.log(topic, name); // #=> 'testtopic/message hello'
-   * });
+   * @param {string} uuid - uuid of target device
+   * @param {string} path - path which begins with '/'
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} [body]
+   * @param {object} [options] - same as options of SiRuClient#get
+   * @returns {Promise<any>} parsed body. When status is not 2xx, it will be rejected with `HttpError`.
+   * @method SiRuClient#patch
    */
-  subscribe(topic: string): void {
-    if(typeof(topic) === 'string') {
-      this.topics.push(topic)
-      this.topics = _.uniq(this.topics)
-    } else {
-      throw new Error("topic should be string")
-    }
+  patch(uuid: string, path: string, body: any, options: ?Object): Promise<any> {
+    return this._request('PATCH', uuid, path, Object.assign({}, options, { body }))
   }
 
   /**
-   * unsubscribe topic
-   * @param {string} topic
-   * @method SiRuClient#unsubscribe
+   * send DELETE request to the device, then resolve with parsed body.
    *
-   * @example
-   * client.unsubscribe('testtopic/+');
+   * @param {string} uuid - uuid of target device
+   * @param {string} path - path which begins with '/'
+   * @param {object} [options] - same as options of SiRuClient#get
+   * @returns {Promise<any>} parsed body. When status is not 2xx, it will be rejected with `HttpError`.
+   * @method SiRuClient#delete
    */
-  unsubscribe(topic: string): void {
-    if(typeof(topic) === 'string') {
-      this.topics = this.topics.filter(_topic => { return topic !== _topic })
-    } else {
-      throw new Error("topic should be string")
-    }
+  delete(uuid: string, path: string, options: ?Object): Promise<any> {
+    return this._request('DELETE', uuid, path, options)
   }
 
   /**
-   * request streaming to SSG
+   * send request, to which the device pushes a series of response frames until it ends or
+   * the stream is cancelled (e.g. GPS fixes every second). Frames are correlated by transaction_id.
    *
-   * @param {string} uuid
-   * @returns {Promise<Object>} returns stream object
-   * @method SiRuClient#requestStreaming
+   * Request envelope has `push: true`. The device responds frames with `push: true` and `idx` (0, 1, 2, ...),
+   * and the last frame has `end: true`. Frames are emitted in order of idx. Large frame can be sent in chunks
+   * with `chunked: true, chunk_len, chunk_idx, chunk`, which are reassembled with the same limits as fetch().
+   * When cancelled, envelope with `cancel: true` is sent to the device.
+   *
+   * @param {string} uuid_path - target-device-uuid + path which begin with '/'.
+   * @param {object} [options] - method, query, headers, body, chunkSize and signal, same as fetch().
+   *   When signal is aborted, the stream is cancelled and fails with `AbortError`.
+   * @param {number} [options.bufferSize=100] - maximum number of frames buffered for next() or held to be reordered.
+   * @returns {ResponseStream} stream of Response
+   * @method SiRuClient#stream
    *
    * @example
-   * client.requestStreaming(uuid)
-   *   .then( stream => { ... } )
+   * const gps = client.stream('gps-uuid/fix', { query: { interval: 1000 } })
+   *
+   * gps.toObservable().take(10).subscribe(res => res.json().then(fix => console.log(fix)))
+   *
+   * for await (const res of client.stream('gps-uuid/fix')) {
+   *   if(done) break // cancels the stream
+   * }
    */
-  requestStreaming(uuid: string): Promise<Object>{
-    return new Promise((resolv, reject) => {
-      const conn = this.deviceManager.getDataChannelConnection(uuid)
+  stream(uuid_path: string, options: ?Object): ResponseStream {
+    const arr = uuid_path.split("/")
+    if(arr.length < 2) throw new Error("uuid_path is invalide format")
+
+    const uuid = arr[0]
+    const path = "/" + arr.slice(1).join("/")
+    const conn = this.deviceManager.getDataChannelConnection(uuid)
+    if(!conn) throw new Error(`no connection found for ${uuid}`)
+
+    const { method, query, body, signal, chunkSize, bufferSize } =
+      Object.assign({ method: 'GET', query: {}, body: null, signal: null }, options)
+    if(typeof(method) !== 'string' || util.METHODS.indexOf(method.toUpperCase()) === -1) {
+      throw new Error(`method ${String(method)} is not allowed`)
+    }
+    const headers = this._createRequestHeaders(options || {})
 
-      if(conn) {
-        let resolved = false
+    const transaction_id = util.createTransactionId()
 
-        const __listener = call => {
-          const __uuid = this.deviceManager.getUUID(call.remoteId)
-          this.skyway.removeListener('call', __listener)
+    const __abortListener = () => {
+      this._cancelStream(stream)
+      stream.fail(new AbortError(`stream aborted for ${transaction_id}`))
+    }
 
-          if(__uuid !== uuid) return
+    const stream = new ResponseStream({ transaction_id, uuid, path, bufferSize }, _stream => this._cancelStream(_stream))
+    const __cleanup = () => {
+      delete this.streams[transaction_id]
+      this._discardPushChunks(transaction_id)
+      if(signal) signal.removeEventListener('abort', __abortListener)
+    }
+    stream.once('end', __cleanup)
+    stream.once('__failed', __cleanup)
 
-          call.on('stream', stream => {
-            resolved = true
-            this.deviceManager.setCallObject(uuid, call)
-            this.emit('stream', stream, uuid)
-            resolv(stream)
-          })
-          call.on('error', err => {
-            this.emit('stream:error', err, uuid)
-            this.deviceManager.unsetCallObject(uuid)
+    this.streams[transaction_id] = stream
+    if(signal) signal.addEventListener('abort', __abortListener)
 
-            if(!resolved) {
-              resolved = true
-              reject(err)
-            }
-          })
-          call.on('close', () => {
-            this.emit('stream:closed', uuid)
-            this.deviceManager.unsetCallObject(uuid)
+    this._sendRequest({ uuid, conn, transaction_id, method, path, query, headers, body, chunkSize, push: true })
+      .catch(err => stream.fail(err))
 
-            if(!resolved) {
-              // received close event when not received 'stream' event, we consider it as error
-              resolved = true
-              reject(new Error(`stream closed for ${uuid}`))
-            }
-          })
+    return stream
+  }
 
-          call.answer()
-        }
-        this.skyway.on('call',  __listener)
-        conn.send(`SSG:stream/start,${this.myid}`)
+  /**
+   * notify the device to stop pushing frames of the stream
+   *
+   * @param {ResponseStream} stream
+   * @private
+   */
+  _cancelStream(stream: ResponseStream): void {
+    const { transaction_id, uuid, path } = stream
+    const conn = this.deviceManager.getDataChannelConnection(uuid)
 
-        setTimeout( ev => {
-          if(!resolved) {
-            this.skyway.removeListener('call', __listener)
-            this.deviceManager.unsetCallObject(uuid)
-            resolved = true
-            reject(new Error('timeout'))
-          }
-        }, util.TIMEOUT)
-      } else {
-        reject(new Error(`cannot get connection for ${uuid}`))
-      }
-    })
+    delete this.streams[transaction_id]
+
+    if(conn) conn.send(JSON.stringify({ topic: uuid, payload: { path, transaction_id, cancel: true } }))
   }
 
   /**
-   * request stop streaming to SSG
+   * handle response frame of stream
    *
+   * @param {object} message - {status, transaction_id, method, push, idx, body, end, chunked, chunk_len, chunk_idx, chunk}
    * @param {string} uuid
-   * @returns {Promise<void>}
-   * @method SiRuClient#stopStreaming
+   * @private
+   */
+  _handlePushFrame(message: Object, uuid: string): void {
+    const transaction_id = message.transaction_id
+    const stream = this.streams[transaction_id]
+
+    // ignore frames of unknown (e.g. cancelled) stream
+    if(!stream) return
+
+    if(!Number.isInteger(message.idx) || message.idx < 0) {
+      this._cancelStream(stream)
+      stream.fail(new ReassemblyError(`invalid idx ${message.idx} of push frame : ${transaction_id}`))
+      return
+    }
+
+    let body = message.body
+    if(message.chunked) {
+      body = this._reassemblePushFrame(stream, message)
+
+      // waiting for other chunks, or failed
+      if(body === undefined) return
+    }
+
+    const params = {
+      status: message.status,
+      transaction_id,
+      method: message.method,
+      statusText: message.status_text,
+      headers: _.isObject(message.headers) ? message.headers : undefined,
+      uuid,
+      path: stream.path
+    }
+
+    // end frame may not have body
+    const res = body === undefined ? null :
+      (util.isBinary(body) ?
+        new Response(Object.assign({}, params, {buffer: body})) :
+        new Response(Object.assign({}, params, {text: body})))
+
+    stream.pushAt(message.idx, res, !!message.end)
+  }
+
+  /**
+   * reassemble chunks of push frame. Chunks are counted against the same size budget,
+   * inactivity timeout and deadline as chunked responses of fetch().
+   *
+   * @param {ResponseStream} stream
+   * @param {object} message - {transaction_id, idx, chunk_len, chunk_idx, chunk}
+   * @returns {string|ArrayBuffer|void} body of the frame, when every chunk is received
+   * @private
+   */
+  _reassemblePushFrame(stream: ResponseStream, message: Object): any {
+    const transaction_id = message.transaction_id
+    const key = `${transaction_id}/${message.idx}`
+    const __fail = err => {
+      this._cancelStream(stream)
+      stream.fail(err)
+    }
+
+    // chunk_idx is index of chunk in the frame, since idx is index of the frame
+    const err = this._validateChunk(Object.assign({}, message, { idx: message.chunk_idx }))
+    if( err ) {
+      __fail(err)
+      return
+    }
+
+    if( !this.pushChunks[key] ) {
+      const deadline = this.options.reassemblyDeadline || util.REASSEMBLY_DEADLINE
+      this.pushChunks[key] = {
+        len: message.chunk_len, chunks: [], received: 0, size: 0, timer: null,
+        deadline: setTimeout(ev => {
+          __fail(new ReassemblyError(`chunks were not completed within ${deadline} msec : ${key}`))
+        }, deadline)
+      }
+    }
+
+    const entry = this.pushChunks[key]
+
+    if( message.chunk_len !== entry.len ) {
+      __fail(new ReassemblyError(`chunk_len changed from ${entry.len} to ${message.chunk_len} : ${key}`))
+      return
+    }
+
+    // duplicated chunk is ignored
+    if( entry.chunks[message.chunk_idx] !== undefined ) return
+
+    const size = util.byteLength(message.chunk)
+    const maxSize = this.options.maxReassemblySize || util.MAX_REASSEMBLY_SIZE
+    if( this.reassemblySize + size > maxSize ) {
+      __fail(new ReassemblyError(`size of chunks being reassembled exceeds ${maxSize} : ${key}`))
+      return
+    }
+
+    entry.chunks[message.chunk_idx] = message.chunk
+    entry.received++
+    entry.size += size
+    this.reassemblySize += size
+
+    // restart inactivity timeout for next chunk
+    clearTimeout(entry.timer)
+    const timeout = this.options.reassemblyTimeout || util.REASSEMBLY_TIMEOUT
+    entry.timer = setTimeout(ev => {
+      __fail(new ReassemblyError(`next chunk did not arrive within ${timeout} msec : ${key}`))
+    }, timeout)
+
+    if( entry.received < entry.len ) return
+
+    this._discardPushChunk(key)
+
+    return typeof(entry.chunks[0]) === 'string' ? entry.chunks.join('') : ResponseBody.concat(entry.chunks)
+  }
+
+  /**
+   * release chunks of push frame
+   *
+   * @param {string} key - `<transaction_id>/<idx>`
+   * @private
+   */
+  _discardPushChunk(key: string): void {
+    const entry = this.pushChunks[key]
+
+    if(!entry) return
+
+    clearTimeout(entry.timer)
+    clearTimeout(entry.deadline)
+    this.reassemblySize -= entry.size
+    delete this.pushChunks[key]
+  }
+
+  /**
+   * release chunks of every push frame of the stream
+   *
+   * @param {number} transaction_id
+   * @private
+   */
+  _discardPushChunks(transaction_id: number): void {
+    Object.keys(this.pushChunks)
+      .filter(key => key.indexOf(`${transaction_id}/`) === 0)
+      .forEach(key => this._discardPushChunk(key))
+  }
+
+  /**
+   * fail streams of the device, or every stream when uuid is not specified
+   *
+   * @param {string|null} uuid
+   * @param {Error} err
+   * @private
+   */
+  _failStreams(uuid: string|null, err: Error): void {
+    Object.keys(this.streams)
+      .map(transaction_id => this.streams[parseInt(transaction_id, 10)])
+      .filter(stream => uuid === null || stream.uuid === uuid)
+      .forEach(stream => stream.fail(err))
+  }
+
+  /**
+   * register handler of requests from devices. Devices can call it with request envelope
+   * addressed to peerid of the client (e.g. `{topic: <myid>, payload: {method, path, query, headers, body, transaction_id}}`),
+   * and it is answered with the same response format as responses from devices.
+   *
+   * Handler is called with request object `{uuid, method, path, query, headers, body}` and returns
+   * (or resolves with) `{status, statusText, headers, body}`. Every property is optional, and status is 200 by default.
+   * When handler throws, it is answered with `err.status` (500 by default) and error message.
+   * Requests to path without handler are answered with 404.
    *
+   * @param {string} path - path which begin with '/'
+   * @param {function} handler
+   * @method SiRuClient#handle
    *
    * @example
-   * client.stopStreaming(uuid)
-   *   .then( () => { ... } )
+   * client.handle('/confirm', req => {
+   *   const ok = window.confirm(`${req.uuid} will move arm to ${req.body.position}. OK?`)
+   *   return { status: ok ? 200 : 403, body: { ok } }
+   * })
    */
-  stopStreaming(uuid: string): Promise<void> {
+  handle(path: string, handler: Function): void {
+    if(typeof(path) !== 'string' || path.indexOf('/') !== 0) throw new Error(`path ${String(path)} must begin with '/'`)
+    if(typeof(handler) !== 'function') throw new Error('handler must be function')
+
+    this.handlers[path] = handler
+  }
+
+  /**
+   * unregister handler of path. After that, requests to the path are answered with 404.
+   *
+   * @param {string} path
+   * @method SiRuClient#unhandle
+   */
+  unhandle(path: string): void {
+    delete this.handlers[path]
+  }
+
+  /**
+   * call procedure of the device with JSON-RPC 2.0. The device must advertise 'jsonrpc' capability in its profile.
+   *
+   * Request is sent as `{topic: uuid, payload: {jsonrpc: '2.0', method, params, id}}` on the same DataChannel.
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {string} method - name of procedure
+   * @param {Array|object} [params] - positional or named parameters
+   * @param {object} [options]
+   * @param {number} [options.timeout=5000] - TimeoutError is raised, when response does not arrive within this (msec).
+   * @param {AbortSignal} [options.signal] - AbortError is raised, when it is aborted
+   * @returns {Promise<any>} resolved with result. When the device responds error, it is rejected with RpcError
+   *   (or its subclass for standard error code e.g. MethodNotFoundError).
+   * @method SiRuClient#rpc
+   *
+   * @example
+   * client.rpc('arm-uuid', 'move', { x: 10, y: 20 })
+   *   .then(result => console.log(result))
+   *   .catch(err => {
+   *     if(err instanceof SiRuClient.MethodNotFoundError) console.warn('move is not supported')
+   *   })
+   */
+  rpc(uuid: string, method: string, params: any, options: ?Object): Promise<any> {
+    return this._sendRpc(uuid, [ { method, params } ], options, false)
+      .then(([ result ]) => result.status === 'fulfilled' ? result.value : Promise.reject(result.reason))
+  }
+
+  /**
+   * send JSON-RPC 2.0 notification, to which the device does not respond.
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {string} method - name of procedure
+   * @param {Array|object} [params] - positional or named parameters
+   * @returns {Promise<void>} resolved when it is sent
+   * @method SiRuClient#notify
+   *
+   * @example
+   * client.notify('arm-uuid', 'stop')
+   */
+  notify(uuid: string, method: string, params: any): Promise<void> {
+    return this._sendRpc(uuid, [ { method, params, notify: true } ], null, false)
+      .then(() => undefined)
+  }
+
+  /**
+   * send several JSON-RPC 2.0 calls and notifications in a batch.
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {Array<object>} calls - array of `{method, params, notify}`. When notify is true, it is sent as notification.
+   * @param {object} [options] - same as rpc()
+   * @returns {Promise<Array<object>>} results in the same order as calls. Each result is `{status: 'fulfilled', value}`
+   *   or `{status: 'rejected', reason: Error}`. value of notification is undefined.
+   * @method SiRuClient#rpcBatch
+   *
+   * @example
+   * client.rpcBatch('arm-uuid', [
+   *   { method: 'position' },
+   *   { method: 'temperature', params: [ 'motor' ] },
+   *   { method: 'log', params: { message: 'polled' }, notify: true }
+   * ]).then(results => results.forEach(result => console.log(result.status, result.value)))
+   */
+  rpcBatch(uuid: string, calls: Array<Object>, options: ?Object): Promise<Array<Object>> {
+    if(!Array.isArray(calls) || calls.length === 0) return Promise.reject(new Error('calls must be non-empty array'))
+
+    return this._sendRpc(uuid, calls, options, true)
+  }
+
+  /**
+   * send JSON-RPC requests, then resolve with settled results when every response arrives.
+   *
+   * @param {string} uuid
+   * @param {Array<object>} calls - array of `{method, params, notify}`
+   * @param {object} [options] - {timeout, signal}
+   * @param {boolean} batch - when true, requests are sent as batch (array), otherwise single request object.
+   * @returns {Promise<Array<object>>}
+   * @private
+   */
+  _sendRpc(uuid: string, calls: Array<Object>, options: ?Object, batch: boolean): Promise<Array<Object>> {
     return new Promise((resolv, reject) => {
+      const { signal, timeout } = Object.assign({ signal: null, timeout: util.TIMEOUT }, options)
+      if(typeof(timeout) !== 'number' || timeout < 0) {
+        reject(new Error("options.timeout must be positive number"))
+        return
+      }
+      if(signal && signal.aborted) {
+        reject(new AbortError(`rpc aborted for ${uuid}`))
+        return
+      }
+
       const conn = this.deviceManager.getDataChannelConnection(uuid)
       if(!conn) {
-        reject(new Error(`stopStreaming - cannot find connection for ${uuid}`))
+        reject(new Error(`no connection found for ${uuid}`))
         return
       }
-      conn.send("SSG:stream/stop")
 
-      const call = this.deviceManager.getCallObject(uuid)
-      if(!call) {
-        reject(new Error(`stopStreaming - cannot find call object for ${uuid}`))
+      const device = this.deviceManager.getDevice(uuid)
+      if(!device || !device.hasCapability('jsonrpc')) {
+        reject(new Error(`device ${uuid} does not support JSON-RPC`))
+        return
+      }
+
+      let requests
+      try {
+        requests = calls.map(call => this._createRpcRequest(call.method, call.params, !!call.notify))
+      } catch(err) {
+        reject(err)
         return
       }
 
+      // result of notification is settled immediately, since the device does not respond.
+      const results: Array<any> = requests.map(req => req.id === undefined ? { status: 'fulfilled', value: undefined } : null)
+      let remaining = results.filter(result => result === null).length
+      let timer = null
 
-      let resolved = false
-      call.on('close', () => {
-        resolved = true
-        this.deviceManager.unsetCallObject(uuid)
-        resolv()
+      const __settle = (idx, result) => {
+        if(results[idx]) return
+
+        results[idx] = result
+        delete this.pendings[requests[idx].id]
+
+        remaining--
+        if(remaining === 0) {
+          clearTimeout(timer)
+          if(signal) signal.removeEventListener('abort', __abortListener)
+          resolv(results)
+        }
+      }
+
+      const __failAll = err => requests.forEach((req, idx) => {
+        if(req.id !== undefined) __settle(idx, { status: 'rejected', reason: err })
       })
-      call.close()
 
-      setTimeout(ev => {
-        if(!resolved) {
-          this.deviceManager.unsetCallObject(uuid)
-          reject(new Error("timeout for stopStreaming"))
+      const __abortListener = () => __failAll(new AbortError(`rpc aborted for ${uuid}`))
+
+      // pending calls will be settled by _handleRpcResponse() or close()
+      requests.forEach((req, idx) => {
+        if(req.id === undefined) return
+
+        this.pendings[req.id] = {
+          uuid,
+          rpc: true,
+          group: requests,
+          resolv: value => __settle(idx, { status: 'fulfilled', value }),
+          reject: reason => __settle(idx, { status: 'rejected', reason })
         }
-      }, util.TIMEOUT)
+      })
+
+      if(remaining > 0) {
+        if(signal) signal.addEventListener('abort', __abortListener)
+        if(timeout > 0) timer = setTimeout(ev => __failAll(new TimeoutError(`rpc timeout for ${uuid}`)), timeout)
+      }
+
+      conn.send(JSON.stringify({ topic: uuid, payload: batch ? requests : requests[0] }))
+
+      if(remaining === 0) resolv(results)
     })
   }
 
   /**
-   * This method will send mediaStream to device.
-   * This method is useful for playing voice at remote speaker,
-   * recording audio and remote audio recognition etc.
-   * About options, see more detail at
-   * https://webrtc.ecl.ntt.com/skyway-js-sdk-doc/en/peer/#call-options-object
+   * create request object of JSON-RPC 2.0
+   *
+   * @param {string} method
+   * @param {Array|object} [params]
+   * @param {boolean} notify - when true, id is omitted.
+   * @returns {object} request object
+   * @private
+   */
+  _createRpcRequest(method: string, params: any, notify: boolean): Object {
+    if(typeof(method) !== 'string' || method === '') throw new Error('method must be non-empty string')
+    if(params !== undefined && params !== null && typeof(params) !== 'object') {
+      throw new Error('params must be array or object')
+    }
+
+    const req: Object = { jsonrpc: '2.0', method }
+    if(params !== undefined && params !== null) req.params = params
+    if(!notify) req.id = util.createTransactionId()
+
+    return req
+  }
+
+  /**
+   * handle JSON-RPC response (or batch of them) from device, then settle pending call of id.
+   *
+   * Error with null id (e.g. parse error) can not be correlated with any call. When it comes with
+   * other responses of a batch, calls of the batch which are left unanswered fail with it.
+   * Otherwise, every pending call to the device fails with it.
+   *
+   * @param {object|Array<object>} message
+   * @param {string} uuid - uuid of the device which sent message
+   * @private
+   */
+  _handleRpcResponse(message: Object|Array<Object>, uuid: string): void {
+    const responses = Array.isArray(message) ? message : [ message ]
+    const __pending = id => {
+      const pending = this.pendings[id]
+      return pending && pending.rpc && pending.uuid === uuid ? pending : null
+    }
+
+    const failures = responses.filter(res => res && res.id === null && _.isObject(res.error))
+    const groups = _.uniq(responses
+      .map(res => res ? __pending(res.id) : null)
+      .filter(Boolean)
+      .map(pending => pending.group))
+
+    responses.forEach(res => {
+      if(failures.indexOf(res) !== -1) return
+
+      const pending = res ? __pending(res.id) : null
+      if(!pending) {
+        console.warn('JSON-RPC response for unknown id', res)
+        return
+      }
+
+      if(_.isObject(res.error)) pending.reject(RpcError.from(res.error))
+      else if(res.hasOwnProperty('result')) pending.resolv(res.result)
+      else pending.reject(new Error(`invalid JSON-RPC response for ${res.id}`))
+    })
+
+    if(failures.length === 0) return
+
+    Object.keys(this.pendings)
+      .map(id => __pending(id))
+      .filter(Boolean)
+      .filter(pending => groups.length === 0 || groups.indexOf(pending.group) !== -1)
+      .forEach(pending => pending.reject(RpcError.from(failures[0].error)))
+  }
+
+  /**
+   * request API description (OpenAPI 3 or Swagger 2 in JSON) of the device, then expose it as `device.api`.
+   * The device advertises path of the description as `profile.openapi` (e.g. '/openapi.json').
+   * When `options.discovery` is true, it is called automatically at registration.
+   *
+   * Every operation which has operationId becomes method of `device.api`, which validates parameters
+   * with the description, then sends request by fetch() and resolves with parsed body like get().
+   * Invalid parameters are rejected with ValidationError without sending request.
    *
    * @param {string} uuid - uuid of target device
-   * @param {Object} stream - media stream object
-   * @param {Object} [options]
-   * @param {string} [options.audioCodec='opus'] - audio codec
-   * @param {string} [options.videoCodec='H264'] - video codec
-   * @return {Promise<MediaConnection>} - see https://webrtc.ecl.ntt.com/skyway-js-sdk-doc/en/mediaconnection/
+   * @param {object} [options] - options of fetch() to request the description
+   * @returns {Promise<DeviceApi>}
+   * @method SiRuClient#discover
    *
-   * @method SiRuClient#sendStream
+   * @example
+   * client.discover('thermo-uuid').then(api => {
+   *   // GET /temperature?unit=c
+   *   return api.getTemperature({ unit: 'c' })
+   * }).then(temperature => console.log(temperature))
+   */
+  discover(uuid: string, options: ?Object): Promise<DeviceApi> {
+    const device = this.deviceManager.getDevice(uuid)
+    if(!device) return Promise.reject(new Error(`no device found for ${uuid}`))
+
+    const path = device.profile.openapi
+    if(typeof(path) !== 'string' || path.indexOf('/') !== 0) {
+      return Promise.reject(new Error(`device ${uuid} does not advertise API description`))
+    }
+
+    return this._request('GET', uuid, path, Object.assign({}, options, { responseType: 'json' }))
+      .then(document => {
+        const api = new DeviceApi(document, (method, _path, _options) => this._request(method, uuid, _path, _options))
+
+        device.api = api
+        this.emit('device:api', uuid, api)
+
+        return api
+      })
+  }
+
+  /**
+   * send the same request to many devices, then resolve with results of every device.
+   * Like `Promise.allSettled()`, it is resolved even when some of requests fail.
+   *
+   * @param {string} path - path which begins with '/'
+   * @param {object} [options] - options of fetch()
+   * @param {object} [batchOptions]
+   * @param {string|Array<string>|function} [batchOptions.devices] - target devices. uuid, array of uuid
+   *   or predicate function which receives Device. default is all devices. Request for uuid which is
+   *   not connected results in rejected one like fetch() (or it is queued, when `options.queue` is enabled).
+   * @param {number} [batchOptions.concurrency=Infinity] - maximum number of requests in flight
+   * @returns {Promise<Object>} map of uuid and result. result is `{status: 'fulfilled', value: Response}`
+   *   or `{status: 'rejected', reason: Error}`.
+   * @method SiRuClient#fetchAll
    *
    * @example
+   * client.fetchAll('/status', {}, { concurrency: 4 }).then(results => {
+   *   Object.keys(results).forEach(uuid => {
+   *     if(results[uuid].status === 'fulfilled') console.log(uuid, results[uuid].value.status)
+   *   })
+   * })
+   */
+  fetchAll(path: string, options: ?Object, batchOptions: ?Object): Promise<Object> {
+    return new Promise((resolv, reject) => {
+      const results = {}
+
+      this.observeAll(path, options, batchOptions).subscribe(
+        result => {
+          results[result.uuid] = _.omit(result, 'uuid')
+        },
+        err => reject(err),
+        () => resolv(results)
+      )
+    })
+  }
+
+  /**
+   * streaming variant of fetchAll(). Result of each device is emitted as soon as it arrives.
+   * Unsubscribing stops sending requests which are not started yet.
    *
-   * const client = new SiRuClient( 'testroom', { key: 'YOUR_API_KEY' } );
+   * @param {string} path - path which begins with '/'
+   * @param {object} [options] - options of fetch()
+   * @param {object} [batchOptions] - same as fetchAll()
+   * @returns {Rx.Observable} Observable of `{uuid, status: 'fulfilled', value}` or `{uuid, status: 'rejected', reason}`.
+   *   It fails only when arguments are invalid.
+   * @method SiRuClient#observeAll
    *
-   * client.on('meta', profile => {
-   *   navigator.mediaDevices.getUserMedia({ audio: true, video: false })
-   *     .then( stream =>
-   *        client.sendStream( profile.uuid, stream )
-   *     )
-   *     .then( call => console.log('start sending local stream') )
-   *     .catch( err => console.warn(err) );
-   * });
+   * @example
+   * client.observeAll('/status').subscribe(result => console.log(result.uuid, result.status))
    */
-  sendStream(
-    uuid: string,
-    stream: Object,
-    options: ?{ audioCodec: string, videoCodec: string } = { audioCodec: 'opus', videoCodec: 'H264' }
-  ): Promise<void> {
-    return new Promise( (resolve, reject) => {
-      // validation
-      if( typeof(uuid) !== 'string' ) reject( new Error('parameter `uuid` MUST be string.') )
-      else if( typeof( stream ) !== 'object' ) reject( new Error('parameter `stream` MUST be object.') )
-      else if( options !== undefined && typeof(options) !== 'object' ) reject( new Error('parameter `options` MUST be object') )
-      else if( !this.deviceManager.getPeerid(uuid) ) reject( new Error(`uuid ${uuid} does not exist.`) )
-      else {
-        // implementation
-        const _options = Object.assign( {
-          audioCodec: 'opus',
-          videoCodec: 'H264'
-        }, options );
-        const peerid = this.deviceManager.getPeerid(uuid);
-        const call = this.skyway.call( peerid, stream, _options )
+  observeAll(path: string, options: ?Object, batchOptions: ?Object): Object {
+    return Rx.Observable.create(observer => {
+      const { devices, concurrency } = Object.assign({ devices: undefined, concurrency: Infinity }, batchOptions)
+      let uuids
+
+      try {
+        if(typeof(path) !== 'string' || path.indexOf('/') !== 0) throw new Error('path should begin with "/"')
+        if(typeof(concurrency) !== 'number' || concurrency < 1) throw new Error('concurrency should be positive number')
+
+        // specified uuids are passed to fetch() as they are, so that absent one fails (or is queued) by itself
+        uuids = (typeof(devices) === 'string' || Array.isArray(devices)) ?
+          [].concat(devices) :
+          this.deviceManager.select(devices).map(device => device.uuid)
+      } catch(err) {
+        observer.onError(err)
+        return () => {}
+      }
 
-        const timeout = 10000; // 10 sec
-        let timer = setTimeout( ev => {
-          timer = null;
-          call.close();
-          reject(new Error("cannot make media stream connection."));
-        }, timeout );
+      let next = 0, running = 0, disposed = false
+
+      const __launch = () => {
+        if(disposed) return
+
+        if(next === uuids.length && running === 0) {
+          observer.onCompleted()
+          return
+        }
+
+        while(next < uuids.length && running < concurrency) {
+          const uuid = uuids[next++]
+          running++
+
+          this.fetch(uuid + path, options)
+            .then(
+              value => ({ uuid, status: 'fulfilled', value }),
+              reason => ({ uuid, status: 'rejected', reason })
+            )
+            .then(result => {
+              running--
+              if(disposed) return
+
+              observer.onNext(result)
+              __launch()
+            })
+        }
+      }
+
+      __launch()
+
+      return () => { disposed = true }
+    })
+  }
+
+  /**
+   * send request with fetch(), then parse body of response.
+   *
+   * @param {string} method
+   * @param {string} uuid
+   * @param {string} path
+   * @param {object} [options] - options of fetch() and responseType
+   * @returns {Promise<any>}
+   * @private
+   */
+  _request(method: string, uuid: string, path: string, options: ?Object): Promise<any> {
+    const { responseType } = Object.assign({ responseType: 'json' }, options)
+
+    if(typeof(uuid) !== 'string' || uuid === '') return Promise.reject(new Error('uuid should be string'))
+    if(typeof(path) !== 'string' || path.indexOf('/') !== 0) return Promise.reject(new Error('path should begin with "/"'))
+    if(['json', 'text', 'arrayBuffer', 'blob', 'response'].indexOf(responseType) === -1) {
+      return Promise.reject(new Error(`unknown responseType: ${String(responseType)}`))
+    }
+
+    const fetchOptions = _.omit(Object.assign({}, options, { method }), 'responseType')
+
+    return this.fetch(uuid + path, fetchOptions)
+      .then(res => {
+        if(!res.ok) throw new HttpError(`${method} ${res.url} failed with ${res.status} ${res.statusText}`, res)
+
+        switch(responseType) {
+        case 'response':
+          return res
+        case 'text':
+          return res.text()
+        case 'arrayBuffer':
+          return res.arrayBuffer()
+        case 'blob':
+          return res.blob()
+        default:
+          // empty body (e.g. 204) is resolved with null
+          return res.text().then(text => text === '' ? null : JSON.parse(text))
+        }
+      })
+  }
+
+
+  /**
+   * publish message to all connecting peer.
+   * when subscribing by myself, fire 'message' event internally as well.
+   *
+   * @param {string} topic
+   * @param {string|object|ArrayBuffer|Uint8Array|Blob} data - binary data is sent in binary framing
+   *   packed by js-binarypack. It is available only for devices which advertise 'binary' capability.
+   * @param {object} [options]
+   * @param {string|Array<string>|function} [options.to] - target devices. uuid, array of uuid
+   *   or predicate function which receives Device. When unknown uuid is specified, Error will be thrown.
+   * @method SiRuClient#publish
+   *
+   * @example
+   * client.publish('testtopic/message', {payload: 'hello'});
+   *
+   * // publish only to specific devices
+   * client.publish('robot/command', {action: 'stop'}, { to: 'robot-uuid' });
+   * client.publish('robot/command', {action: 'stop'}, { to: device => device.profile.name === 'arm' });
+   */
+  publish(topic: string, data: string|Object, options: ?{ to?: string|Array<string>|Function }): void {
+    topicFilter.validateTopic(topic)
+    if( typeof(data) !== 'string' && typeof(data) !== 'object' ) throw new Error("data should be string or object")
+
+    const to = options && options.to
+
+    // absent devices are queued, when offline queue is enabled
+    const absents = this._selectAbsentDevices(to)
+    const absentIds = absents.map(device => device.uuid)
+    const _to = (typeof(to) === 'string' || Array.isArray(to)) ? _.difference([].concat(to), absentIds) : to
+
+    // select devices before sending, so that nothing is sent when unknown uuid is specified.
+    const devices = (Array.isArray(_to) && _to.length === 0) ? [] : this.deviceManager.select(_to)
+
+    // when targeted, every target device must support binary payload
+    if( util.isBinary(data) && to !== undefined && to !== null ) {
+      const unsupported = devices.concat(absents).filter(device => !device.hasCapability('binary'))
+
+      if(unsupported.length > 0) throw new Error(`device ${unsupported[0].uuid} does not support binary payload`)
+    }
+
+    // when broadcasting binary data, devices which do not support binary are skipped.
+    const __supports = device => !util.isBinary(data) || device.hasCapability('binary')
+
+    devices
+      .filter(__supports)
+      .forEach(device => device.publish(topic, data))
+
+    absents
+      .filter(__supports)
+      .forEach(device => {
+        if(this.queue) this.queue.push(device.uuid, { type: 'publish', topic, data })
+      })
+  }
+
+  /**
+   * select devices which have been connected once but are absent now.
+   * It is always empty, when offline queue is disabled.
+   *
+   * @param {string|Array<string>|function} [to] - same as options.to of publish()
+   * @returns {Array<Device>}
+   * @private
+   */
+  _selectAbsentDevices(to: ?(string|Array<string>|Function)): Array<Device> {
+    if(!this.queue) return []
+
+    const absents = _.values(this.knownDevices).filter(device => !this.deviceManager.exist(device.uuid))
+
+    if(to === undefined || to === null) return absents
+    if(typeof(to) === 'function') return absents.filter(to)
+
+    const uuids = typeof(to) === 'string' ? [to] : to
+
+    return Array.isArray(uuids) ? absents.filter(device => uuids.indexOf(device.uuid) !== -1) : []
+  }
+
+  /**
+   * queue request for absent device
+   *
+   * @param {string} uuid
+   * @param {string} uuid_path
+   * @param {object} options - options of fetch()
+   * @param {function} resolv
+   * @param {function} reject
+   * @private
+   */
+  _enqueueRequest(uuid: string, uuid_path: string, options: Object, resolv: Function, reject: Function): void {
+    const queue = this.queue
+    if(!queue) return
+
+    const signal = options.signal
+    const item: Object = { type: 'fetch', uuid_path, options, resolv, reject, abortListener: null }
+
+    if(signal) {
+      item.abortListener = () => {
+        if(queue.remove(uuid, item)) reject(new AbortError(`fetch aborted for ${uuid_path}`))
+      }
+      signal.addEventListener('abort', item.abortListener)
+    }
+
+    queue.push(uuid, item)
+  }
+
+  /**
+   * send queued items to the device, which is connected again
+   *
+   * @param {Device} device
+   * @private
+   */
+  _flushQueue(device: Device): void {
+    if(!this.queue) return
+
+    this.queue.flush(device.uuid).forEach(item => {
+      if(item.type === 'publish') {
+        try {
+          device.publish(item.topic, item.data)
+        } catch(err) {
+          console.warn(err)
+        }
+      } else {
+        if(item.abortListener) item.options.signal.removeEventListener('abort', item.abortListener)
+
+        this._fetch(item.uuid_path, item.options).then(item.resolv, item.reject)
+      }
+    })
+  }
+
+  /**
+   * forget the device which has been connected once. After that, publishes and requests for the device
+   * are no longer queued while it is absent, and items already queued for it are dropped
+   * with `QueueError` ('queue:dropped' event is fired for each item).
+   * When the device is connected again, it will be remembered again.
+   *
+   * @param {string} uuid - uuid of the device
+   * @method SiRuClient#forget
+   *
+   * @example
+   * client.on('device:closed', uuid => client.forget(uuid))
+   */
+  forget(uuid: string): void {
+    this._cancelForget(uuid)
+    delete this.knownDevices[uuid]
+
+    if(!this.queue) return
+
+    this.queue.flush(uuid).forEach(item => this._handleQueueOut('queue:dropped', uuid, item,
+      new QueueError(`request for ${uuid} was dropped, since the device was forgotten`)))
+  }
+
+  /**
+   * forget the absent device after ttl of offline queue. While items are queued for it,
+   * we will wait for them to be expired.
+   *
+   * @param {string} uuid
+   * @private
+   */
+  _scheduleForget(uuid: string): void {
+    const queue = this.queue
+    if(!queue || !this.knownDevices[uuid]) return
+
+    this._cancelForget(uuid)
+    this.forgetTimers[uuid] = setTimeout(ev => {
+      delete this.forgetTimers[uuid]
+
+      if(queue.size(uuid) > 0) this._scheduleForget(uuid)
+      else this.forget(uuid)
+    }, queue.ttl)
+  }
+
+  /**
+   * @param {string} uuid
+   * @private
+   */
+  _cancelForget(uuid: string): void {
+    clearTimeout(this.forgetTimers[uuid])
+    delete this.forgetTimers[uuid]
+  }
+
+  /**
+   * handle item which leaves offline queue without being sent
+   *
+   * @param {string} event - 'queue:dropped' or 'queue:expired'
+   * @param {string} uuid
+   * @param {object} item
+   * @param {Error} err - error for queued request
+   * @private
+   */
+  _handleQueueOut(event: string, uuid: string, item: Object, err: Error): void {
+    if(item.type === 'fetch') {
+      if(item.abortListener) item.options.signal.removeEventListener('abort', item.abortListener)
+      item.reject(err)
+    }
+
+    this.emit(event, uuid, _.pick(item, 'type', 'topic', 'data', 'uuid_path', 'options'))
+  }
+
+  /**
+   * subscribe to topic.
+   * Topic filter follows MQTT 3.1.1, so wildcards '+' and '#' are available.
+   * When topic filter is invalid (e.g. 'a/#/b', 'a+'), Error will be thrown.
+   *
+   * Every matched message fires 'message' event. When handler is specified,
+   * it will be called only with messages which match this topic filter.
+   *
+   * Topic filters are signalled to devices which advertise 'subscribe' capability
+   * in their profile, so that they only send subscribed topics.
+   * For other devices, messages are filtered locally.
+   *
+   * @param {string} topic - topic filter
+   * @param {function} [handler] - called with (topic, payload, uuid)
+   * @returns {Subscription} subscription handle. call `unsubscribe()` to stop receiving.
+   * @method SiRuClient#subscribe
+   *
+   * @example
+   * client.subscribe('testtopic/+');
+   * client.on('message', ( topic, name ) => {
+   *   console.log(topic, name); // #=> 'testtopic/message hello'
+   * });
+   *
+   * const subscription = client.subscribe('metric/+', (topic, payload, uuid) => {
+   *   console.log(topic, payload, uuid); // #=> 'metric/cpu 42.2 sample-uuid'
+   * });
+   * subscription.unsubscribe();
+   */
+  subscribe(topic: string, handler: ?Function): Subscription {
+    if(typeof(topic) === 'string') {
+      topicFilter.validate(topic)
+
+      const subscription = new Subscription(topic, handler || null, sub => this._removeSubscription(sub))
+
+      this.subscriptions.push(subscription)
+      this._updateTopics()
+
+      return subscription
+    } else {
+      throw new Error("topic should be string")
+    }
+  }
+
+  /**
+   * unsubscribe topic. every subscription of this topic filter will be removed.
+   * @param {string} topic
+   * @method SiRuClient#unsubscribe
+   *
+   * @example
+   * client.unsubscribe('testtopic/+');
+   */
+  unsubscribe(topic: string): void {
+    if(typeof(topic) === 'string') {
+      this.subscriptions
+        .filter(subscription => subscription.topic === topic)
+        .forEach(subscription => subscription.unsubscribe())
+    } else {
+      throw new Error("topic should be string")
+    }
+  }
+
+  /**
+   * observe messages of topic filter as Rx.Observable.
+   * Subscription is made when the observable is subscribed, and removed when it is disposed.
+   * When client is closed, the observable will be completed.
+   *
+   * @param {string} topic - topic filter
+   * @returns {Rx.Observable} Observable of `{topic, payload, uuid}`
+   * @method SiRuClient#observe
+   *
+   * @example
+   * const disposable = client.observe('metric/+')
+   *   .filter( mesg => mesg.payload > 40 )
+   *   .subscribe( mesg => console.log(mesg.topic, mesg.payload) );
+   *
+   * disposable.dispose();
+   */
+  observe(topic: string): Object {
+    topicFilter.validate(topic)
+
+    return Rx.Observable.create(observer => {
+      const subscription = this.subscribe(topic, (topic, payload, uuid) => {
+        observer.onNext({topic, payload, uuid})
+      })
+      const __closeListener = () => observer.onCompleted()
+
+      this.once('close', __closeListener)
+
+      return () => {
+        subscription.unsubscribe()
+        this.removeListener('close', __closeListener)
+      }
+    })
+  }
+
+  /**
+   * remove subscription
+   *
+   * @param {Subscription} subscription
+   * @private
+   */
+  _removeSubscription(subscription: Subscription): void {
+    this.subscriptions = this.subscriptions.filter(_sub => _sub !== subscription)
+    this._updateTopics()
+  }
+
+  /**
+   * update topic filters from subscriptions
+   *
+   * @private
+   */
+  _updateTopics(): void {
+    const prev = this.topics
+
+    this.topics = _.uniq(this.subscriptions.map(subscription => subscription.topic))
+
+    this.deviceManager.devices.forEach(device => {
+      this._forwardSubscriptions(device, SUBSCRIBE, _.difference(this.topics, prev))
+      this._forwardSubscriptions(device, UNSUBSCRIBE, _.difference(prev, this.topics))
+    })
+  }
+
+  /**
+   * signal subscribe/unsubscribe of topic filters to the device.
+   * When the device does not support it, we do nothing.
+   *
+   * control message is 'SSG:subscribe,<myid>,<topic>' or 'SSG:unsubscribe,<myid>,<topic>'
+   *
+   * @param {Device} device
+   * @param {string} type - SUBSCRIBE or UNSUBSCRIBE
+   * @param {Array<string>} topics - topic filters
+   * @private
+   */
+  _forwardSubscriptions(device: Object, type: string, topics: Array<string>): void {
+    if(!device.hasCapability('subscribe')) return
+
+    topics.forEach(topic => device.connection.send(`${type},${this.myid},${topic}`))
+  }
+
+  /**
+   * request streaming to SSG
+   *
+   * @param {string} uuid
+   * @returns {Promise<Object>} returns stream object
+   * @method SiRuClient#requestStreaming
+   *
+   * @example
+   * client.requestStreaming(uuid)
+   *   .then( stream => { ... } )
+   */
+  requestStreaming(uuid: string): Promise<Object>{
+    return new Promise((resolv, reject) => {
+      const conn = this.deviceManager.getDataChannelConnection(uuid)
+
+      if(conn) {
+        let resolved = false
+
+        const __listener = call => {
+          const __uuid = this.deviceManager.getUUID(call.remoteId)
+          this.skyway.removeListener('call', __listener)
+
+          if(__uuid !== uuid) return
+
+          call.on('stream', stream => {
+            resolved = true
+            this.deviceManager.setCallObject(uuid, call)
+            this.emit('stream', stream, uuid)
+            resolv(stream)
+          })
+          call.on('error', err => {
+            this.emit('stream:error', err, uuid)
+            this.deviceManager.unsetCallObject(uuid)
+
+            if(!resolved) {
+              resolved = true
+              reject(err)
+            }
+          })
+          call.on('close', () => {
+            this.emit('stream:closed', uuid)
+            this.deviceManager.unsetCallObject(uuid)
+
+            if(!resolved) {
+              // received close event when not received 'stream' event, we consider it as error
+              resolved = true
+              reject(new Error(`stream closed for ${uuid}`))
+            }
+          })
+
+          call.answer()
+        }
+        this.skyway.on('call',  __listener)
+        conn.send(`SSG:stream/start,${this.myid}`)
+
+        setTimeout( ev => {
+          if(!resolved) {
+            this.skyway.removeListener('call', __listener)
+            this.deviceManager.unsetCallObject(uuid)
+            resolved = true
+            reject(new Error('timeout'))
+          }
+        }, util.TIMEOUT)
+      } else {
+        reject(new Error(`cannot get connection for ${uuid}`))
+      }
+    })
+  }
+
+  /**
+   * request stop streaming to SSG
+   *
+   * @param {string} uuid
+   * @returns {Promise<void>}
+   * @method SiRuClient#stopStreaming
+   *
+   *
+   * @example
+   * client.stopStreaming(uuid)
+   *   .then( () => { ... } )
+   */
+  stopStreaming(uuid: string): Promise<void> {
+    return new Promise((resolv, reject) => {
+      const conn = this.deviceManager.getDataChannelConnection(uuid)
+      if(!conn) {
+        reject(new Error(`stopStreaming - cannot find connection for ${uuid}`))
+        return
+      }
+      conn.send("SSG:stream/stop")
+
+      const call = this.deviceManager.getCallObject(uuid)
+      if(!call) {
+        reject(new Error(`stopStreaming - cannot find call object for ${uuid}`))
+        return
+      }
+
+
+      let resolved = false
+      call.on('close', () => {
+        resolved = true
+        this.deviceManager.unsetCallObject(uuid)
+        resolv()
+      })
+      call.close()
+
+      setTimeout(ev => {
+        if(!resolved) {
+          this.deviceManager.unsetCallObject(uuid)
+          reject(new Error("timeout for stopStreaming"))
+        }
+      }, util.TIMEOUT)
+    })
+  }
+
+  /**
+   * This method will send mediaStream to device.
+   * This method is useful for playing voice at remote speaker,
+   * recording audio and remote audio recognition etc.
+   * About options, see more detail at
+   * https://webrtc.ecl.ntt.com/skyway-js-sdk-doc/en/peer/#call-options-object
+   *
+   * @param {string} uuid - uuid of target device
+   * @param {Object} stream - media stream object
+   * @param {Object} [options]
+   * @param {string} [options.audioCodec='opus'] - audio codec
+   * @param {string} [options.videoCodec='H264'] - video codec
+   * @return {Promise<MediaConnection>} - see https://webrtc.ecl.ntt.com/skyway-js-sdk-doc/en/mediaconnection/
+   *
+   * @method SiRuClient#sendStream
+   *
+   * @example
+   *
+   * const client = new SiRuClient( 'testroom', { key: 'YOUR_API_KEY' } );
+   *
+   * client.on('meta', profile => {
+   *   navigator.mediaDevices.getUserMedia({ audio: true, video: false })
+   *     .then( stream =>
+   *        client.sendStream( profile.uuid, stream )
+   *     )
+   *     .then( call => console.log('start sending local stream') )
+   *     .catch( err => console.warn(err) );
+   * });
+   */
+  sendStream(
+    uuid: string,
+    stream: Object,
+    options: ?{ audioCodec: string, videoCodec: string } = { audioCodec: 'opus', videoCodec: 'H264' }
+  ): Promise<void> {
+    return new Promise( (resolve, reject) => {
+      // validation
+      if( typeof(uuid) !== 'string' ) reject( new Error('parameter `uuid` MUST be string.') )
+      else if( typeof( stream ) !== 'object' ) reject( new Error('parameter `stream` MUST be object.') )
+      else if( options !== undefined && typeof(options) !== 'object' ) reject( new Error('parameter `options` MUST be object') )
+      else if( !this.deviceManager.getPeerid(uuid) ) reject( new Error(`uuid ${uuid} does not exist.`) )
+      else {
+        // implementation
+        const _options = Object.assign( {
+          audioCodec: 'opus',
+          videoCodec: 'H264'
+        }, options );
+        const peerid = this.deviceManager.getPeerid(uuid);
+        const call = this.skyway.call( peerid, stream, _options )
+
+        const timeout = 10000; // 10 sec
+        let timer = setTimeout( ev => {
+          timer = null;
+          call.close();
+          reject(new Error("cannot make media stream connection."));
+        }, timeout );
+
+        call.on('stream', stream => {
+          // since nothing streamed from device, we will simply consider that this event
+          // means media connection is established.
+          if(timer) {
+            clearTimeout(timer);
+            timer = null;
+            resolve(call);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Close this client.
+   * It leaves the room, closes every DataChannel and MediaConnection to devices,
+   * disposes keepalive timers, rejects in-flight fetch() requests and destroys
+   * SkyWay connection. When finished, 'close' event will be fired.
+   * Calling it again returns the same promise.
+   *
+   * @returns {Promise<void>}
+   * @method SiRuClient#close
+   *
+   * @example
+   * client.close()
+   *   .then( () => { ... } )
+   */
+  close(): Promise<void> {
+    if(this.closing) return this.closing
+
+    this.closing = new Promise((resolv, reject) => {
+      // (re)connecting chain checks this flag, then stops
+      this.closed = true
+
+      if(this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
+      }
+
+      Object.keys(this.forgetTimers).forEach(uuid => this._cancelForget(uuid))
+
+      // reject queued requests
+      if(this.queue) {
+        this.queue.clear()
+          .filter(item => item.type === 'fetch')
+          .forEach(item => item.reject(new Error(`fetch aborted, since client was closed: ${item.uuid_path}`)))
+      }
+
+      this._failStreams(null, new Error('stream aborted, since client was closed'))
+
+      // discard requests from devices which are being reassembled
+      Object.keys(this.incoming).forEach(key => this._discardIncoming(key))
+
+      // reject in-flight fetch() requests
+      Object.keys(this.pendings).forEach(transaction_id => {
+        this.pendings[transaction_id].reject(
+          new Error(`fetch aborted, since client was closed: ${transaction_id}`)
+        )
+      })
+
+      Object.keys(this.keepaliveTimers)
+        .forEach(peerid => this._disposeKeepaliveTimer(peerid))
+
+      this.deviceManager.closeAll()
+        .then(() => {
+          if(this.skyway) {
+            // leave from message hub, then destroy SkyWay connection
+            this.skyway.socket.send(util.MESSAGE_TYPES.CLIENT.ROOM_LEAVE.key, {
+              roomName: this.roomName,
+              roomType: 'mesh'
+            })
+            this.skyway.destroy()
+          }
+
+          // fail response bodies which are still being streamed
+          Object.keys(this.chunks).forEach(transaction_id => {
+            const entry = this.chunks[transaction_id]
+
+            clearTimeout(entry.timer)
+            clearTimeout(entry.deadline)
+            entry.body.fail(new Error(`response aborted, since client was closed: ${transaction_id}`))
+          })
+          this.chunks = {}
+          this.reassemblySize = 0
+          this._setState(STATES.CLOSED.key)
+          this.emit('close')
+          resolv()
+        }).catch(err => reject(err))
+    })
+
+    return this.closing
+  }
+
+  /**
+   * create SkyWay connection
+   * @private
+   */
+  _createSkyWayConnection(): Promise<any> {
+    return new Promise((resolv, reject) => {
+      let resolved = false
+      const skyway = new SkyWay(this.options)
+      this.skyway = skyway
+
+      // finished establishing SkyWay connection
+      skyway.on('open', id => {
+        resolved = true
+        this.myid = id;
+        this.deviceManager.setPeerID(this.myid)
+
+        resolv();
+      })
+
+      // when signaling link is lost
+      skyway.on('disconnected', () => this._handleDisconnect(skyway))
+
+      // when error happen
+      skyway.on('error', err => {
+        if(!resolved) {
+          resolved = true
+          reject(err)
+        } else if(util.FATAL_ERROR_TYPES.indexOf(err.type) !== -1) {
+          this._handleDisconnect(skyway)
+        }
+      })
+
+      // start timer
+      setTimeout( ev => {
+        if(!resolved) {
+          reject(new Error("timeout - create skyway connection"))
+        }
+      }, util.TIMEOUT)
+    })
+  }
+
+  /**
+   * Connect to Message Hub
+   * We use FullMesh API for virtual Messsage Hub
+   * @private
+   */
+  _sendRoomJoinRequest(): Promise<any> {
+    return new Promise((resolv, reject) => {
+      const __REQ      = util.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key
+      const __EXPECTED = util.MESSAGE_TYPES.SERVER.ROOM_USER_JOIN.key
+
+      const __data = {
+        roomName: this.roomName,
+        roomType: 'mesh'
+      }
+
+      let __resolved = false
+      const __socket = this.skyway.socket
+
+      const __listener = (mesg) => {
+        if(mesg.roomName === this.roomName && mesg.src === this.myid) {
+          __resolved = true
+          __socket.removeListener(__EXPECTED, __listener)
+          resolv()
+        }
+      }
+      // when user join message received
+      __socket.on(__EXPECTED, __listener);
+
+      // send join room request to SkyWay signaling server
+      __socket.send(__REQ, __data);
+
+      setTimeout(ev => {
+        if(!__resolved) reject(new Error(`cannot join message hub: ${this.roomName}`))
+      }, util.TIMEOUT)
+    })
+  }
+
+  /**
+   * Create SkyWay DataChannel connection to specified peer
+   *
+   * @param {string} targetId - target peer id
+   * @private
+   */
+  _createDCConnection(targetId: string): Promise<any> {
+    return new Promise((resolv, reject) => {
+      // check connection is already existing. If exists, we do nothing.
+      if( this.deviceManager.getUUID(targetId) ) {
+        reject(new Error(`you connection for ${targetId} already exists`))
+        return;
+      }
+
+      // start DataChannel connection
+      const conn = this.skyway.connect(targetId, {serialization: 'none', reliable: true})
+
+      // when connection established.
+      conn.on('open', () => {
+        // client was closed while connecting
+        if(this.closed) {
+          conn.close()
+          reject(new AbortError(`connection to ${targetId} aborted, since client was closed`))
+          return
+        }
+
+        // start keepalive timer
+        this.keepaliveTimers[targetId] = Rx.Observable.interval(this.heartbeatOptions.interval)
+          .subscribe(() => {
+            if(conn) this._sendKeepalive(conn, targetId)
+          })
+
+        conn.on('close', () => this._disposeKeepaliveTimer(targetId))
+
+        conn.on('data', data => {
+          if(data instanceof ArrayBuffer) {
+            // binary framed message, which is packed by js-binarypack
+            this._handleLiveness(targetId, '')
+            this._handleDCBinary(data, targetId)
+          } else {
+            const str = data.toString()
+
+            this._handleLiveness(targetId, str)
+            this._handleDCData(str, targetId)
+          }
+        })
+
+
+        this.deviceManager.register(conn)
+          .then(device => {
+            // client was closed while waiting for profile
+            if(this.closed) {
+              this.deviceManager.unregister(device.uuid)
+              device.close()
+              reject(new AbortError(`connection to ${device.uuid} aborted, since client was closed`))
+              return
+            }
+
+            // replay current subscriptions to the device, then send items queued while it was absent
+            this._forwardSubscriptions(device, SUBSCRIBE, this.topics)
+            this._cancelForget(device.uuid)
+            if(this.queue) this.knownDevices[device.uuid] = device
+            this._flushQueue(device)
+
+            this.emit('device:connected', device.uuid, device.profile)
+            this.emit('meta', device.profile)
+
+            if(this.options.discovery && typeof(device.profile.openapi) === 'string') {
+              this.discover(device.uuid).catch(err => this.emit('device:api:error', device.uuid, err))
+            }
+            conn.on('close', () => {
+              this.deviceManager.unregister(device.uuid)
+              this._failStreams(device.uuid, new Error(`stream aborted, since connection to ${device.uuid} was closed`))
+              this._scheduleForget(device.uuid)
+              this.emit('device:closed', device.uuid)
+            })
+
+            resolv(device.profile)
+          })
+          .catch(err => reject(err.message))
+      })
+
+      // when error happened.
+      conn.on('error', err => reject(err))
+    })
+  }
+
+  /**
+   * send keepalive message to the peer.
+   * Before sending, we will check keepalives missed by the device.
+   *
+   * @param {object} conn - DataChannel connection object
+   * @param {string} peerid - peerid of the device
+   * @private
+   */
+  _sendKeepalive(conn: Object, peerid: string): void {
+    const uuid = this.deviceManager.getUUID(peerid)
+    const device = uuid ? this.deviceManager.getDevice(uuid) : null
+
+    if(device) {
+      const { staleAfter, deadAfter, autoUnregister } = this.heartbeatOptions
+      const missed = device.beat()
+
+      if(missed >= staleAfter && !device.stale) {
+        device.markStale()
+        this.emit('device:stale', device.uuid, missed)
+      }
+
+      if(autoUnregister && missed >= deadAfter) {
+        this.deviceManager.unregister(device.uuid)
+        device.close()
+        this.emit('device:dead', device.uuid, missed)
+        return
+      }
+    }
+
+    // device will reply 'SSG:keepalive/ack,<timestamp>'
+    conn.send(`SSG:keepalive,${this.myid},${Date.now()}`)
+  }
+
+  /**
+   * Any data from the device means it is alive.
+   * In case of keepalive reply, we will measure round trip latency as well.
+   *
+   * @param {string} peerid - peerid of the device
+   * @param {string} data - DataChannel data
+   * @private
+   */
+  _handleLiveness(peerid: string, data: string): void {
+    const uuid = this.deviceManager.getUUID(peerid)
+    const device = uuid ? this.deviceManager.getDevice(uuid) : null
+
+    if(!device) return
+
+    const sentAt = data.indexOf(KEEPALIVE_ACK) === 0 ?
+      parseInt(data.slice(KEEPALIVE_ACK.length), 10) : NaN
+
+    if(device.alive(isNaN(sentAt) ? null : sentAt)) {
+      this.emit('device:alive', device.uuid, device.latency)
+    }
+  }
+
+  /**
+   * dispose keepalive timer for specified peer
+   *
+   * @param {string} peerid
+   * @private
+   */
+  _disposeKeepaliveTimer(peerid: string): void {
+    const timer = this.keepaliveTimers[peerid]
+
+    if(timer) {
+      timer.dispose()
+      delete this.keepaliveTimers[peerid]
+    }
+  }
+
+  /**
+   * Handle DataChannel data
+   * If topic is subscribed, fire 'message' event and call handlers of subscriptions
+   * @param {string} data - DataChannel data (it must be JSON string)
+   * @param {string} [peerid] - peerid of the device which sent data
+   * @private
+   */
+  _handleDCData(data: string, peerid: ?string): void {
+    if(data.indexOf('SSG:') === 0) return // ignore control data
+    try {
+      const _data   = JSON.parse(data)  // _data = {topic, payload}: {topic:string, payload: object}
+
+      this._handleMessage(_data, peerid)
+    } catch(e) {
+      console.warn(e, data)
+    }
+  }
+
+  /**
+   * Handle binary DataChannel data, which is packed by js-binarypack
+   * @param {ArrayBuffer} data - DataChannel data
+   * @param {string} [peerid] - peerid of the device which sent data
+   * @private
+   */
+  _handleDCBinary(data: ArrayBuffer, peerid: ?string): void {
+    try {
+      this._handleMessage(BinaryPack.unpack(data), peerid)
+    } catch(e) {
+      console.warn(e, data)
+    }
+  }
+
+  /**
+   * Handle message from device
+   * If topic is subscribed, fire 'message' event and call handlers of subscriptions.
+   * When it is response of REST type interface, pending request will be resolved.
+   *
+   * @param {object} _data - {topic, payload}: {topic:string, payload: object}
+   * @param {string} [peerid] - peerid of the device which sent data
+   * @private
+   */
+  _handleMessage(_data: Object, peerid: ?string): void {
+    const topic   = _data.topic
+    const message = _data.payload
+    const uuid    = peerid ? this.deviceManager.getUUID(peerid) : null
+
+    // request from device, which is handled by handle()
+    if( this.myid && topic === this.myid && message && typeof(message.path) === 'string' ) {
+      if(!uuid) throw new Error(`request from unknown peer ${String(peerid)}`)
+
+      this._handleIncomingRequest(message, uuid)
+      return
+    }
+
+    // check whether topic matches. even when it matches to several filters,
+    // we will fire 'message' event only once.
+    if( typeof(topic) === 'string' && this.topics.some(filter => topicFilter.matches(filter, topic)) ) {
+      this.emit('message', topic, message, uuid)
+
+      this.subscriptions
+        .filter(subscription => topicFilter.matches(subscription.topic, topic))
+        .forEach(subscription => {
+          try {
+            subscription.deliver(topic, message, uuid)
+          } catch(err) {
+            console.warn(err)
+          }
+        })
+    }
+
+    // when message is JSON-RPC response (or batch of them)
+    if(this.deviceManager.exist(topic) && (Array.isArray(message) || (message && message.jsonrpc === '2.0'))) {
+      this._handleRpcResponse(message, topic)
+      return
+    }
+
+    if(this.deviceManager.exist(topic)) {
+      // when message is REST type interface.
+      //
+      // In this case, message must be
+      // {status, status_text, headers, transaction_id, method, chunked, chunk_len, idx, body, chunk}
+      // : {status: number,
+      //    status_text: ?string,
+      //    headers: ?Object,
+      //    transaction_id: string,
+      //    method: string,
+      //    chunked: ?boolean,
+      //    chunk_len: ?number,
+      //    idx: ?number,
+      //    body: string|ArrayBuffer
+      //    chunk: string|ArrayBuffer }
+
+      const status = message.status
+      const transaction_id = message.transaction_id
+      const method = message.method
+
+      if(!transaction_id) throw new Error("transaction_id is not specified")
+
+      // frame of stream, which is requested by stream()
+      if(message.push) {
+        this._handlePushFrame(message, topic)
+        return
+      }
+
+      // parameters of Response, other than body
+      const _pending = this.pendings[transaction_id]
+      const params = {
+        status,
+        transaction_id,
+        method,
+        statusText: message.status_text,
+        headers: _.isObject(message.headers) ? message.headers : undefined,
+        uuid: topic,
+        path: _pending ? _pending.path : undefined
+      }
+
+      if ( !message.chunked ) {
+        // body is ArrayBuffer, when response is binary framed
+        const res = util.isBinary(message.body) ?
+          new Response(Object.assign({}, params, {buffer: message.body})) :
+          new Response(Object.assign({}, params, {text: message.body}))
+
+        const pending = this.pendings[transaction_id]
+        if(pending && typeof(pending.onProgress) === 'function') pending.onProgress(1, 1)
+
+        this._resolvePending(transaction_id, res)
+      } else {
+        // when message is chunked
+
+        // ignore chunks for unknown (e.g. aborted or timed out) transaction
+        if( !this.pendings[transaction_id] && !this.chunks[transaction_id] ) return
+
+        const err = this._validateChunk(message)
+        if( err ) {
+          this._failReassembly(transaction_id, err)
+          return
+        }
+
+        // initialize when it is not exist
+        if( !this.chunks[transaction_id] ) {
+          const pending = this.pendings[transaction_id]
+          const deadline = this.options.reassemblyDeadline || util.REASSEMBLY_DEADLINE
+
+          this.chunks[transaction_id] = {
+            params,
+            len: message.chunk_len,
+            chunks: [],
+            received: 0,
+            next: 0,  // index of chunk to be pushed into body next
+            size: 0,  // total size of received chunks
+            timer: null,  // inactivity timeout, which is restarted by each chunk
+            deadline: setTimeout(ev => {
+              this._failReassembly(transaction_id,
+                new ReassemblyError(`chunks were not completed within ${deadline} msec : ${transaction_id}`))
+            }, deadline),
+            body: new ResponseBody(),
+            onProgress: pending.onProgress
+          }
+
+          // in stream mode, resolve with body which is still being received
+          if( pending.stream ) {
+            const source = this.chunks[transaction_id].body
+            this._resolvePending(transaction_id, new Response(Object.assign({}, params, {source})))
+          }
+        }
+
+        const entry = this.chunks[transaction_id]
+
+        if( message.chunk_len !== entry.len ) {
+          this._failReassembly(transaction_id,
+            new ReassemblyError(`chunk_len changed from ${entry.len} to ${message.chunk_len} : ${transaction_id}`))
+          return
+        }
+
+        // duplicated chunk (e.g. retransmitted by device) is ignored
+        if( entry.chunks[message.idx] !== undefined ) return
+
+        const size = util.byteLength(message.chunk)
+        const maxSize = this.options.maxReassemblySize || util.MAX_REASSEMBLY_SIZE
+        if( this.reassemblySize + size > maxSize ) {
+          this._failReassembly(transaction_id,
+            new ReassemblyError(`size of chunks being reassembled exceeds ${maxSize} : ${transaction_id}`))
+          return
+        }
+
+        entry.chunks[message.idx] = message.chunk
+        entry.received++
+        entry.size += size
+        this.reassemblySize += size
+
+        // restart inactivity timeout for next chunk
+        clearTimeout(entry.timer)
+        const timeout = this.options.reassemblyTimeout || util.REASSEMBLY_TIMEOUT
+        entry.timer = setTimeout(ev => {
+          this._failReassembly(transaction_id,
+            new ReassemblyError(`next chunk did not arrive within ${timeout} msec : ${transaction_id}`))
+        }, timeout)
+
+        // push chunks into body in order
+        while( entry.next < entry.len && entry.chunks[entry.next] !== undefined ) {
+          entry.body.push(entry.chunks[entry.next])
+          entry.next++
+        }
+
+        if(typeof(entry.onProgress) === 'function') entry.onProgress(entry.received, entry.len)
+
+        // when all chunks are received, end body and resolv
+        if( entry.next === entry.len ) {
+          entry.body.end()
+
+          // remove processed object
+          this._discardChunks(transaction_id)
+
+          this._resolvePending(transaction_id, new Response(Object.assign({}, entry.params, {source: entry.body})))
+        }
+      }
+    }
+  }
+
+  /**
+   * validate envelope of chunk
+   *
+   * @param {object} message
+   * @returns {Error|null} ReassemblyError, when chunk is malformed
+   * @private
+   */
+  _validateChunk(message: Object): Error|null {
+    const { chunk_len, idx, chunk, transaction_id } = message
+
+    if( !Number.isInteger(chunk_len) || chunk_len <= 0 ) {
+      return new ReassemblyError(`invalid chunk_len ${chunk_len} : ${transaction_id}`)
+    }
+    if( !Number.isInteger(idx) || idx < 0 || idx >= chunk_len ) {
+      return new ReassemblyError(`invalid idx ${idx} for chunk_len ${chunk_len} : ${transaction_id}`)
+    }
+    if( typeof(chunk) !== 'string' && !util.isBinary(chunk) ) {
+      return new ReassemblyError(`invalid chunk : ${transaction_id}`)
+    }
+
+    return null
+  }
+
+  /**
+   * give up reassembling chunks of transaction_id. Error is notified to
+   * waiting fetch(), or to body of response in stream mode.
+   *
+   * @param {number} transaction_id
+   * @param {Error} err
+   * @private
+   */
+  _failReassembly(transaction_id: number, err: Error): void {
+    const entry = this.chunks[transaction_id]
+    const pending = this.pendings[transaction_id]
 
-        call.on('stream', stream => {
-          // since nothing streamed from device, we will simply consider that this event
-          // means media connection is established.
-          if(timer) {
-            clearTimeout(timer);
-            timer = null;
-            resolve(call);
-          }
-        });
-      }
-    });
+    this._discardChunks(transaction_id)
+
+    if(entry) entry.body.fail(err)
+    if(pending) pending.reject(err)
   }
 
   /**
-   * create SkyWay connection
+   * release chunks of transaction_id
+   *
+   * @param {number} transaction_id
    * @private
    */
-  _createSkyWayConnection(): Promise<any> {
-    return new Promise((resolv, reject) => {
-      let resolved = false
-      this.skyway = new SkyWay(this.options)
+  _discardChunks(transaction_id: number): void {
+    const entry = this.chunks[transaction_id]
 
-      // finished establishing SkyWay connection
-      this.skyway.on('open', id => {
-        this.myid = id;
-        this.deviceManager.setPeerID(this.myid)
+    if(!entry) return
 
-        resolv();
-      })
+    clearTimeout(entry.timer)
+    clearTimeout(entry.deadline)
+    this.reassemblySize -= entry.size
+    delete this.chunks[transaction_id]
+  }
 
-      // when error happen
-      this.skyway.on('error', err => {
-        if(!resolved) {
-          resolved = true
-          reject(err)
-        }
-      })
+  /**
+   * resolve pending request of transaction_id
+   *
+   * @param {number} transaction_id
+   * @param {Response} res
+   * @private
+   */
+  _resolvePending(transaction_id: number, res: Response): void {
+    const pending = this.pendings[transaction_id]
 
-      // start timer
-      setTimeout( ev => {
-        if(!resolved) {
-          reject(new Error("timeout - create skyway connection"))
-        }
-      }, util.TIMEOUT)
-    })
+    if(pending) pending.resolv(res)
   }
 
   /**
-   * Connect to Message Hub
-   * We use FullMesh API for virtual Messsage Hub
+   * create headers of request envelope. When body is object (JSON),
+   * Content-Type is set to 'application/json' unless specified.
+   *
+   * @param {object} options - options of fetch()
+   * @returns {object} object of header name (in lower case) and value
    * @private
    */
-  _sendRoomJoinRequest(): Promise<any> {
-    return new Promise((resolv, reject) => {
-      const __REQ      = util.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key
-      const __EXPECTED = util.MESSAGE_TYPES.SERVER.ROOM_USER_JOIN.key
+  _createRequestHeaders(options: Object): Object {
+    const headers = new Headers(options.headers)
+    const body = options.body
 
-      const __data = {
-        roomName: this.roomName,
-        roomType: 'mesh'
+    if( body !== null && typeof(body) === 'object' && !util.isBinary(body) && !headers.has('content-type') ) {
+      headers.set('content-type', 'application/json')
+    }
+
+    return headers.toJSON()
+  }
+
+  /**
+   * send request to the device. When body is larger than chunkSize, it is sent in chunks.
+   *
+   * @param {string} uuid
+   * @param {object} conn
+   * @param {number} transaction_id
+   * @param {string} method
+   * @param {string} path
+   * @param {object} query
+   * @param {object} headers - object of header name and value
+   * @param {string|object|ArrayBuffer} body
+   * @param {number} [chunkSize]
+   * @param {function} [onUploadProgress]
+   * @returns {Promise<void>} resolved when every chunk is sent
+   *
+   * @private
+   */
+  _sendRequest({ uuid, conn, transaction_id, method, path, query, headers, body, chunkSize, onUploadProgress, push } : {
+    uuid: string,
+    conn: Object,
+    transaction_id: number,
+    method: string,
+    path: string,
+    query: Object,
+    headers: Object,
+    body: ?string|Object|ArrayBuffer,
+    chunkSize?: number,
+    onUploadProgress?: Function,
+    push?: boolean
+  }): Promise<void> {
+    const _chunkSize = chunkSize || this.options.chunkSize || util.CHUNK_SIZE
+
+    // object body is serialized, only when it is sent in chunks
+    const _body = (body !== null && typeof(body) === 'object' && !util.isBinary(body)) ?
+      JSON.stringify(body) : body
+    const total = util.sizeOf(_body)
+
+    // push request (see stream()) is flagged in every envelope
+    const _push: Object = push ? { push: true } : {}
+
+    // we will stop sending chunks, when request is already settled (e.g. aborted or timeout)
+    const __settled = () => !this.pendings[transaction_id] && !this.streams[transaction_id]
+    const __cancelled = () => __settled() || !this._isConnectionAlive(uuid, conn)
+
+    if( total <= _chunkSize ) {
+      const _data = {
+        topic: uuid,
+        payload: Object.assign({
+          method,
+          path,
+          query,
+          headers,
+          body,
+          transaction_id
+        }, _push)
       }
 
-      let __resolved = false
-      const __socket = this.skyway.socket
+      // binary body is sent in binary framing
+      conn.send(util.isBinary(body) ? BinaryPack.pack(_data) : JSON.stringify(_data))
 
-      const __listener = (mesg) => {
-        if(mesg.roomName === this.roomName && mesg.src === this.myid) {
-          __resolved = true
-          __socket.removeListener(__EXPECTED, __listener)
-          resolv()
+      return Promise.resolve()
+    }
+
+    // when body is large, we will send it in chunks with the same envelope as chunked response.
+    const chunks = util.sliceBody(_body, _chunkSize)
+    let sent = 0, sentChunks = 0
+
+    // device is holding partial body of abandoned upload, so we will tell it to discard.
+    // (stream is cancelled by _cancelStream())
+    const __abandon = () => {
+      if( push || sentChunks === 0 || sentChunks === chunks.length || !this._isConnectionAlive(uuid, conn) ) return
+
+      conn.send(JSON.stringify({ topic: uuid, payload: { path, transaction_id, cancel: true } }))
+    }
+
+    return chunks.reduce((prev, chunk, idx) => prev.then(() => {
+      if( __settled() ) return
+
+      return this._waitForBufferDrain(conn, __cancelled).then(() => {
+        if( __settled() ) return
+
+        const _data = {
+          topic: uuid,
+          payload: Object.assign({
+            method,
+            path,
+            query,
+            headers,
+            transaction_id,
+            chunked: true,
+            chunk_len: chunks.length,
+            idx,
+            chunk
+          }, _push)
         }
-      }
-      // when user join message received
-      __socket.on(__EXPECTED, __listener);
 
-      // send join room request to SkyWay signaling server
-      __socket.send(__REQ, __data);
+        conn.send(util.isBinary(chunk) ? BinaryPack.pack(_data) : JSON.stringify(_data))
 
-      setTimeout(ev => {
-        if(!__resolved) reject(new Error(`cannot join message hub: ${this.roomName}`))
-      }, util.TIMEOUT)
-    })
+        sent += util.sizeOf(chunk)
+        sentChunks++
+        if(typeof(onUploadProgress) === 'function') onUploadProgress(sent, total)
+        this.emit('upload:progress', transaction_id, sent, total)
+      })
+    }), Promise.resolve())
+      .then(() => {
+        if( __settled() ) __abandon()
+      }, err => {
+        if( !__settled() ) throw err
+        __abandon()
+      })
   }
 
   /**
-   * Create SkyWay DataChannel connection to specified peer
+   * handle request from device. Chunked request body is reassembled before dispatched.
    *
-   * @param {string} targetId - target peer id
+   * @param {object} message - {method, path, query, headers, body, transaction_id, chunked, chunk_len, idx, chunk}
+   * @param {string} uuid - uuid of the device which sent request
    * @private
    */
-  _createDCConnection(targetId: string): Promise<any> {
-    return new Promise((resolv, reject) => {
-      // check connection is already existing. If exists, we do nothing.
-      if( this.deviceManager.getUUID(targetId) ) {
-        reject(new Error(`you connection for ${targetId} already exists`))
-        return;
+  _handleIncomingRequest(message: Object, uuid: string): void {
+    const transaction_id = message.transaction_id
+
+    if(!transaction_id) throw new Error("transaction_id is not specified")
+
+    if( !message.chunked ) {
+      this._dispatchRequest(uuid, message, message.body)
+      return
+    }
+
+    const key = `${uuid}/${transaction_id}`
+    const err = this._validateChunk(message)
+    if( err ) {
+      this._discardIncoming(key)
+      this._sendResponse(uuid, message, { status: 400, body: err.message }).catch(err => console.warn(err))
+      return
+    }
+
+    if( !this.incoming[key] ) {
+      const deadline = this.options.reassemblyDeadline || util.REASSEMBLY_DEADLINE
+      this.incoming[key] = {
+        len: message.chunk_len, chunks: [], received: 0, size: 0, timer: null,
+        deadline: setTimeout(ev => {
+          this._discardIncoming(key)
+          this._sendResponse(uuid, message, { status: 408, body: `chunks were not completed within ${deadline} msec` })
+            .catch(err => console.warn(err))
+        }, deadline)
       }
+    }
 
-      // start DataChannel connection
-      const conn = this.skyway.connect(targetId, {serialization: 'none', reliable: true})
+    const entry = this.incoming[key]
 
-      // when connection established.
-      conn.on('open', () => {
-        // start keepalive timer
-        const keepalive_mesg = `SSG:keepalive,${this.myid}`
-        const timer = Rx.Observable.interval(util.KEEPALIVETIMER)
-          .subscribe(() => {
-            if(conn) conn.send(keepalive_mesg)
-          })
+    if( message.chunk_len !== entry.len ) {
+      this._discardIncoming(key)
+      this._sendResponse(uuid, message, { status: 400, body: `chunk_len changed from ${entry.len} to ${message.chunk_len}` })
+        .catch(err => console.warn(err))
+      return
+    }
 
-        conn.on('data', data => {
-          this._handleDCData(data.toString())
-        })
+    // duplicated chunk is ignored
+    if( entry.chunks[message.idx] !== undefined ) return
+
+    // chunks of requests from devices share the budget with chunks of responses
+    const size = util.byteLength(message.chunk)
+    const maxSize = this.options.maxReassemblySize || util.MAX_REASSEMBLY_SIZE
+    if( this.reassemblySize + size > maxSize ) {
+      this._discardIncoming(key)
+      this._sendResponse(uuid, message, { status: 413, body: `size of chunks being reassembled exceeds ${maxSize}` })
+        .catch(err => console.warn(err))
+      return
+    }
 
+    entry.chunks[message.idx] = message.chunk
+    entry.received++
+    entry.size += size
+    this.reassemblySize += size
 
-        this.deviceManager.register(conn)
-          .then(device => {
-            this.emit('device:connected', device.uuid, device.profile)
-            this.emit('meta', device.profile)
-            conn.on('close', () => {
-              this.deviceManager.unregister(device.uuid)
-              this.emit('device:closed', device.uuid)
-            })
+    // restart inactivity timeout for next chunk
+    clearTimeout(entry.timer)
+    const timeout = this.options.reassemblyTimeout || util.REASSEMBLY_TIMEOUT
+    entry.timer = setTimeout(ev => {
+      this._discardIncoming(key)
+      this._sendResponse(uuid, message, { status: 408, body: `next chunk did not arrive within ${timeout} msec` })
+        .catch(err => console.warn(err))
+    }, timeout)
 
-            resolv(device.profile)
-          })
-          .catch(err => reject(err.message))
-      })
+    if( entry.received < entry.len ) return
 
-      // when error happened.
-      conn.on('error', err => reject(err))
-    })
+    this._discardIncoming(key)
+
+    const body = typeof(entry.chunks[0]) === 'string' ?
+      entry.chunks.join('') :
+      ResponseBody.concat(entry.chunks)
+
+    this._dispatchRequest(uuid, message, body)
   }
 
   /**
-   * Handle DataChannel data
-   * If topic is subscribed, fire 'message' event
-   * @param {string} data - DataChannel data (it must be JSON string)
+   * release chunks of request from device
+   *
+   * @param {string} key - `<uuid>/<transaction_id>`
    * @private
    */
-  _handleDCData(data: string): void {
-    if(data.indexOf('SSG:') === 0) return // ignore control data
-    try {
-      const _data   = JSON.parse(data)  // _data = {topic, payload}: {topic:string, payload: object}
-      const topic   = _data.topic
-      const message = _data.payload
+  _discardIncoming(key: string): void {
+    const entry = this.incoming[key]
 
+    if(!entry) return
 
-      // check whether topic matches
-      this.topics.filter( s_t => {
-        const arr = s_t.split("/")
-        let ret = true, wc = false
+    clearTimeout(entry.timer)
+    clearTimeout(entry.deadline)
+    this.reassemblySize -= entry.size
+    delete this.incoming[key]
+  }
 
-        topic.split("/").forEach( (key, i) => {
-          if( key === arr[i] || arr[i] === "+" || wc ) {
-            // key matched, do nothing
-          } else if (arr[i] === "#") {
-            // key is wild card, mark wc as ``true``
-            wc = true
-          } else {
-            // key does not match, mark ret as ``false``
-            ret = false
-          }
-        })
-        return ret
-      }).forEach( s_t => {
-        this.emit('message', topic, message)
+  /**
+   * call handler of the path, then answer with its result
+   *
+   * @param {string} uuid - uuid of the device which sent request
+   * @param {object} message - request envelope
+   * @param {string|object|ArrayBuffer} body - request body
+   * @private
+   */
+  _dispatchRequest(uuid: string, message: Object, body: any): void {
+    const handler = this.handlers[message.path]
+
+    if(!handler) {
+      this._sendResponse(uuid, message, { status: 404, body: `no handler for ${message.path}` })
+        .catch(err => console.warn(err))
+      return
+    }
+
+    const req = {
+      uuid,
+      method: typeof(message.method) === 'string' ? message.method.toUpperCase() : 'GET',
+      path: message.path,
+      query: _.isObject(message.query) ? message.query : {},
+      headers: new Headers(_.isObject(message.headers) ? message.headers : {}),
+      body
+    }
+
+    new Promise(resolv => resolv(handler(req)))
+      .then(result => this._sendResponse(uuid, message, _.isObject(result) ? result : {}))
+      .catch(err => {
+        const status = (err && Number.isInteger(err.status) && err.status >= 400 && err.status < 600) ? err.status : 500
+        return this._sendResponse(uuid, message, { status, body: err instanceof Error ? err.message : String(err) })
       })
+      .catch(err => console.warn(err))
+  }
 
-      if(this.deviceManager.exist(topic)) {
-        // when message is REST type interface.
-        //
-        // In this case, message must be
-        // {status, transaction_id, method, chunked, chunk_len, idx, body, chunk}
-        // : {status: number,
-        //    transaction_id: string,
-        //    method: string,
-        //    chunked: ?boolean,
-        //    chunk_len: ?number,
-        //    idx: ?number,
-        //    body: string
-        //    chunk: string }
-
-        const status = message.status
-        const transaction_id = message.transaction_id
-        const method = message.method
-
-        if(!transaction_id) throw new Error("transaction_id is not specified")
-
-        if ( !message.chunked ) {
-          const text = message.body
-          const res = new Response({status, transaction_id, method, text})
-
-          this.emit('__fetchResponse', transaction_id, res)
-        } else {
-          // when message is chunked
-
-          // initialize when it is not exist
-          if( !this.chunks[transaction_id] ) {
-            this.chunks[transaction_id] = {
-              status,
-              method,
-              len: message.chunk_len,
-              chunks:[]
-            }
-          }
+  /**
+   * answer request from device. When body is larger than chunkSize, it is sent in chunks
+   * with the same envelope as chunked response from devices.
+   *
+   * @param {string} uuid - uuid of the device which sent request
+   * @param {object} message - request envelope
+   * @param {object} result - {status, statusText, headers, body}
+   * @returns {Promise<void>} resolved when every chunk is sent
+   * @private
+   */
+  _sendResponse(uuid: string, message: Object, result: Object): Promise<void> {
+    const conn = this.deviceManager.getDataChannelConnection(uuid)
+    if(!conn) return Promise.reject(new Error(`no connection found for ${uuid}`))
 
-          this.chunks[transaction_id].chunks[message.idx] = message.chunk
+    const { statusText, body } = result
+    const status = Number.isInteger(result.status) ? result.status : 200
+    const headers = new Headers(result.headers)
 
-          // when all chunks are received, reassemble data and resolv
-          if( _.compact(this.chunks[transaction_id].chunks).length === message.chunk_len ) {
-            const text = this.chunks[transaction_id].chunks.join("")
-            const res = new Response({status, transaction_id, method, text})
+    // object body is serialized, since response body must be string or binary
+    const isObject = body !== null && typeof(body) === 'object' && !util.isBinary(body)
+    if( isObject && !headers.has('content-type') ) headers.set('content-type', 'application/json')
+    const _body = isObject ? JSON.stringify(body) : (body === undefined || body === null ? '' : body)
 
-            this.emit('__fetchResponse', transaction_id, res)
+    const _chunkSize = this.options.chunkSize || util.CHUNK_SIZE
+    const envelope: Object = { status, transaction_id: message.transaction_id, method: message.method, headers: headers.toJSON() }
+    if( typeof(statusText) === 'string' ) envelope.status_text = statusText
 
+    if( util.sizeOf(_body) <= _chunkSize ) {
+      const _data = { topic: this.myid, payload: Object.assign({}, envelope, { body: _body }) }
 
-            // remove processed object
-            delete this.chunks[transaction_id]
-          }
-        }
-      }
-    } catch(e) {
-      console.warn(e, data)
+      conn.send(util.isBinary(_body) ? BinaryPack.pack(_data) : JSON.stringify(_data))
+
+      return Promise.resolve()
     }
+
+    const chunks = util.sliceBody(_body, _chunkSize)
+    const __cancelled = () => !this._isConnectionAlive(uuid, conn)
+
+    return chunks.reduce((prev, chunk, idx) => prev.then(() => {
+      return this._waitForBufferDrain(conn, __cancelled).then(() => {
+        const _data = {
+          topic: this.myid,
+          payload: Object.assign({}, envelope, { chunked: true, chunk_len: chunks.length, idx, chunk })
+        }
+
+        conn.send(util.isBinary(chunk) ? BinaryPack.pack(_data) : JSON.stringify(_data))
+      })
+    }), Promise.resolve())
   }
 
   /**
-   * @param {string} uuid
-   * @param {object} conn
-   * @param {number} transaction_id
-   * @param {string} method
-   * @param {string} path
-   * @param {object} query
-   * @param {string|object} body
+   * wait until bufferedAmount of DataChannel becomes lower than maxBufferedAmount
    *
+   * @param {object} conn - DataChannel connection object
+   * @param {function} [cancelled] - polled while waiting. When it returns true, we will give up with AbortError.
    * @private
    */
-  _sendRequest({ uuid, conn, transaction_id, method, path, query, body} : {
-    uuid: string,
-    conn: Object,
-    transaction_id: number,
-    method: string,
-    path: string,
-    query: Object,
-    body: ?string|Object
-  }): void {
+  _waitForBufferDrain(conn: Object, cancelled?: () => boolean): Promise<void> {
+    return new Promise((resolv, reject) => {
+      const max = this.options.maxBufferedAmount || util.MAX_BUFFERED_AMOUNT
 
-    const _data = {
-      topic: uuid,
-      payload: {
-        method,
-        path,
-        query,
-        body,
-        transaction_id
+      // skyway DataConnection does not expose bufferedAmount, so we will refer RTCDataChannel as well.
+      const __bufferedAmount = () => {
+        if(typeof(conn.bufferedAmount) === 'number') return conn.bufferedAmount
+        if(conn._dc && typeof(conn._dc.bufferedAmount) === 'number') return conn._dc.bufferedAmount
+        return 0
       }
-    }
 
-    conn.send(JSON.stringify(_data))
+      const __check = () => {
+        if(cancelled && cancelled()) reject(new AbortError('sending chunks is cancelled'))
+        else if(__bufferedAmount() <= max) resolv()
+        else setTimeout(__check, util.FLOW_CONTROL_INTERVAL)
+      }
+
+      __check()
+    })
+  }
+
+  /**
+   * check the connection is still usable to send chunks, i.e. client is not closed
+   * and the connection is neither closed nor replaced by reconnection.
+   *
+   * @param {string} uuid - uuid of the device
+   * @param {object} conn - DataChannel connection object
+   * @returns {boolean}
+   * @private
+   */
+  _isConnectionAlive(uuid: string, conn: Object): boolean {
+    return !this.closed && conn.open !== false && this.deviceManager.getDataChannelConnection(uuid) === conn
   }
 
 
+
   /**
    * setup handler for skyway mesh-room features(for joinRoom)
    * @private
@@ -731,7 +3003,11 @@ class SiRuClient extends EventEmitter {
     // in this case, we will connect to arm base devices
     _.uniq(userList)
       .filter( id => id.indexOf("SSG_") === 0)
-      .forEach( id => this._createDCConnection(id))
+      .forEach( id => this._createDCConnection(id)
+        .catch(err => {
+          // connections which are aborted by close() are not errors
+          if(!(err instanceof AbortError)) throw err
+        }))
   }
 
   /**
@@ -790,6 +3066,7 @@ class SiRuClient extends EventEmitter {
    * @param {object} options
    * @param {string} options.key
    * @param {string} [options.domain]
+   * @param {object} [options.reconnect]
    * @private
    */
   _checkOptions(options: Object): void {
@@ -797,6 +3074,8 @@ class SiRuClient extends EventEmitter {
       throw(new Error("options.key must be specified in String"))
     if(options.domain && typeof(options.domain) !== 'string')
       throw(new Error("options.dommain must be specified in String"))
+    if(options.reconnect !== undefined && (options.reconnect === null || typeof(options.reconnect) !== 'object'))
+      throw(new Error("options.reconnect must be specified in Object"))
   }
 
   /**
@@ -824,6 +3103,12 @@ class SiRuClient extends EventEmitter {
    * @event SiRuClient#connect
    */
 
+  /**
+   * When client is closed by close(), it will fire
+   *
+   * @event SiRuClient#close
+   */
+
   /**
    * When other device connected
    *
@@ -860,6 +3145,53 @@ class SiRuClient extends EventEmitter {
   * @event SiRuClient#device:closed
   */
 
+  /**
+   * When API description of the device is obtained by discover()
+   *
+   * @event SiRuClient#device:api
+   * @property {string} uuid - uuid of the device
+   * @property {DeviceApi} api - same as `device.api`
+   *
+   * @example
+   * client.on('device:api', (uuid, api) => {
+   *   console.log(Object.keys(api.operations))
+   *   // #=> [ 'getTemperature', 'setTarget' ]
+   * })
+   */
+
+  /**
+   * When discovery at registration failed (e.g. the description is not valid JSON)
+   *
+   * @event SiRuClient#device:api:error
+   * @property {string} uuid - uuid of the device
+   * @property {Error} error
+   */
+
+  /**
+   * When the device does not answer keepalives for `options.heartbeat.staleAfter` times
+   *
+   * @event SiRuClient#device:stale
+   * @property {string} uuid - uuid of the device
+   * @property {number} missed - number of missed keepalives
+   */
+
+  /**
+   * When stale device answers again
+   *
+   * @event SiRuClient#device:alive
+   * @property {string} uuid - uuid of the device
+   * @property {number|null} latency - round trip latency in milli seconds
+   */
+
+  /**
+   * When the device does not answer keepalives for `options.heartbeat.deadAfter` times.
+   * It will be fired only when `options.heartbeat.autoUnregister` is true, then the device is unregistered.
+   *
+   * @event SiRuClient#device:dead
+   * @property {string} uuid - uuid of the device
+   * @property {number} missed - number of missed keepalives
+   */
+
 
 
 
@@ -869,6 +3201,7 @@ class SiRuClient extends EventEmitter {
    * @event SiRuClient#message
    * @property {string} topic
    * @property {data} data
+   * @property {string|null} uuid - uuid of the device which published the message
    *
    * @example
    * client.on('message', (topic, data) => {
@@ -877,6 +3210,33 @@ class SiRuClient extends EventEmitter {
    * })
    */
 
+  /**
+   * When a chunk of request body is sent by fetch()
+   *
+   * @event SiRuClient#upload:progress
+   * @property {number} transaction_id
+   * @property {number} sent - size of body already sent
+   * @property {number} total - total size of body
+   */
+
+  /**
+   * When queued item is dropped, since offline queue of the device is full.
+   * Dropped request is rejected with `QueueError`.
+   *
+   * @event SiRuClient#queue:dropped
+   * @property {string} uuid - uuid of absent device
+   * @property {object} item - {type: 'publish', topic, data} or {type: 'fetch', uuid_path, options}
+   */
+
+  /**
+   * When queued item expires before the device is connected again.
+   * Expired request is rejected with `QueueError`.
+   *
+   * @event SiRuClient#queue:expired
+   * @property {string} uuid - uuid of absent device
+   * @property {object} item - {type: 'publish', topic, data} or {type: 'fetch', uuid_path, options}
+   */
+
   /**
    * When media stream received from peer
    *
@@ -905,11 +3265,30 @@ class SiRuClient extends EventEmitter {
    */
 
  /**
-  * When state changed until connecting room completed, it will fire
+  * When state changed until connecting room completed, it will fire.
+  * While reconnecting, 'DISCONNECTED' and 'RECONNECTING' will be fired as well.
   *
   * @event SiRuClient#state:change
   * @property {string} state - state
   */
+
+  /**
+   * When reconnection to the room completed, it will fire.
+   * Subscriptions are kept through reconnection.
+   *
+   * @event SiRuClient#reconnect
+   * @property {number} attempt - number of attempts taken
+   */
+
+  /**
+   * When every reconnect attempt failed, it will fire
+   *
+   * @event SiRuClient#reconnect:failed
+   * @property {number} attempt - number of attempts taken
+   */
 }
 
+// exposed for package consumers, since only SiRuClient is exported from the bundle
+Object.assign((SiRuClient: any), errors, { Headers, Response })
+
 export default SiRuClient;
@@ -1,90 +1,2286 @@
+import BinaryPack from 'js-binarypack'
+
 import SiRuClient from './SiRuClient'
+import {
+  AbortError, TimeoutError, ReassemblyError, HttpError, QueueError,
+  RpcError, MethodNotFoundError, InvalidParamsError, InvalidRequestError, ServerError, ValidationError
+} from './errors'
+import Subscription from './Subscription'
+import Headers from './Headers'
+import Device from './Device'
+import DeviceApi from './DeviceApi'
+
+jest.mock('skyway-js')
+
+let roomName, key
+beforeAll(() => {
+  roomName = 'testroom'
+  key = 'test-key'
+})
+afterAll(() => {
+  roomName = ''
+})
+
+// JSON messages sent to the mock connection, except for SSG: commands and binary frames
+const messages = sent => sent
+  .filter(mesg => typeof(mesg) === 'string' && mesg.indexOf('SSG:') !== 0)
+  .map(mesg => JSON.parse(mesg))
+
+// payloads of request envelopes sent to the mock connection
+const requests = sent => messages(sent).map(mesg => mesg.payload)
+
+// construct client with options before each test, and close it after each test.
+// `ready` is called with the client and the connection to test-uuid, once the device is registered.
+// messages sent until then are cleared from the connection
+const useClient = (options, ready) => {
+  let client
+
+  beforeEach(done => {
+    client = new SiRuClient(roomName, Object.assign({key}, options))
+    client.on('meta', () => {
+      const conn = client.deviceManager.getDataChannelConnection('test-uuid')
+      conn.sent = []
+      ready(client, conn)
+      done()
+    })
+  })
+
+  afterEach(() => {
+    client.close()
+    client = null
+  })
+}
+
+describe('constructor() test', () => {
+  let siru
+  beforeEach(() => {
+    siru = new SiRuClient(roomName, {key})
+  })
+
+  afterEach(() => {
+    siru = null
+  })
+
+
+  test('when constructed, it will emit series of state messages', done => {
+    const __events = []
+    const expected = [
+      'SKYWAY_CONNECTED',
+      'ROOM_JOINED',
+      'USER_LIST_OBTAINED',
+      'STARTED'
+    ]
+
+    // check making instance succeeded
+    expect(siru).toBeInstanceOf(SiRuClient)
+
+    // after construction, 'connect' message will be fired. we will check state events at that moment.
+    siru.on('state:change', state => {
+      __events.push(state)
+    })
+
+    siru.on('connect', () => {
+      expect(__events).toMatchObject(expected)
+      done()
+    })
+  })
+
+  it('will fire meta event, after creation finished.', done => {
+    siru.on('meta', profile => {
+      expect(profile).toBeInstanceOf(Object)
+      done()
+    })
+  })
+
+  it('will raise error, when roomName is not specified', () => {
+    expect(() => new SiRuClient(undefined, { key })).toThrow()
+    expect(() => new SiRuClient(123, { key })).toThrow()
+  })
+  it('will raise error, when key is not specified', () => {
+    expect(() => new SiRuClient(roomName, { })).toThrow()
+  })
+})
+
+describe('fetch() test', () => {
+  let siru
+  beforeEach(() => {
+    siru = new SiRuClient(roomName, {key})
+  })
+
+  afterEach(() => {
+    siru = null
+  })
+  it('will return "hello", when request path is "test-uuid/echo/hello"', done => {
+    setTimeout( ev => {
+      siru.fetch('test-uuid/echo/hello')
+        .then(res => res.text())
+        .then(text => {
+          expect(text).toBe('hello')
+          done()
+        })
+    }, 500)
+  })
+
+  it('will resolve each response, when requests are issued concurrently', done => {
+    setTimeout( ev => {
+      const words = []
+      for(let i = 0; i < 100; i++) words.push(`hello${i}`)
+
+      Promise.all(words.map(word => siru.fetch(`test-uuid/echo/${word}`)))
+        .then(responses => Promise.all(responses.map(res => res.text())))
+        .then(texts => {
+          expect(texts).toEqual(words)
+          expect(siru.pendings).toEqual({})
+          expect(siru.listenerCount('__fetchResponse')).toBe(0)
+          done()
+        })
+    }, 500)
+  })
+
+  it('will reject(), when request path is "unexist-uuid/echo/hello"', () => {
+    return siru.fetch('unexist-uuid/echo/hello').catch( err => {
+      expect(err).toBeDefined()
+    })
+  })
+})
+
+describe('fetch() cancellation and timeout test', () => {
+  let siru, signal
+
+  // minimum implementation of AbortSignal
+  class Signal {
+    constructor() {
+      this.aborted = false
+      this.listeners = []
+    }
+    addEventListener(type, listener) {
+      this.listeners.push(listener)
+    }
+    removeEventListener(type, listener) {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+    abort() {
+      this.aborted = true
+      this.listeners.forEach(l => l())
+    }
+  }
+
+  beforeEach(() => {
+    signal = new Signal()
+  })
+
+  useClient({}, client => {
+    siru = client
+  })
+
+  it('will reject with AbortError, when signal is aborted', () => {
+    // mock device does not respond to '/noreply'
+    const req = siru.fetch('test-uuid/noreply', { signal })
+    signal.abort()
+
+    return req
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(signal.listeners).toHaveLength(0)
+        expect(siru.pendings).toEqual({})
+      })
+  })
+
+  it('will reject with AbortError, when signal is already aborted', () => {
+    signal.aborted = true
+
+    return siru.fetch('test-uuid/echo/hello', { signal })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err).toBeInstanceOf(AbortError))
+  })
+
+  it('will reject with TimeoutError, when options.timeout passed', () => {
+    return siru.fetch('test-uuid/noreply', { timeout: 50 })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(TimeoutError)
+        expect(siru.pendings).toEqual({})
+      })
+  })
+
+  it('will resolve, when response arrives before timeout', () => {
+    return siru.fetch('test-uuid/echo/hello', { timeout: 50, signal })
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello')
+        expect(signal.listeners).toHaveLength(0)
+      })
+  })
+
+  it('will reject, when options.timeout is not valid', () => {
+    return siru.fetch('test-uuid/echo/hello', { timeout: -1 })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('options.timeout must be positive number'))
+  })
+})
+
+describe('fetch() chunked request body test', () => {
+  let siru, conn
+
+  useClient({chunkSize: 4}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will send large body in chunks', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world' })
+      .then(res => res.text())
+      .then(text => {
+        const chunks = requests(conn.sent)
+
+        expect(text).toBe('hello world')
+        expect(chunks).toHaveLength(3)
+        expect(chunks.map(c => [c.chunked, c.chunk_len, c.idx, c.chunk])).toEqual([
+          [true, 3, 0, 'hell'], [true, 3, 1, 'o wo'], [true, 3, 2, 'rld']
+        ])
+        expect(chunks[0].body).toBeUndefined()
+      })
+  })
+
+  it('will send object body in chunks as JSON string', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: {str: 'hello'} })
+      .then(res => res.json())
+      .then(json => expect(json).toEqual({str: 'hello'}))
+  })
+
+  it('will not chunk body, when it is smaller than chunkSize', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello', chunkSize: 16 })
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello')
+        expect(requests(conn.sent)[0].chunked).toBeUndefined()
+      })
+  })
+
+  it('will report upload progress', () => {
+    const progress = [], events = []
+    siru.on('upload:progress', (transaction_id, sent, total) => events.push([sent, total]))
+
+    return siru.fetch('test-uuid/upload', {
+      method: 'POST',
+      body: 'hello world',
+      onUploadProgress: (sent, total) => progress.push([sent, total])
+    }).then(() => {
+      expect(progress).toEqual([[4, 11], [8, 11], [11, 11]])
+      expect(events).toEqual(progress)
+    })
+  })
+
+  it('will wait sending chunks while bufferedAmount is high', done => {
+    conn.bufferedAmount = 2 * 1024 * 1024
+
+    siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world' })
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello world')
+        done()
+      })
+
+    setTimeout(ev => {
+      expect(requests(conn.sent)).toHaveLength(0)
+      conn.bufferedAmount = 0
+    }, 100)
+  })
+
+  it('will restart timeout every time a chunk is sent', () => {
+    // each chunk waits about 100 msec for bufferedAmount to be drained, so whole upload takes longer than timeout
+    const __hold = () => {
+      conn.bufferedAmount = 2 * 1024 * 1024
+      setTimeout(ev => { conn.bufferedAmount = 0 }, 60)
+    }
+    siru.on('upload:progress', () => __hold())
+    __hold()
+
+    const started = Date.now()
+
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world', timeout: 200 })
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello world')
+        expect(Date.now() - started).toBeGreaterThan(200)
+      })
+  })
+
+  it('will tell the device to cancel, when upload is abandoned', () => {
+    // after the first chunk, bufferedAmount is kept high
+    siru.once('upload:progress', () => { conn.bufferedAmount = 2 * 1024 * 1024 })
+
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world', timeout: 100 })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(TimeoutError)
+        return new Promise(resolv => setTimeout(resolv, 100))
+      })
+      .then(() => {
+        const sent = requests(conn.sent)
+
+        expect(sent).toHaveLength(2)
+        expect(sent[1]).toEqual({ path: '/upload', transaction_id: sent[0].transaction_id, cancel: true })
+        expect(conn.cancelled).toEqual([ sent[0].transaction_id ])
+      })
+  })
+
+  it('will stop sending chunks, when request is aborted', done => {
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => { signal.listener = listener },
+      removeEventListener: () => {}
+    }
+    conn.bufferedAmount = 2 * 1024 * 1024
+
+    siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world', signal })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        conn.bufferedAmount = 0
+        setTimeout(ev => {
+          expect(requests(conn.sent)).toHaveLength(0)
+          done()
+        }, 100)
+      })
+
+    signal.listener()
+  })
+
+  it('will give up sending chunks, when connection is closed while bufferedAmount is high', () => {
+    conn.bufferedAmount = 2 * 1024 * 1024
+
+    const p = siru.fetch('test-uuid/upload', { method: 'POST', body: 'hello world' })
+    setTimeout(ev => { conn.open = false }, 100)
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(requests(conn.sent)).toHaveLength(0)
+      })
+  })
+
+  it('will send binary body in binary chunks', () => {
+    siru.deviceManager.getDevice('test-uuid').profile.capabilities = ['binary']
+    siru.fetch('test-uuid/noreply', { method: 'POST', body: new Uint8Array(10), timeout: 100 })
+      .catch(err => {})
+
+    return new Promise(resolv => setTimeout(resolv, 50))
+      .then(() => {
+        expect(conn.sent).toHaveLength(3)
+        conn.sent.forEach(data => expect(data).toBeInstanceOf(Blob))
+      })
+  })
+})
+
+describe('fetch() request headers test', () => {
+  let siru, conn
+
+  useClient({chunkSize: 8}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will send headers in envelope', () => {
+    return siru.fetch('test-uuid/echo/hello', { headers: { Accept: 'text/plain', 'X-Token': 'secret' } })
+      .then(() => expect(requests(conn.sent)[0].headers).toEqual({ accept: 'text/plain', 'x-token': 'secret' }))
+  })
+
+  it('will send empty headers, when not specified', () => {
+    return siru.fetch('test-uuid/echo/hello')
+      .then(() => expect(requests(conn.sent)[0].headers).toEqual({}))
+  })
+
+  it('will accept Headers object', () => {
+    const headers = new Headers([['Accept', 'text/plain']])
+
+    return siru.fetch('test-uuid/echo/hello', { headers })
+      .then(() => expect(requests(conn.sent)[0].headers).toEqual({ accept: 'text/plain' }))
+  })
+
+  it('will set Content-Type to application/json for object body', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: { a: 1 } })
+      .then(() => expect(requests(conn.sent)[0].headers).toEqual({ 'content-type': 'application/json' }))
+  })
+
+  it('will not overwrite Content-Type specified', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: { a: 1 }, headers: { 'Content-Type': 'application/merge-patch+json' } })
+      .then(() => expect(requests(conn.sent)[0].headers).toEqual({ 'content-type': 'application/merge-patch+json' }))
+  })
+
+  it('will send headers in every chunk', () => {
+    return siru.fetch('test-uuid/upload', { method: 'POST', body: { str: 'hello world' } })
+      .then(() => {
+        const chunks = requests(conn.sent)
+
+        expect(chunks.length).toBeGreaterThan(1)
+        chunks.forEach(chunk => expect(chunk.headers).toEqual({ 'content-type': 'application/json' }))
+      })
+  })
+
+  it('will reject, when header name is invalid', () => {
+    return siru.fetch('test-uuid/echo/hello', { headers: { 'bad name': 'value' } })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(TypeError)
+        expect(siru.pendings).toEqual({})
+      })
+  })
+})
+
+describe('REST helper test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('get() will send GET with query', () => {
+    return siru.get('test-uuid', '/echo/hello', { a: 1 }, { responseType: 'text' })
+      .then(text => {
+        const req = requests(conn.sent)[0]
+
+        expect(text).toBe('hello')
+        expect(req.method).toBe('GET')
+        expect(req.path).toBe('/echo/hello')
+        expect(req.query).toEqual({ a: 1 })
+        expect(req.responseType).toBeUndefined()
+      })
+  })
+
+  it('post() will resolve with parsed JSON', () => {
+    return siru.post('test-uuid', '/upload', { str: 'hello' })
+      .then(json => {
+        expect(json).toEqual({ str: 'hello' })
+        expect(requests(conn.sent)[0].method).toBe('POST')
+      })
+  })
+
+  it('put() and patch() will send body with each method', () => {
+    return siru.put('test-uuid', '/upload', { a: 1 })
+      .then(json => expect(json).toEqual({ a: 1 }))
+      .then(() => siru.patch('test-uuid', '/upload', { b: 2 }))
+      .then(json => {
+        expect(json).toEqual({ b: 2 })
+        expect(requests(conn.sent).map(req => req.method)).toEqual(['PUT', 'PATCH'])
+      })
+  })
+
+  it('delete() will resolve with null for empty body', () => {
+    return siru.delete('test-uuid', '/status/204')
+      .then(json => {
+        expect(json).toBe(null)
+        expect(requests(conn.sent)[0].method).toBe('DELETE')
+      })
+  })
+
+  it('will resolve Response, when responseType is response', () => {
+    return siru.get('test-uuid', '/echo/hello', null, { responseType: 'response' })
+      .then(res => expect(res.status).toBe(200))
+  })
+
+  it('will reject with HttpError, when status is not 2xx', () => {
+    return siru.get('test-uuid', '/status/404')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(HttpError)
+        expect(err.status).toBe(404)
+        expect(err.response.url).toBe('test-uuid/status/404')
+        expect(err.message).toBe('GET test-uuid/status/404 failed with 404 Not Found')
+      })
+  })
+
+  it('will reject, when path does not begin with /', () => {
+    return siru.get('test-uuid', 'echo/hello')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('path'))
+  })
+
+  it('will reject, when responseType is unknown', () => {
+    return siru.get('test-uuid', '/echo/hello', null, { responseType: 'xml' })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('unknown responseType'))
+  })
+
+  it('fetch() will reject, when method is not allowed', () => {
+    return siru.fetch('test-uuid/echo/hello', { method: 'CONNECT' })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err.message).toMatch('not allowed')
+        expect(requests(conn.sent)).toHaveLength(0)
+      })
+  })
+
+  it('fetch() will accept method in lower case', () => {
+    return siru.fetch('test-uuid/echo/hello', { method: 'get' })
+      .then(res => expect(res.ok).toBe(true))
+  })
+})
+
+describe('interceptors test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('request interceptor can modify request', () => {
+    siru.interceptors.request.use(req => {
+      req.headers = Object.assign({}, req.headers, { Authorization: 'Bearer token' })
+      return req
+    })
+    siru.interceptors.request.use(req => Promise.resolve(Object.assign({}, req, { uuid_path: 'test-uuid/echo/world' })))
+
+    return siru.fetch('test-uuid/echo/hello')
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('world')
+        expect(requests(conn.sent)[0].headers).toEqual({ authorization: 'Bearer token' })
+      })
+  })
+
+  it('request interceptor can reject request', () => {
+    siru.interceptors.request.use(req => { throw new Error('not authorized') })
+
+    return siru.fetch('test-uuid/echo/hello')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err.message).toBe('not authorized')
+        expect(requests(conn.sent)).toHaveLength(0)
+      })
+  })
+
+  it('will reject, when request interceptor does not return request', () => {
+    siru.interceptors.request.use(req => {})
+
+    return siru.fetch('test-uuid/echo/hello')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('request interceptor should return request options'))
+  })
+
+  it('will reject, when uuid_path is not string', () => {
+    let p
+    expect(() => { p = siru.fetch(undefined) }).not.toThrow()
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('uuid_path should be string'))
+  })
+
+  it('will reject, when interceptor sets invalid uuid_path', () => {
+    siru.interceptors.request.use(req => Object.assign({}, req, { uuid_path: 1 }))
+
+    return siru.fetch('test-uuid/echo/hello')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('uuid_path should be string'))
+  })
+
+  it('response interceptor can reject Response', () => {
+    siru.interceptors.response.use(res => res.ok ? res : Promise.reject(new HttpError('failed', res)))
+
+    return siru.fetch('test-uuid/status/500')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(HttpError)
+        expect(err.status).toBe(500)
+      })
+  })
+
+  it('response interceptor receives request of Response', () => {
+    const started = Date.now()
+    let logged = null
+
+    siru.interceptors.request.use(req => Object.assign(req, { startedAt: started }))
+    siru.interceptors.response.use(res => {
+      logged = res.request
+      return res
+    })
+
+    return siru.fetch('test-uuid/echo/hello')
+      .then(() => {
+        expect(logged.uuid_path).toBe('test-uuid/echo/hello')
+        expect(logged.startedAt).toBe(started)
+      })
+  })
+
+  it('response interceptor can recover from error', () => {
+    siru.interceptors.response.use(null, err => 'fallback')
+
+    return siru.fetch('test-uuid/noreply', { timeout: 50 })
+      .then(ret => expect(ret).toBe('fallback'))
+  })
+
+  it('interceptors apply to REST helpers', () => {
+    siru.interceptors.response.use(res => {
+      res.headers.set('x-intercepted', 'yes')
+      return res
+    })
+
+    return siru.get('test-uuid', '/echo/hello', null, { responseType: 'response' })
+      .then(res => expect(res.headers.get('x-intercepted')).toBe('yes'))
+  })
+})
+
+describe('fetch() retry test', () => {
+  let siru, conn
+
+  useClient({retry: { initialDelay: 10, jitter: 0 }}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will retry GET on retriable status with fresh transaction id', () => {
+    return siru.fetch('test-uuid/flaky/2')
+      .then(res => {
+        const reqs = requests(conn.sent)
+
+        expect(res.status).toBe(200)
+        expect(res.attempt).toBe(3)
+        expect(reqs).toHaveLength(3)
+        expect(new Set(reqs.map(req => req.transaction_id)).size).toBe(3)
+      })
+  })
+
+  it('will resolve last Response, when attempts are exhausted', () => {
+    return siru.fetch('test-uuid/flaky/5')
+      .then(res => {
+        expect(res.status).toBe(503)
+        expect(res.attempt).toBe(3)
+      })
+  })
+
+  it('will retry on timeout, and set attempt to error', () => {
+    return siru.fetch('test-uuid/noreply', { timeout: 20, retry: { maxAttempts: 2 } })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(TimeoutError)
+        expect(err.attempt).toBe(2)
+        expect(requests(conn.sent)).toHaveLength(2)
+      })
+  })
+
+  it('will not retry POST by default', () => {
+    return siru.fetch('test-uuid/flaky/1', { method: 'POST' })
+      .then(res => {
+        expect(res.status).toBe(503)
+        expect(res.attempt).toBe(1)
+      })
+  })
+
+  it('will retry POST, when methods of policy include it', () => {
+    return siru.fetch('test-uuid/flaky/1', { method: 'POST', retry: { methods: ['POST'] } })
+      .then(res => expect(res.attempt).toBe(2))
+  })
+
+  it('will not retry, when retry is false', () => {
+    return siru.fetch('test-uuid/flaky/1', { retry: false })
+      .then(res => {
+        expect(res.status).toBe(503)
+        expect(res.attempt).toBe(1)
+      })
+  })
+
+  it('will not retry on AbortError', () => {
+    const signal = { aborted: true, addEventListener: () => {}, removeEventListener: () => {} }
+
+    return siru.fetch('test-uuid/flaky/1', { signal })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.attempt).toBe(1)
+      })
+  })
+
+  it('will reject with AbortError, when aborted while waiting for retry', () => {
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => { signal.listener = listener },
+      removeEventListener: () => {}
+    }
+
+    const req = siru.fetch('test-uuid/flaky/1', { signal, retry: { initialDelay: 1000 } })
+    setTimeout(ev => signal.listener(), 50)
+
+    return req
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.attempt).toBe(1)
+      })
+  })
+
+  it('will compute delay with exponential backoff and jitter', () => {
+    const policy = { initialDelay: 100, maxDelay: 300, factor: 2, jitter: 0 }
+
+    expect(siru._retryDelay(1, policy)).toBe(100)
+    expect(siru._retryDelay(2, policy)).toBe(200)
+    expect(siru._retryDelay(3, policy)).toBe(300)
+
+    const delay = siru._retryDelay(1, Object.assign({}, policy, { jitter: 0.5 }))
+    expect(delay).toBeGreaterThanOrEqual(50)
+    expect(delay).toBeLessThanOrEqual(100)
+  })
+})
+
+describe('fetch() chunked response test', () => {
+  let siru
+
+  useClient({}, client => {
+    siru = client
+  })
+
+  it('will reassemble chunked response', () => {
+    return siru.fetch('test-uuid/chunked/hello world')
+      .then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello world')
+        expect(siru.chunks).toEqual({})
+      })
+  })
+
+  it('will reassemble chunks received out of order', () => {
+    return siru.fetch('test-uuid/chunked/hello world', { query: { reverse: true } })
+      .then(res => res.text())
+      .then(text => expect(text).toBe('hello world'))
+  })
+
+  it('will report progress with onProgress', () => {
+    const progress = []
+
+    return siru.fetch('test-uuid/chunked/hello', { onProgress: (received, total) => progress.push([received, total]) })
+      .then(() => expect(progress).toEqual([[1, 3], [2, 3], [3, 3]]))
+  })
+
+  it('will report progress once for not chunked response', () => {
+    const progress = []
+
+    return siru.fetch('test-uuid/echo/hello', { onProgress: (received, total) => progress.push([received, total]) })
+      .then(() => expect(progress).toEqual([[1, 1]]))
+  })
+
+  it('will resolve with first chunk, when options.stream is true', () => {
+    const progress = []
+
+    return siru.fetch('test-uuid/chunked/hello world', {
+      stream: true,
+      onProgress: (received, total) => progress.push(received)
+    }).then(res => {
+      expect(progress).toEqual([1])
+
+      return new Promise(resolv => {
+        const data = []
+        res.body.on('data', chunk => data.push(chunk.toString()))
+        res.body.on('end', () => resolv(data.join('')))
+      })
+    }).then(text => {
+      expect(text).toBe('hello world')
+      expect(progress).toEqual([1, 2, 3, 4, 5, 6])
+    })
+  })
+
+  it('will resolve text() of streamed response when every chunk is received', () => {
+    return siru.fetch('test-uuid/chunked/hello world', { stream: true })
+      .then(res => res.text())
+      .then(text => expect(text).toBe('hello world'))
+  })
+
+  it('will fail streamed body, when client is closed', () => {
+    return siru.fetch('test-uuid/chunked/hello world', { stream: true })
+      .then(res => {
+        const ret = res.text()
+        siru.close()
+        return ret
+      })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => expect(err.message).toMatch('client was closed'))
+  })
+})
+
+describe('fetch() response test', () => {
+  let siru
+
+  useClient({}, client => {
+    siru = client
+  })
+
+  it('will resolve Response with url, headers and ok', () => {
+    return siru.fetch('test-uuid/status/404')
+      .then(res => {
+        expect(res.ok).toBe(false)
+        expect(res.status).toBe(404)
+        expect(res.statusText).toBe('Not Found')
+        expect(res.uuid).toBe('test-uuid')
+        expect(res.path).toBe('/status/404')
+        expect(res.url).toBe('test-uuid/status/404')
+        expect(res.headers.get('x-status')).toBe('404')
+
+        return res.text()
+      })
+      .then(text => expect(text).toBe(''))
+  })
+
+  it('will resolve empty body of 204 with empty string', () => {
+    return siru.fetch('test-uuid/status/204')
+      .then(res => {
+        expect(res.ok).toBe(true)
+        return res.text()
+      })
+      .then(text => expect(text).toBe(''))
+  })
+
+  it('will set url of chunked response', () => {
+    return siru.fetch('test-uuid/chunked/hello')
+      .then(res => expect(res.url).toBe('test-uuid/chunked/hello'))
+  })
+})
+
+describe('chunk reassembly limits test', () => {
+  let siru
+
+  useClient({reassemblyTimeout: 100, maxReassemblySize: 8}, client => {
+    siru = client
+  })
+
+  it('will reject with ReassemblyError, when a chunk is lost', () => {
+    return siru.fetch('test-uuid/chunked/hello', { query: { drop: 1 } })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('did not arrive')
+        expect(siru.chunks).toEqual({})
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+
+  it('will reject with ReassemblyError, when chunks are not completed within deadline', () => {
+    // every chunk arrives within reassemblyTimeout, but whole message takes longer than deadline
+    siru.options.reassemblyDeadline = 30
+
+    return siru.fetch('test-uuid/chunked/hello')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('not completed within 30 msec')
+        expect(siru.chunks).toEqual({})
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+
+  it('will fail streamed body, when a chunk is lost', () => {
+    return siru.fetch('test-uuid/chunked/hello', { query: { drop: 2 }, stream: true })
+      .then(res => res.text())
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => expect(err).toBeInstanceOf(ReassemblyError))
+  })
+
+  it('will reject with ReassemblyError, when idx is out of range', () => {
+    return siru.fetch('test-uuid/chunked/hello', { query: { bogus: true } })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('invalid idx')
+        expect(siru.chunks).toEqual({})
+      })
+  })
+
+  it('will reject with ReassemblyError, when size limit is exceeded', () => {
+    return siru.fetch('test-uuid/chunked/hello world')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('exceeds 8')
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+
+  it('will count string chunks in UTF-8 bytes against size limit', () => {
+    // 5 characters, but 15 bytes
+    return siru.fetch('test-uuid/chunked/こんにちは')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('exceeds 8')
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+
+  it('will ignore duplicated chunks', () => {
+    const progress = []
+
+    return siru.fetch('test-uuid/chunked/hello', {
+      query: { duplicate: true },
+      onProgress: received => progress.push(received)
+    }).then(res => res.text())
+      .then(text => {
+        expect(text).toBe('hello')
+        expect(progress).toEqual([1, 2, 3])
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+})
+
+describe('fetchAll() test', () => {
+  let siru
+
+  // add fake device, which responds to '/echo/' with its uuid after delay (ms of query.delay)
+  const addDevice = uuid => {
+    const connection = {
+      inflight: 0,
+      maxInflight: 0,
+      send: str => {
+        const req = JSON.parse(str)
+        const { transaction_id, method, path, query } = req.payload
+
+        connection.inflight++
+        connection.maxInflight = Math.max(connection.maxInflight, connection.inflight)
+
+        setTimeout(ev => {
+          connection.inflight--
+          if(path.indexOf('/echo/') !== 0) return // no reply
+
+          siru._handleDCData(JSON.stringify({
+            topic: uuid, payload: { status: 200, transaction_id, method, body: uuid }
+          }), `SSG_${uuid}`)
+        }, (query && query.delay) || 10)
+      }
+    }
+
+    siru.deviceManager.devices.push(new Device({ uuid, profile: { uuid }, connection, peerid: `SSG_${uuid}` }))
+
+    return connection
+  }
+
+  useClient({retry: false}, client => {
+    siru = client
+    addDevice('device-a')
+    addDevice('device-b')
+  })
+
+  it('will resolve results of every device', () => {
+    return siru.fetchAll('/echo/hello')
+      .then(results => {
+        expect(Object.keys(results).sort()).toEqual(['device-a', 'device-b', 'test-uuid'])
+        Object.keys(results).forEach(uuid => {
+          expect(results[uuid].status).toBe('fulfilled')
+          expect(results[uuid].value.uuid).toBe(uuid)
+        })
+      })
+  })
+
+  it('will resolve with rejected results, when some of requests fail', () => {
+    return siru.fetchAll('/noreply', { timeout: 50 }, { devices: ['device-a', 'device-b'] })
+      .then(results => {
+        expect(results['device-a'].status).toBe('rejected')
+        expect(results['device-a'].reason).toBeInstanceOf(TimeoutError)
+        expect(results['device-b'].status).toBe('rejected')
+      })
+  })
+
+  it('will select devices with predicate', () => {
+    return siru.fetchAll('/echo/hello', {}, { devices: device => device.uuid.indexOf('device-') === 0 })
+      .then(results => expect(Object.keys(results).sort()).toEqual(['device-a', 'device-b']))
+  })
+
+  it('will limit number of requests in flight', () => {
+    const c = addDevice('device-c')
+
+    return siru.fetchAll('/echo/hello', {}, { devices: ['device-c', 'device-c', 'device-c'], concurrency: 1 })
+      .then(() => expect(c.maxInflight).toBe(1))
+  })
+
+  it('will resolve with rejected result for unknown uuid', () => {
+    return siru.fetchAll('/echo/hello', {}, { devices: ['device-a', 'unknown-uuid'] })
+      .then(results => {
+        expect(results['device-a'].status).toBe('fulfilled')
+        expect(results['unknown-uuid'].status).toBe('rejected')
+        expect(results['unknown-uuid'].reason.message).toMatch('no connection found')
+      })
+  })
+
+  it('will reject, when path is wrong', () => {
+    return siru.fetchAll('echo/hello')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('path'))
+  })
+
+  it('will resolve empty object, when no device is selected', () => {
+    return siru.fetchAll('/echo/hello', {}, { devices: [] })
+      .then(results => expect(results).toEqual({}))
+  })
+
+  it('observeAll() will emit results as they arrive', done => {
+    const received = []
+
+    siru.observeAll('/echo/hello', { query: { delay: 10 } }, { devices: ['device-a', 'device-b'] })
+      .subscribe(
+        result => received.push(result.uuid),
+        err => done.fail(err),
+        () => {
+          expect(received.sort()).toEqual(['device-a', 'device-b'])
+          done()
+        }
+      )
+  })
+
+  it('observeAll() will not start pending requests after unsubscribed', done => {
+    const c = addDevice('device-c')
+    let count = 0
+
+    const subscription = siru.observeAll('/echo/hello', {}, { devices: ['device-c', 'device-c', 'device-c'], concurrency: 1 })
+      .subscribe(result => {
+        count++
+        subscription.dispose()
+      })
+
+    setTimeout(ev => {
+      expect(count).toBe(1)
+      expect(c.maxInflight).toBe(1)
+      done()
+    }, 100)
+  })
+})
+
+describe('response cache test', () => {
+  let siru, conn
+
+  const text = (uuid_path, options) => siru.fetch(uuid_path, options).then(res => res.text())
+
+  useClient({cache: true}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will use fresh cached response without request', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v1', { query })
+      .then(body => expect(body).toBe('body-1'))
+      .then(() => siru.fetch('test-uuid/cached/v1', { query }))
+      .then(res => {
+        expect(res.status).toBe(200)
+        expect(res.headers.get('etag')).toBe('"v1"')
+        expect(res.url).toBe('test-uuid/cached/v1')
+        expect(requests(conn.sent)).toHaveLength(1)
+        return res.text()
+      })
+      .then(body => expect(body).toBe('body-1'))
+  })
+
+  it('will revalidate with If-None-Match, and use cached response for 304', () => {
+    return text('test-uuid/cached/v2')
+      .then(() => siru.fetch('test-uuid/cached/v2'))
+      .then(res => {
+        const reqs = requests(conn.sent)
+
+        expect(reqs).toHaveLength(2)
+        expect(reqs[0].headers['if-none-match']).toBeUndefined()
+        expect(reqs[1].headers['if-none-match']).toBe('"v2"')
+        expect(res.status).toBe(200)
+        return res.text()
+      })
+      .then(body => expect(body).toBe('body-1'))
+  })
+
+  it('will always revalidate with no-cache mode', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v3', { query })
+      .then(() => siru.fetch('test-uuid/cached/v3', { query, cache: 'no-cache' }))
+      .then(() => expect(requests(conn.sent)[1].headers['if-none-match']).toBe('"v3"'))
+  })
+
+  it('will ignore cached response with reload mode', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v4', { query })
+      .then(() => text('test-uuid/cached/v4', { query, cache: 'reload' }))
+      .then(body => {
+        expect(body).toBe('body-2')
+        expect(requests(conn.sent)[1].headers['if-none-match']).toBeUndefined()
+      })
+      .then(() => text('test-uuid/cached/v4', { query }))
+      .then(body => expect(body).toBe('body-2'))
+  })
+
+  it('will bypass cache with no-store mode', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v5', { query, cache: 'no-store' })
+      .then(() => text('test-uuid/cached/v5', { query }))
+      .then(body => expect(body).toBe('body-2'))
+  })
+
+  it('will not cache response with no-store', () => {
+    const query = { cc: 'no-store' }
+
+    return text('test-uuid/cached/v6', { query })
+      .then(() => text('test-uuid/cached/v6', { query }))
+      .then(body => {
+        expect(body).toBe('body-2')
+        expect(requests(conn.sent)[1].headers['if-none-match']).toBeUndefined()
+      })
+  })
+
+  it('will not cache other than GET and HEAD', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v7', { query, method: 'POST' })
+      .then(() => text('test-uuid/cached/v7', { query, method: 'POST' }))
+      .then(body => expect(body).toBe('body-2'))
+  })
+
+  it('will remove cached responses of uuid with cache.clear()', () => {
+    const query = { cc: 'max-age=60' }
+
+    return text('test-uuid/cached/v8', { query })
+      .then(() => siru.cache.clear('test-uuid'))
+      .then(() => text('test-uuid/cached/v8', { query }))
+      .then(body => expect(body).toBe('body-2'))
+  })
+
+  it('will reject unknown cache mode', () => {
+    return siru.fetch('test-uuid/cached/v9', { cache: 'force' })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('unknown cache mode'))
+  })
+})
+
+describe('stream() test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will emit pushed frames to Observable, then complete', () => {
+    return new Promise((resolv, reject) => {
+      const texts = []
+      siru.stream('test-uuid/push/3').toObservable()
+        .flatMap(res => res.text())
+        .subscribe(text => texts.push(text), reject, () => resolv(texts))
+    }).then(texts => {
+      expect(texts).toEqual(['frame-0', 'frame-1', 'frame-2'])
+      expect(requests(conn.sent)[0].push).toBe(true)
+      expect(Object.keys(siru.streams).length).toBe(0)
+    })
+  })
+
+  it('will resolve frames with next()', () => {
+    const stream = siru.stream('test-uuid/push/1')
+
+    return stream.next()
+      .then(({ value, done }) => {
+        expect(done).toBe(false)
+        expect(value.uuid).toBe('test-uuid')
+        expect(value.path).toBe('/push/1')
+        return value.text()
+      })
+      .then(text => expect(text).toBe('frame-0'))
+      .then(() => stream.next())
+      .then(ret => expect(ret.done).toBe(true))
+  })
+
+  it('will notify the device when cancelled', () => {
+    const stream = siru.stream('test-uuid/push/10')
+
+    return stream.next()
+      .then(() => stream.cancel())
+      .then(() => {
+        const cancel = requests(conn.sent).filter(payload => payload.cancel)
+        expect(cancel).toEqual([{ path: '/push/10', transaction_id: stream.transaction_id, cancel: true }])
+        expect(conn.cancelled).toEqual([stream.transaction_id])
+        expect(siru.streams[stream.transaction_id]).toBeUndefined()
+      })
+  })
+
+  it('will cancel the stream and fail with AbortError, when signal is aborted', () => {
+    const listeners = []
+    const signal = {
+      addEventListener: (type, fn) => listeners.push(fn),
+      removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1)
+    }
+    const stream = siru.stream('test-uuid/push/10', { signal })
+    const p = stream.next()
+
+    listeners.forEach(fn => fn())
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(conn.cancelled).toEqual([stream.transaction_id])
+        expect(listeners.length).toBe(0)
+      })
+  })
+
+  it('will fail the stream, when connection is closed', () => {
+    const stream = siru.stream('test-uuid/push/10')
+    const p = stream.next().then(() => stream.next())
+
+    conn.emit('close')
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('connection to test-uuid was closed'))
+  })
+
+  it('will fail the stream, when client is closed', () => {
+    const stream = siru.stream('test-uuid/push/10')
+    const p = stream.next()
+
+    siru.close()
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('client was closed'))
+  })
+
+  it('will emit frames in order of idx, even when they arrive out of order', () => {
+    return new Promise((resolv, reject) => {
+      const texts = []
+      siru.stream('test-uuid/push/3', { query: { reverse: true } }).toObservable()
+        .flatMap(res => res.text())
+        .subscribe(text => texts.push(text), reject, () => resolv(texts))
+    }).then(texts => expect(texts).toEqual(['frame-0', 'frame-1', 'frame-2']))
+  })
+
+  it('will reassemble chunked frames', () => {
+    return new Promise((resolv, reject) => {
+      const texts = []
+      siru.stream('test-uuid/push/2', { query: { chunked: true, reverse: true } }).toObservable()
+        .flatMap(res => res.text())
+        .subscribe(text => texts.push(text), reject, () => resolv(texts))
+    }).then(texts => {
+      expect(texts).toEqual(['frame-0', 'frame-1'])
+      expect(siru.pushChunks).toEqual({})
+      expect(siru.reassemblySize).toBe(0)
+    })
+  })
+
+  it('will cancel and fail the stream, when frame is malformed', () => {
+    const stream = siru.stream('test-uuid/push/10')
+    const p = stream.next()
+    const frame = payload => siru._handleDCData(JSON.stringify({ topic: 'test-uuid', payload: Object.assign({
+      status: 200, transaction_id: stream.transaction_id, method: 'GET', push: true
+    }, payload) }), 'SSG_test-other-id')
+
+    frame({ idx: 0, chunked: true, chunk_len: 2, chunk_idx: 0, chunk: 'abc' })
+    frame({ idx: 0, chunked: true, chunk_len: 2, chunk_idx: 2, chunk: 'def' })
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(conn.cancelled).toEqual([stream.transaction_id])
+        expect(siru.pushChunks).toEqual({})
+        expect(siru.reassemblySize).toBe(0)
+      })
+  })
+
+  it('will cancel and fail the stream, when idx of frame is missing', () => {
+    const stream = siru.stream('test-uuid/push/10')
+    const p = stream.next()
+
+    siru._handleDCData(JSON.stringify({ topic: 'test-uuid', payload: {
+      status: 200, transaction_id: stream.transaction_id, method: 'GET', push: true, body: 'x'
+    } }), 'SSG_test-other-id')
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ReassemblyError)
+        expect(err.message).toMatch('invalid idx')
+      })
+  })
+
+  it('will throw with unknown uuid', () => {
+    expect(() => siru.stream('unknown-uuid/push/1')).toThrow('no connection found')
+  })
+})
+
+describe('handle() test', () => {
+  let siru, conn
+
+  // send request envelope from the device to the client
+  const request = payload => siru._handleDCData(JSON.stringify({ topic: siru.myid, payload }), 'SSG_test-other-id')
+
+  // wait for responses of transaction_id, which is sent by the client
+  const responses = (transaction_id, count = 1) => new Promise((resolv, reject) => {
+    const __check = () => {
+      const ret = messages(conn.sent).filter(mesg => mesg.payload.transaction_id === transaction_id)
+
+      if(ret.length >= count) resolv(ret)
+      else setTimeout(__check, 10)
+    }
+    __check()
+  })
+
+  useClient({chunkSize: 4}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will dispatch request to handler, then respond with its result', () => {
+    const reqs = []
+    siru.handle('/confirm', req => {
+      reqs.push(req)
+      return { body: 'yes' }
+    })
+
+    request({ method: 'post', path: '/confirm', query: { a: 1 }, headers: { 'X-Arm': 'left' }, body: 'ok?', transaction_id: 1 })
+
+    return responses(1).then(([ res ]) => {
+      expect(res.topic).toBe('test-id')
+      expect(res.payload).toEqual({ status: 200, transaction_id: 1, method: 'post', headers: {}, body: 'yes' })
+      expect(reqs[0].uuid).toBe('test-uuid')
+      expect(reqs[0].method).toBe('POST')
+      expect(reqs[0].query).toEqual({ a: 1 })
+      expect(reqs[0].headers.get('x-arm')).toBe('left')
+      expect(reqs[0].body).toBe('ok?')
+    })
+  })
+
+  it('will give up sending chunks of response, when client is closed while bufferedAmount is high', () => {
+    conn.bufferedAmount = 2 * 1024 * 1024
+
+    const p = siru._sendResponse('test-uuid', { transaction_id: 9, method: 'GET' }, { body: 'hello world' })
+    setTimeout(ev => siru.close(), 100)
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(conn.sent.filter(mesg => mesg.indexOf('SSG:') !== 0)).toHaveLength(0)
+      })
+  })
+
+  it('will respond object body as JSON, with status of the result', () => {
+    siru.handle('/json', req => Promise.resolve({ status: 201, statusText: 'Made', body: { a: 1 } }))
+
+    request({ method: 'GET', path: '/json', transaction_id: 2 })
+
+    return responses(2, 2).then(ret => {
+      const payloads = ret.map(mesg => mesg.payload)
+      expect(payloads.every(p => p.chunked && p.chunk_len === 2 && p.status === 201 && p.status_text === 'Made')).toBe(true)
+      expect(payloads[0].headers['content-type']).toBe('application/json')
+      expect(payloads.map(p => p.chunk).join('')).toBe('{"a":1}')
+    })
+  })
+
+  it('will respond large body in chunks, which client can reassemble', () => {
+    siru.handle('/large', req => ({ body: '0123456789' }))
+
+    request({ method: 'GET', path: '/large', transaction_id: 3 })
+
+    return responses(3, 3).then(ret => {
+      expect(ret.map(mesg => mesg.payload.idx)).toEqual([0, 1, 2])
+      expect(ret.map(mesg => mesg.payload.chunk)).toEqual(['0123', '4567', '89'])
+    })
+  })
+
+  it('will reassemble chunked request body before dispatched', () => {
+    const bodies = []
+    siru.handle('/upload', req => {
+      bodies.push(req.body)
+      return {}
+    })
+
+    const envelope = { method: 'POST', path: '/upload', transaction_id: 4, chunked: true, chunk_len: 2 }
+    request(Object.assign({}, envelope, { idx: 1, chunk: 'lo' }))
+    request(Object.assign({}, envelope, { idx: 0, chunk: 'hel' }))
+
+    return responses(4).then(([ res ]) => {
+      expect(bodies).toEqual(['hello'])
+      expect(res.payload.body).toBe('')
+      expect(Object.keys(siru.incoming).length).toBe(0)
+      expect(siru.reassemblySize).toBe(0)
+    })
+  })
+
+  it('will respond 408, when chunks of request are not completed within deadline', () => {
+    siru.options.reassemblyDeadline = 50
+    request({ method: 'POST', path: '/upload', transaction_id: 9, chunked: true, chunk_len: 2, idx: 0, chunk: 'AAA' })
+
+    return responses(9).then(([ res ]) => {
+      expect(res.payload.status).toBe(408)
+      expect(siru.incoming).toEqual({})
+      expect(siru.reassemblySize).toBe(0)
+    })
+  })
+
+  it('will respond 400, when chunk_len changes', () => {
+    const bodies = []
+    siru.handle('/upload', req => {
+      bodies.push(req.body)
+      return {}
+    })
+
+    const envelope = { method: 'POST', path: '/upload', transaction_id: 8, chunked: true }
+    request(Object.assign({}, envelope, { chunk_len: 2, idx: 0, chunk: 'AAA' }))
+    request(Object.assign({}, envelope, { chunk_len: 3, idx: 2, chunk: 'CCC' }))
+
+    return responses(8).then(([ res ]) => {
+      expect(res.payload.status).toBe(400)
+      expect(bodies).toEqual([])
+      expect(siru.incoming).toEqual({})
+      expect(siru.reassemblySize).toBe(0)
+    })
+  })
+
+  it('will respond 413, when chunks of request exceed maxReassemblySize', () => {
+    const bodies = []
+    siru.options.maxReassemblySize = 5
+    siru.handle('/upload', req => {
+      bodies.push(req.body)
+      return {}
+    })
+
+    const envelope = { method: 'POST', path: '/upload', transaction_id: 7, chunked: true, chunk_len: 3 }
+    request(Object.assign({}, envelope, { idx: 0, chunk: 'hel' }))
+    expect(siru.reassemblySize).toBe(3)
+    request(Object.assign({}, envelope, { idx: 1, chunk: 'lo!' }))
+
+    return responses(7).then(([ res ]) => {
+      expect(res.payload.status).toBe(413)
+      expect(bodies).toEqual([])
+      expect(siru.incoming).toEqual({})
+      expect(siru.reassemblySize).toBe(0)
+    })
+  })
+
+  it('will respond 400 to malformed chunk', () => {
+    request({ method: 'POST', path: '/upload', transaction_id: 5, chunked: true, chunk_len: 2, idx: 2, chunk: 'x' })
+
+    return responses(5).then(([ res ]) => expect(res.payload.status).toBe(400))
+  })
+
+  it('will respond 404 to path without handler', () => {
+    siru.handle('/removed', req => ({}))
+    siru.unhandle('/removed')
+
+    request({ method: 'GET', path: '/removed', transaction_id: 6 })
+
+    return responses(6, 6).then(ret => {
+      expect(ret[0].payload.status).toBe(404)
+      expect(ret.map(mesg => mesg.payload.chunk).join('')).toBe('no handler for /removed')
+    })
+  })
+
+  it('will respond error status and message, when handler throws', () => {
+    siru.handle('/error', req => {
+      throw new Error('boom')
+    })
+    siru.handle('/denied', req => Promise.reject(Object.assign(new Error('no'), { status: 403 })))
+
+    request({ method: 'GET', path: '/error', transaction_id: 7 })
+    request({ method: 'GET', path: '/denied', transaction_id: 8 })
+
+    return Promise.all([ responses(7), responses(8) ]).then(([ [ res7 ], [ res8 ] ]) => {
+      expect(res7.payload.status).toBe(500)
+      expect(res7.payload.body).toBe('boom')
+      expect(res8.payload.status).toBe(403)
+      expect(res8.payload.body).toBe('no')
+    })
+  })
+
+  it('will throw with invalid arguments', () => {
+    expect(() => siru.handle('confirm', () => {})).toThrow("must begin with '/'")
+    expect(() => siru.handle('/confirm', null)).toThrow('handler must be function')
+  })
+})
+
+describe('JSON-RPC test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+    client.deviceManager.getDevice('test-uuid').profile.capabilities = ['jsonrpc']
+  })
+
+  it('will resolve with result correlated by id', () => {
+    return siru.rpc('test-uuid', 'add', [1, 2, 3])
+      .then(result => {
+        const [ req ] = requests(conn.sent)
+
+        expect(result).toBe(6)
+        expect(req.jsonrpc).toBe('2.0')
+        expect(req.method).toBe('add')
+        expect(req.params).toEqual([1, 2, 3])
+        expect(typeof(req.id)).toBe('number')
+        expect(siru.pendings[req.id]).toBeUndefined()
+      })
+  })
+
+  it('will reject with subclass of RpcError for standard error code', () => {
+    return Promise.all([
+      siru.rpc('test-uuid', 'unknown').catch(err => err),
+      siru.rpc('test-uuid', 'fail', { code: -32602 }).catch(err => err),
+      siru.rpc('test-uuid', 'fail', { code: -32001 }).catch(err => err),
+      siru.rpc('test-uuid', 'fail', { code: 7, data: 'busy' }).catch(err => err)
+    ]).then(([ notFound, invalidParams, server, app ]) => {
+      expect(notFound).toBeInstanceOf(MethodNotFoundError)
+      expect(notFound.message).toBe('Method not found')
+      expect(invalidParams).toBeInstanceOf(InvalidParamsError)
+      expect(server).toBeInstanceOf(ServerError)
+      expect(server.code).toBe(-32001)
+      expect(app.constructor).toBe(RpcError)
+      expect(app.code).toBe(7)
+      expect(app.data).toBe('busy')
+    })
+  })
+
+  it('will send notification without id', () => {
+    return siru.notify('test-uuid', 'stop', { force: true })
+      .then(ret => {
+        expect(ret).toBeUndefined()
+        expect(conn.notifications).toEqual([ { jsonrpc: '2.0', method: 'stop', params: { force: true } } ])
+      })
+  })
+
+  it('will settle batch calls in order of calls', () => {
+    return siru.rpcBatch('test-uuid', [
+      { method: 'add', params: [1, 1] },
+      { method: 'log', params: ['polled'], notify: true },
+      { method: 'unknown' },
+      { method: 'add', params: [2, 2] }
+    ]).then(results => {
+      const [ req ] = requests(conn.sent)
+
+      expect(Array.isArray(req)).toBe(true)
+      expect(req.length).toBe(4)
+      expect(results[0]).toEqual({ status: 'fulfilled', value: 2 })
+      expect(results[1]).toEqual({ status: 'fulfilled', value: undefined })
+      expect(results[2].status).toBe('rejected')
+      expect(results[2].reason).toBeInstanceOf(MethodNotFoundError)
+      expect(results[3]).toEqual({ status: 'fulfilled', value: 4 })
+      expect(conn.notifications.map(call => call.method)).toEqual(['log'])
+    })
+  })
+
+  it('will fail unanswered calls of the batch, with error without id', () => {
+    const other = siru.rpc('test-uuid', 'slow', [], { timeout: 200 })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => err)
+
+    return siru.rpcBatch('test-uuid', [
+      { method: 'add', params: [1, 1] },
+      { method: 'invalid' },
+      { method: 'slow' }
+    ]).then(results => {
+      expect(results[0]).toEqual({ status: 'fulfilled', value: 2 })
+      expect(results[1].reason).toBeInstanceOf(InvalidRequestError)
+      expect(results[2].reason).toBeInstanceOf(InvalidRequestError)
+
+      return other
+    }).then(err => expect(err).toBeInstanceOf(TimeoutError))
+  })
+
+  it('will fail pending calls to the device, with error without id', () => {
+    const other = siru.rpc('test-uuid', 'slow')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => err)
+
+    return siru.rpc('test-uuid', 'invalid')
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(InvalidRequestError)
+        expect(err.code).toBe(-32600)
+
+        return other
+      })
+      .then(err => {
+        expect(err).toBeInstanceOf(InvalidRequestError)
+        expect(Object.keys(siru.pendings)).toEqual([])
+      })
+  })
+
+  it('will reject empty batch', () => {
+    return siru.rpcBatch('test-uuid', [])
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('calls must be non-empty array'))
+  })
+
+  it('will reject with TimeoutError, when response does not arrive', () => {
+    return siru.rpc('test-uuid', 'slow', null, { timeout: 50 })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(TimeoutError)
+        expect(Object.keys(siru.pendings).length).toBe(0)
+      })
+  })
+
+  it('will reject with AbortError, when signal is aborted', () => {
+    const listeners = []
+    const signal = {
+      aborted: false,
+      addEventListener: (type, fn) => listeners.push(fn),
+      removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1)
+    }
+    const p = siru.rpc('test-uuid', 'slow', null, { signal })
+
+    listeners.forEach(fn => fn())
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(listeners.length).toBe(0)
+      })
+  })
+
+  it('will reject, when device does not advertise jsonrpc capability', () => {
+    siru.deviceManager.getDevice('test-uuid').profile.capabilities = []
+
+    return siru.rpc('test-uuid', 'add', [1])
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err.message).toBe('device test-uuid does not support JSON-RPC')
+        expect(requests(conn.sent).length).toBe(0)
+      })
+  })
+
+  it('will reject invalid method or params', () => {
+    return Promise.all([
+      siru.rpc('test-uuid', '').catch(err => err),
+      siru.rpc('test-uuid', 'add', 1).catch(err => err)
+    ]).then(([ err1, err2 ]) => {
+      expect(err1.message).toBe('method must be non-empty string')
+      expect(err2.message).toBe('params must be array or object')
+    })
+  })
+
+  it('will reject pending calls, when client is closed', () => {
+    const p = siru.rpc('test-uuid', 'slow')
+
+    siru.close()
+
+    return p
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch('client was closed'))
+  })
+})
+
+describe('discover() test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  it('will expose API description as device.api, then fire device:api event', () => {
+    const events = []
+    siru.on('device:api', (uuid, api) => events.push([ uuid, api ]))
+
+    return siru.discover('test-uuid')
+      .then(api => {
+        expect(api).toBeInstanceOf(DeviceApi)
+        expect(siru.deviceManager.getDevice('test-uuid').api).toBe(api)
+        expect(events).toEqual([ [ 'test-uuid', api ] ])
+        expect(requests(conn.sent)[0].path).toBe('/openapi.json')
+      })
+  })
+
+  it('will send request of generated proxy through fetch()', () => {
+    return siru.discover('test-uuid')
+      .then(api => Promise.all([
+        api.getTemperature({ sensor: 'cpu 1', unit: 'f' }),
+        api.setTarget({ body: { value: 20 } })
+      ]))
+      .then(([ temperature, target ]) => {
+        expect(temperature).toEqual({ method: 'GET', path: '/api/temperature/cpu%201', query: { unit: 'f' }, body: null })
+        expect(target).toEqual({ method: 'PUT', path: '/api/target', query: {}, body: { value: 20 } })
+      })
+  })
+
+  it('will reject invalid parameters without sending request', () => {
+    return siru.discover('test-uuid')
+      .then(api => {
+        conn.sent = []
+        return api.setTarget({ body: { value: 120 } })
+      })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(ValidationError)
+        expect(err.errors).toEqual([ 'body.value should be <= 100' ])
+        expect(requests(conn.sent).length).toBe(0)
+      })
+  })
+
+  it('will reject, when the device does not advertise API description', () => {
+    delete siru.deviceManager.getDevice('test-uuid').profile.openapi
+
+    return siru.discover('test-uuid')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('device test-uuid does not advertise API description'))
+  })
+
+  it('will reject, when the description can not be obtained', () => {
+    siru.deviceManager.getDevice('test-uuid').profile.openapi = '/status/404'
+
+    return siru.discover('test-uuid')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err).toBeInstanceOf(HttpError)
+        expect(siru.deviceManager.getDevice('test-uuid').api).toBeNull()
+      })
+  })
+
+  it('will reject unknown device', () => {
+    return siru.discover('unknown-uuid')
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toBe('no device found for unknown-uuid'))
+  })
+})
+
+describe('discovery at registration test', () => {
+  let siru
+
+  afterEach(() => {
+    siru.close()
+    siru = null
+  })
+
+  it('will discover API of the device, when options.discovery is true', done => {
+    siru = new SiRuClient(roomName, {key, discovery: true})
+    siru.on('device:api', (uuid, api) => {
+      expect(uuid).toBe('test-uuid')
+      expect(Object.keys(api.operations)).toEqual([ 'getTemperature', 'setTarget' ])
+      done()
+    })
+  })
+
+  it('will not discover API of the device by default', done => {
+    siru = new SiRuClient(roomName, {key})
+    siru.on('meta', () => {
+      setTimeout(() => {
+        expect(siru.deviceManager.getDevice('test-uuid').api).toBeNull()
+        done()
+      }, 50)
+    })
+  })
+})
+
+describe('offline queue test', () => {
+  let siru
+
+  // close connection of the device, then wait until it is unregistered
+  const disconnect = () => new Promise(resolv => {
+    siru.once('device:closed', () => setTimeout(resolv, 0))
+    siru.deviceManager.getDataChannelConnection('test-uuid').emit('close')
+  })
+
+  // connect to the device again, then resolve with new connection
+  const reconnect = () => new Promise(resolv => {
+    siru.once('device:connected', () => resolv(siru.deviceManager.getDataChannelConnection('test-uuid')))
+    siru._createDCConnection('SSG_test-other-id')
+  })
+
+  const create = options => done => {
+    siru = new SiRuClient(roomName, Object.assign({key}, options))
+    siru.once('meta', () => done())
+  }
+
+  afterEach(() => {
+    siru.close()
+    siru = null
+  })
+
+  describe('when queue is enabled', () => {
+    beforeEach(create({ queue: { ttl: 1000, maxSize: 2 } }))
+
+    it('will flush queued publishes and requests in order, when device is connected again', () => {
+      let req
+
+      return disconnect()
+        .then(() => {
+          siru.publish('test/a', 'hello')
+          req = siru.fetch('test-uuid/echo/world')
+          return reconnect()
+        })
+        .then(conn => {
+          const sent = messages(conn.sent)
+
+          expect(sent[0]).toEqual({ topic: 'test/a', payload: 'hello' })
+          expect(sent[1].payload.path).toBe('/echo/world')
+
+          return req
+        })
+        .then(res => res.text())
+        .then(text => expect(text).toBe('world'))
+    })
+
+    it('will queue publish targeted to absent device', () => {
+      return disconnect()
+        .then(() => {
+          expect(() => siru.publish('test/a', 'hello', { to: 'test-uuid' })).not.toThrow()
+          expect(siru.queue.size('test-uuid')).toBe(1)
+        })
+    })
+
+    it('will drop the oldest item, when queue is full', () => {
+      const dropped = []
+      siru.on('queue:dropped', (uuid, item) => dropped.push([uuid, item]))
+
+      return disconnect()
+        .then(() => {
+          const req = siru.fetch('test-uuid/echo/hello')
+          siru.publish('test/a', 'hello')
+          siru.publish('test/b', 'hello')
+
+          return req
+        })
+        .then(() => { throw new Error('should not be resolved') })
+        .catch(err => {
+          expect(err).toBeInstanceOf(QueueError)
+          expect(err.message).toMatch('offline queue is full')
+          expect(dropped).toHaveLength(1)
+          expect(dropped[0][0]).toBe('test-uuid')
+          expect(dropped[0][1].type).toBe('fetch')
+          expect(dropped[0][1].uuid_path).toBe('test-uuid/echo/hello')
+          expect(dropped[0][1].resolv).toBeUndefined()
+        })
+    })
+
+    it('will reject queued request, when client is closed', () => {
+      return disconnect()
+        .then(() => {
+          const req = siru.fetch('test-uuid/echo/hello')
+          siru.close()
+          return req
+        })
+        .then(() => { throw new Error('should reject') })
+        .catch(err => expect(err.message).toMatch('client was closed'))
+    })
+
+    it('will reject with AbortError, when queued request is aborted', () => {
+      const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => { signal.listener = listener },
+        removeEventListener: () => {}
+      }
+
+      return disconnect()
+        .then(() => {
+          const req = siru.fetch('test-uuid/echo/hello', { signal })
+          signal.listener()
+          return req
+        })
+        .then(() => { throw new Error('should reject') })
+        .catch(err => {
+          expect(err).toBeInstanceOf(AbortError)
+          expect(siru.queue.size('test-uuid')).toBe(0)
+        })
+    })
+
+    it('will reject unknown uuid immediately', () => {
+      return siru.fetch('unknown-uuid/echo/hello')
+        .then(() => { throw new Error('should reject') })
+        .catch(err => expect(err.message).toMatch('no connection found'))
+    })
+
+    it('will drop queued items and stop queueing, when device is forgotten', () => {
+      const dropped = []
+      siru.on('queue:dropped', (uuid, item) => dropped.push(item.type))
+      let req
+
+      return disconnect()
+        .then(() => {
+          req = siru.fetch('test-uuid/echo/hello')
+          siru.publish('test/a', 'hello')
+          siru.forget('test-uuid')
+
+          expect(siru.knownDevices).toEqual({})
+          expect(siru.forgetTimers).toEqual({})
+          expect(siru.queue.size('test-uuid')).toBe(0)
+          expect(dropped).toEqual(['fetch', 'publish'])
+
+          return req
+        })
+        .then(() => { throw new Error('should not be resolved') })
+        .catch(err => {
+          expect(err).toBeInstanceOf(QueueError)
+          expect(err.message).toMatch('forgotten')
+
+          return siru.fetch('test-uuid/echo/hello')
+        })
+        .then(() => { throw new Error('should not be resolved') })
+        .catch(err => expect(err.message).toMatch('no connection found'))
+    })
+
+    it('will not forget device, which is connected again', () => {
+      return disconnect()
+        .then(() => {
+          expect(Object.keys(siru.forgetTimers)).toEqual(['test-uuid'])
+          return reconnect()
+        })
+        .then(() => {
+          expect(siru.forgetTimers).toEqual({})
+          expect(Object.keys(siru.knownDevices)).toEqual(['test-uuid'])
+        })
+    })
+  })
+
+  describe('when queue items expire', () => {
+    beforeEach(create({ queue: { ttl: 50 } }))
+
+    it('will reject queued request with QueueError and emit queue:expired', () => {
+      const expired = []
+      siru.on('queue:expired', (uuid, item) => expired.push(item))
+
+      return disconnect()
+        .then(() => {
+          siru.publish('test/a', 'hello')
+          return siru.fetch('test-uuid/echo/hello')
+        })
+        .then(() => { throw new Error('should not be resolved') })
+        .catch(err => {
+          expect(err).toBeInstanceOf(QueueError)
+          expect(err.message).toMatch('expired')
+          expect(expired.map(item => item.type)).toEqual(['publish', 'fetch'])
+        })
+    })
+
+    it('will forget absent device, after queued items expire', () => {
+      return disconnect()
+        .then(() => {
+          siru.publish('test/a', 'hello')
+          return new Promise(resolv => setTimeout(resolv, 200))
+        })
+        .then(() => {
+          expect(siru.knownDevices).toEqual({})
+          expect(siru.forgetTimers).toEqual({})
+          expect(() => siru.publish('test/a', 'hello', { to: 'test-uuid' })).toThrow()
+        })
+    })
+  })
 
-jest.mock('skyway-js')
+  describe('when queue is disabled', () => {
+    beforeEach(create({}))
 
-let roomName, key
-beforeAll(() => {
-  roomName = 'testroom'
-  key = 'test-key'
-})
-afterAll(() => {
-  roomName = ''
+    it('will reject request for absent device immediately', () => {
+      return disconnect()
+        .then(() => siru.fetch('test-uuid/echo/hello'))
+        .then(() => { throw new Error('should reject') })
+        .catch(err => expect(err.message).toMatch('no connection found'))
+    })
+
+    it('will throw, when publish is targeted to absent device', () => {
+      return disconnect()
+        .then(() => expect(() => siru.publish('test/a', 'hello', { to: 'test-uuid' })).toThrow())
+    })
+
+    it('will not remember devices', () => {
+      return disconnect()
+        .then(() => {
+          expect(siru.knownDevices).toEqual({})
+          expect(siru.forgetTimers).toEqual({})
+        })
+    })
+  })
 })
 
-describe('constructor() test', () => {
+describe('close() test', () => {
   let siru
-  beforeEach(() => {
+  beforeEach(done => {
     siru = new SiRuClient(roomName, {key})
+    siru.on('meta', () => done())
   })
 
   afterEach(() => {
     siru = null
   })
 
+  it('will fire close event and set state to CLOSED', done => {
+    siru.on('close', () => {
+      expect(siru.state).toBe('CLOSED')
+      done()
+    })
+    siru.close()
+  })
+
+  it('will close connections to devices', () => {
+    const closed = []
+    siru.on('device:closed', uuid => closed.push(uuid))
+
+    return siru.close().then(() => {
+      expect(closed).toMatchObject(['test-uuid'])
+      expect(siru.deviceManager.devices).toHaveLength(0)
+      expect(siru.keepaliveTimers).toEqual({})
+    })
+  })
+
+  it('will send ROOM_LEAVE message and destroy skyway', () => {
+    const socket = siru.skyway.socket
+    const sent = []
+    const send = socket.send.bind(socket)
+    socket.send = (type, data) => {
+      sent.push(type)
+      send(type, data)
+    }
+
+    return siru.close().then(() => {
+      expect(sent).toContain('ROOM_LEAVE')
+      expect(siru.skyway.destroyed).toBe(true)
+    })
+  })
+
+  it('will reject in-flight fetch()', () => {
+    // mock device does not respond to '/noreply'
+    const req = siru.fetch('test-uuid/noreply')
+    siru.close()
+
+    return req
+      .then(() => { throw new Error('should reject') })
+      .catch(err => {
+        expect(err.message).toMatch(/closed/)
+      })
+  })
+
+  it('will resolve, when it is called twice', () => {
+    return siru.close()
+      .then(() => siru.close())
+      .then(ret => expect(ret).toBeUndefined())
+  })
+
+  it('will not be DISCONNECTED, while closing', () => {
+    const states = []
+    siru.on('state:change', state => states.push(state))
+
+    return siru.close()
+      .then(() => expect(states).toEqual(['CLOSED']))
+  })
+
+  it('will close only once, when it is called twice in the same tick', () => {
+    const events = [], sent = []
+    const skyway = siru.skyway
+    const send = skyway.socket.send.bind(skyway.socket)
+    skyway.socket.send = (key, data) => {
+      sent.push(key)
+      send(key, data)
+    }
+    siru.on('close', () => events.push('close'))
+    siru.on('state:change', state => events.push(state))
+
+    const first = siru.close()
+    const second = siru.close()
+
+    expect(second).toBe(first)
+
+    return Promise.all([ first, second ])
+      .then(() => {
+        expect(events).toEqual(['CLOSED', 'close'])
+        expect(sent.filter(key => key === 'ROOM_LEAVE')).toHaveLength(1)
+      })
+  })
+})
+
+describe('close() while starting test', () => {
+  it('will stop starting, then destroy SkyWay instance', () => {
+    const siru = new SiRuClient(roomName, {key})
+    const states = []
+    const events = []
+
+    siru.on('state:change', state => states.push(state))
+    siru.on('connect', () => events.push('connect'))
+    siru.on('device:connected', uuid => events.push(uuid))
+
+    return siru.close()
+      .then(() => new Promise(resolv => setTimeout(resolv, 500)))
+      .then(() => {
+        expect(states).toEqual(['CLOSED'])
+        expect(events).toEqual([])
+        expect(siru.skyway.destroyed).toBe(true)
+        expect(siru.deviceManager.devices).toHaveLength(0)
+      })
+  })
+})
+
+describe('reconnect test', () => {
+  let siru
+
+  afterEach(() => {
+    siru.close()
+    siru = null
+  })
+
+  it('will reconnect and re-establish DataChannel, when signaling link is disconnected', () => {
+    siru = new SiRuClient(roomName, {key, reconnect: {initialDelay: 10}})
 
-  test('when constructed, it will emit series of state messages', done => {
     const __events = []
-    const expected = [
-      'SKYWAY_CONNECTED',
-      'ROOM_JOINED',
-      'USER_LIST_OBTAINED',
-      'STARTED'
-    ]
+    let prev
 
-    // check making instance succeeded
-    expect(siru).toBeInstanceOf(SiRuClient)
+    // values are recorded in listeners, then asserted outside of the emitter chain
+    return new Promise(resolv => siru.once('meta', resolv))
+      .then(() => {
+        prev = siru.skyway
+        siru.on('state:change', state => __events.push(state))
 
-    // after construction, 'connect' message will be fired. we will check state events at that moment.
-    siru.on('state:change', state => {
-      __events.push(state)
+        const reconnected = new Promise(resolv => siru.once('reconnect', attempt => resolv({
+          attempt,
+          events: __events.slice(),
+          destroyed: prev.destroyed,
+          skyway: siru.skyway
+        })))
+        const connected = new Promise(resolv => siru.once('device:connected', resolv))
+
+        prev.emit('disconnected', 'test-id')
+
+        return Promise.all([ reconnected, connected ])
+      })
+      .then(([ ret, uuid ]) => {
+        expect(ret.attempt).toBe(1)
+        expect(ret.events).toEqual([
+          'DISCONNECTED',
+          'RECONNECTING',
+          'SKYWAY_CONNECTED',
+          'ROOM_JOINED',
+          'USER_LIST_OBTAINED',
+          'STARTED'
+        ])
+        expect(ret.destroyed).toBe(true)
+        expect(ret.skyway).not.toBe(prev)
+        expect(uuid).toBe('test-uuid')
+      })
+  })
+
+  it('will stop reconnecting, when close() is called after reconnect timer fired', () => {
+    siru = new SiRuClient(roomName, {key, reconnect: {initialDelay: 10}})
+
+    const __events = []
+    let reconnected = false
+
+    return new Promise(resolv => siru.once('meta', resolv))
+      .then(() => {
+        siru.on('state:change', state => __events.push(state))
+        siru.on('reconnect', () => { reconnected = true })
+        siru.skyway.emit('disconnected', 'test-id')
+
+        // reconnect timer fires after 10 msec, then new SkyWay instance is being connected
+        return new Promise(resolv => setTimeout(resolv, 30))
+      })
+      .then(() => {
+        const skyway = siru.skyway
+
+        return siru.close()
+          .then(() => new Promise(resolv => setTimeout(resolv, 500)))
+          .then(() => {
+            expect(__events).toEqual([ 'DISCONNECTED', 'RECONNECTING', 'CLOSED' ])
+            expect(reconnected).toBe(false)
+            expect(skyway.destroyed).toBe(true)
+            expect(siru.deviceManager.devices).toHaveLength(0)
+          })
+      })
+  })
+
+  it('will reconnect, when fatal error happens', done => {
+    siru = new SiRuClient(roomName, {key, reconnect: {initialDelay: 10}})
+
+    siru.once('meta', () => {
+      siru.on('reconnect', () => done())
+      siru.skyway.emit('error', {type: 'socket-error'})
     })
+  })
 
-    siru.on('connect', () => {
-      expect(__events).toMatchObject(expected)
-      done()
+  it('will not reconnect, when error is not fatal', done => {
+    siru = new SiRuClient(roomName, {key, reconnect: {initialDelay: 10}})
+
+    siru.once('meta', () => {
+      siru.skyway.emit('error', {type: 'peer-unavailable'})
+      setTimeout(ev => {
+        expect(siru.state).toBe('STARTED')
+        done()
+      }, 100)
     })
   })
 
-  it('will fire meta event, after creation finished.', done => {
-    siru.on('meta', profile => {
-      expect(profile).toBeInstanceOf(Object)
-      done()
+  it('will not reconnect, when reconnect is disabled', done => {
+    siru = new SiRuClient(roomName, {key, reconnect: {enabled: false}})
+
+    siru.once('meta', () => {
+      siru.skyway.emit('disconnected', 'test-id')
+      setTimeout(ev => {
+        expect(siru.state).toBe('DISCONNECTED')
+        done()
+      }, 100)
     })
   })
 
-  it('will raise error, when roomName is not specified', () => {
-    expect(() => new SiRuClient(undefined, { key })).toThrow()
-    expect(() => new SiRuClient(123, { key })).toThrow()
+  it('will compute delay with exponential backoff', () => {
+    siru = new SiRuClient(roomName, {key, reconnect: {initialDelay: 100, factor: 2, maxDelay: 1000}})
+
+    expect(siru._reconnectDelay(0)).toBe(100)
+    expect(siru._reconnectDelay(1)).toBe(200)
+    expect(siru._reconnectDelay(3)).toBe(800)
+    expect(siru._reconnectDelay(4)).toBe(1000)
   })
-  it('will raise error, when key is not specified', () => {
-    expect(() => new SiRuClient(roomName, { })).toThrow()
+
+  it('will raise error, when reconnect option is not object', () => {
+    siru = new SiRuClient(roomName, {key})
+    expect(() => new SiRuClient(roomName, {key, reconnect: true})).toThrow()
   })
 })
 
-describe('fetch() test', () => {
-  let siru
-  beforeEach(() => {
-    siru = new SiRuClient(roomName, {key})
+describe('heartbeat test', () => {
+  let siru, conn
+
+  useClient({heartbeat: {interval: 20, staleAfter: 2, deadAfter: 4}}, (client, connection) => {
+    siru = client
+    conn = connection
   })
 
-  afterEach(() => {
-    siru = null
+  it('will measure latency from keepalive reply', done => {
+    setTimeout(ev => {
+      const device = siru.deviceManager.getDevice('test-uuid')
+      expect(typeof(device.latency)).toBe('number')
+      expect(device.stale).toBe(false)
+      done()
+    }, 100)
   })
-  it('will return "hello", when request path is "test-uuid/echo/hello"', done => {
-    setTimeout( ev => {
-      siru.fetch('test-uuid/echo/hello')
-        .then(res => res.text())
-        .then(text => {
-          expect(text).toBe('hello')
-          done()
-        })
-    }, 500)
+
+  it('will fire device:stale, then device:alive when device answers again', done => {
+    siru.on('device:stale', (uuid, missed) => {
+      expect(uuid).toBe('test-uuid')
+      expect(missed).toBe(2)
+      conn.frozen = false
+    })
+    siru.on('device:alive', (uuid, latency) => {
+      expect(uuid).toBe('test-uuid')
+      expect(siru.deviceManager.getDevice('test-uuid').stale).toBe(false)
+      done()
+    })
+    conn.frozen = true
   })
 
-  it('will reject(), when request path is "unexist-uuid/echo/hello"', () => {
-    return siru.fetch('unexist-uuid/echo/hello').catch( err => {
-      expect(err).toBeDefined()
+  it('will not unregister dead device, when autoUnregister is false', done => {
+    conn.frozen = true
+    setTimeout(ev => {
+      expect(siru.deviceManager.exist('test-uuid')).toBe(true)
+      done()
+    }, 200)
+  })
+})
+
+describe('heartbeat test with autoUnregister', () => {
+  let siru
+
+  useClient({heartbeat: {interval: 20, deadAfter: 3, autoUnregister: true}}, client => {
+    siru = client
+  })
+
+  it('will fire device:dead and unregister device', done => {
+    siru.on('device:dead', (uuid, missed) => {
+      expect(uuid).toBe('test-uuid')
+      expect(missed).toBe(3)
+      expect(siru.deviceManager.exist('test-uuid')).toBe(false)
+      done()
     })
+    siru.deviceManager.getDataChannelConnection('test-uuid').frozen = true
   })
 })
 
@@ -100,7 +2296,7 @@ describe('pubsub test', () => {
   })
 
   test('subscribe add topic', () => {
-    expect(siru.subscribe('test')).toBeUndefined()
+    expect(siru.subscribe('test')).toBeInstanceOf(Subscription)
     expect(siru.topics).toMatchObject(['test'])
   })
 
@@ -202,6 +2398,122 @@ describe('pubsub test', () => {
 
 
 
+  test('message will be fired only once, when it matches several topic filters', done => {
+    const messages = []
+    siru.subscribe('test/+')
+    siru.subscribe('test/#')
+
+    siru.on('message', (topic, message) => messages.push(message))
+
+    siru._handleDCData(JSON.stringify({topic: 'test/fuga', payload: 'hello'}) )
+    setTimeout( ev => {
+      expect(messages).toMatchObject(['hello'])
+      done()
+    }, 100)
+  })
+
+  test('`test/+` does not match `test`, and `test/#` matches `test`', done => {
+    const topics = []
+    siru.subscribe('test/+')
+    siru.on('message', topic => topics.push(topic))
+
+    siru._handleDCData(JSON.stringify({topic: 'test', payload: 'hello'}) )
+    siru.unsubscribe('test/+')
+    siru.subscribe('test/#')
+    siru._handleDCData(JSON.stringify({topic: 'test', payload: 'hello'}) )
+
+    setTimeout( ev => {
+      expect(topics).toMatchObject(['test'])
+      done()
+    }, 100)
+  })
+
+  test('subscribe will call handler only with matched messages', done => {
+    const received = []
+    siru.subscribe('test/+', (topic, message, uuid) => received.push([topic, message, uuid]))
+    siru.subscribe('other/+', () => { throw new Error('should not be called') })
+
+    siru.on('meta', () => {
+      siru._handleDCData(JSON.stringify({topic: 'test/fuga', payload: 'hello'}), 'SSG_test-other-id')
+      siru._handleDCData(JSON.stringify({topic: 'none/fuga', payload: 'hello'}), 'SSG_test-other-id')
+
+      expect(received).toEqual([['test/fuga', 'hello', 'test-uuid']])
+      done()
+    })
+  })
+
+  test('unsubscribe() of subscription handle removes only its handler', () => {
+    const received = []
+    const sub1 = siru.subscribe('test', (topic, message) => received.push(`sub1:${message}`))
+    siru.subscribe('test', (topic, message) => received.push(`sub2:${message}`))
+
+    sub1.unsubscribe()
+    expect(sub1.closed).toBe(true)
+    expect(siru.topics).toMatchObject(['test'])
+
+    siru._handleDCData(JSON.stringify({topic: 'test', payload: 'hello'}) )
+    expect(received).toEqual(['sub2:hello'])
+  })
+
+  test('topic is removed, when all subscription handles are unsubscribed', () => {
+    const sub1 = siru.subscribe('test', () => {})
+    const sub2 = siru.subscribe('test')
+
+    sub1.unsubscribe()
+    sub2.unsubscribe()
+    expect(siru.topics).toHaveLength(0)
+    expect(siru.subscriptions).toHaveLength(0)
+  })
+
+  test('unsubscribe(topic) closes every subscription handle of the topic', () => {
+    const sub = siru.subscribe('test', () => {})
+    siru.unsubscribe('test')
+
+    expect(sub.closed).toBe(true)
+    expect(siru.subscriptions).toHaveLength(0)
+  })
+
+  test('subscribe will raise error, when handler is not function', () => {
+    expect( () => siru.subscribe('test', 'handler')).toThrow()
+  })
+
+  test('observe() returns Observable of matched messages', done => {
+    const received = []
+    const disposable = siru.observe('test/#')
+      .subscribe(mesg => received.push(mesg))
+
+    expect(siru.topics).toMatchObject(['test/#'])
+
+    siru._handleDCData(JSON.stringify({topic: 'test/fuga', payload: {str: 'hello'}}) )
+    siru._handleDCData(JSON.stringify({topic: 'fuga', payload: 'hello'}) )
+    disposable.dispose()
+    siru._handleDCData(JSON.stringify({topic: 'test/fuga', payload: 'bye'}) )
+
+    expect(received).toEqual([{topic: 'test/fuga', payload: {str: 'hello'}, uuid: null}])
+    expect(siru.topics).toHaveLength(0)
+    done()
+  })
+
+  test('observe() will complete, when client is closed', done => {
+    siru.observe('test').subscribe(() => {}, () => {}, () => done())
+    siru.close()
+  })
+
+  test('observe() will raise error, when topic filter is invalid', () => {
+    expect( () => siru.observe('test/#/fuga')).toThrow()
+  })
+
+  test('subscribe will raise error, when topic filter is invalid', () => {
+    expect( () => siru.subscribe('test/#/fuga')).toThrow()
+    expect( () => siru.subscribe('test+')).toThrow()
+    expect( () => siru.subscribe('')).toThrow()
+  })
+
+  test('publish will raise error, when topic includes wildcards', () => {
+    expect(() => siru.publish('test/+', 'hoge')).toThrow()
+    expect(() => siru.publish('test/#', 'hoge')).toThrow()
+  })
+
   test('publish will raise error, when topic is not string', () => {
     expect(() => siru.publish(0, 'hoge')).toThrow()
   })
@@ -224,6 +2536,173 @@ describe('pubsub test', () => {
   })
 })
 
+describe('targeted publish test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  const serialized = JSON.stringify({topic: 'test', payload: 'hello'})
+
+  test('publish() sends message to all devices, when options.to is not specified', () => {
+    siru.publish('test', 'hello')
+    expect(conn.sent).toEqual([serialized])
+  })
+
+  test('publish() sends message to device of uuid', () => {
+    siru.publish('test', 'hello', { to: 'test-uuid' })
+    siru.publish('test', 'hello', { to: ['test-uuid'] })
+    expect(conn.sent).toEqual([serialized, serialized])
+  })
+
+  test('publish() sends message to devices which match predicate', () => {
+    siru.publish('test', 'hello', { to: device => device.uuid !== 'test-uuid' })
+    expect(conn.sent).toHaveLength(0)
+    siru.publish('test', 'hello', { to: device => device.uuid === 'test-uuid' })
+    expect(conn.sent).toEqual([serialized])
+  })
+
+  test('publish() throws Error and sends nothing, when unknown uuid is specified', () => {
+    expect(() => siru.publish('test', 'hello', { to: ['test-uuid', 'unexist-uuid'] })).toThrow()
+    expect(conn.sent).toHaveLength(0)
+  })
+
+  test('device.publish() sends message only to the device', () => {
+    siru.deviceManager.getDevice('test-uuid').publish('test', 'hello')
+    expect(conn.sent).toEqual([serialized])
+  })
+})
+
+describe('binary payload test', () => {
+  let siru, conn, device
+
+  // pack object by js-binarypack, then convert it to ArrayBuffer as DataChannel does
+  const pack = obj => new Promise(resolv => {
+    const reader = new FileReader()
+    reader.onload = () => resolv(reader.result)
+    reader.readAsArrayBuffer(BinaryPack.pack(obj))
+  })
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+    device = client.deviceManager.getDevice('test-uuid')
+  })
+
+  test('publish() sends binary data to device which supports binary', () => {
+    device.profile.capabilities = ['binary']
+    siru.publish('test', new Uint8Array([1, 2, 3]))
+
+    expect(conn.sent).toHaveLength(1)
+    expect(conn.sent[0]).toBeInstanceOf(Blob)
+  })
+
+  test('publish() skips device which does not support binary, when broadcasting', () => {
+    siru.publish('test', new Uint8Array([1, 2, 3]))
+
+    expect(conn.sent).toHaveLength(0)
+  })
+
+  test('publish() throws Error, when target device does not support binary', () => {
+    expect(() => siru.publish('test', new Uint8Array([1, 2, 3]), { to: 'test-uuid' })).toThrow()
+  })
+
+  test('binary message from device will be delivered', done => {
+    siru.subscribe('test', (topic, payload, uuid) => {
+      expect(payload).toBeInstanceOf(ArrayBuffer)
+      expect(Array.from(new Uint8Array(payload))).toEqual([1, 2, 3])
+      expect(uuid).toBe('test-uuid')
+      done()
+    })
+
+    pack({topic: 'test', payload: new Uint8Array([1, 2, 3])})
+      .then(data => conn.emit('data', data))
+  })
+
+  test('binary response of fetch() will be resolved as Response', () => {
+    const req = siru.fetch('test-uuid/noreply')
+    const transaction_id = parseInt(Object.keys(siru.pendings)[0], 10)
+
+    pack({topic: 'test-uuid', payload: {
+      status: 200, method: 'GET', transaction_id, body: new Uint8Array([1, 2, 3])
+    }}).then(data => conn.emit('data', data))
+
+    return req
+      .then(res => res.arrayBuffer())
+      .then(buffer => expect(Array.from(new Uint8Array(buffer))).toEqual([1, 2, 3]))
+  })
+
+  test('fetch() sends binary body to device which supports binary', () => {
+    device.profile.capabilities = ['binary']
+    siru.fetch('test-uuid/noreply', { method: 'POST', body: new Uint8Array([1, 2, 3]), timeout: 10 })
+      .catch(err => {})
+
+    expect(conn.sent).toHaveLength(1)
+    expect(conn.sent[0]).toBeInstanceOf(Blob)
+  })
+
+  test('fetch() rejects binary body, when device does not support binary', () => {
+    return siru.fetch('test-uuid/echo/hello', { method: 'POST', body: new Uint8Array([1, 2, 3]) })
+      .then(() => { throw new Error('should reject') })
+      .catch(err => expect(err.message).toMatch(/binary/))
+  })
+})
+
+describe('subscription forwarding test', () => {
+  let siru, conn
+
+  useClient({}, (client, connection) => {
+    siru = client
+    conn = connection
+  })
+
+  const controls = sent => sent.filter(mesg => mesg.match(/^SSG:(un)?subscribe,/))
+
+  test('subscribe() and unsubscribe() are signalled to the device', () => {
+    const sub = siru.subscribe('test/+')
+    siru.subscribe('test/+')
+    siru.unsubscribe('test/+')
+
+    expect(sub.closed).toBe(true)
+    expect(controls(conn.sent)).toEqual([
+      'SSG:subscribe,test-id,test/+',
+      'SSG:unsubscribe,test-id,test/+'
+    ])
+  })
+
+  test('unsubscribe is signalled only when the last subscription of the topic is removed', () => {
+    const sub1 = siru.subscribe('test')
+    const sub2 = siru.subscribe('test')
+
+    sub1.unsubscribe()
+    expect(controls(conn.sent)).toEqual(['SSG:subscribe,test-id,test'])
+    sub2.unsubscribe()
+    expect(controls(conn.sent)).toEqual(['SSG:subscribe,test-id,test', 'SSG:unsubscribe,test-id,test'])
+  })
+
+  test('subscriptions are not signalled, when device does not support it', () => {
+    siru.deviceManager.getDevice('test-uuid').profile.capabilities = []
+    siru.subscribe('test')
+
+    expect(controls(conn.sent)).toHaveLength(0)
+  })
+
+  test('current subscriptions are replayed, when device connects later', done => {
+    siru.subscribe('test/#')
+
+    siru.on('device:connected', uuid => {
+      const _conn = siru.deviceManager.getDataChannelConnection(uuid)
+      expect(controls(_conn.sent)).toEqual(['SSG:subscribe,test-id,test/#'])
+      done()
+    })
+
+    siru.deviceManager.unregister('test-uuid')
+      .then(() => siru._createDCConnection('SSG_test-other-id'))
+  })
+})
+
 describe('streaming test', () => {
   let siru
   const uuid = 'test-uuid'
@@ -340,3 +2819,21 @@ describe('sendStream() test', () => {
     }, 500);
   })
 });
+
+describe('exported classes test', () => {
+  it('will expose error classes, Headers and Response as static properties', () => {
+    const errors = require('./errors')
+
+    Object.keys(errors).forEach(name => expect(SiRuClient[name]).toBe(errors[name]))
+    expect(SiRuClient.MethodNotFoundError).toBe(MethodNotFoundError)
+    expect(SiRuClient.Headers).toBe(Headers)
+    expect(SiRuClient.Response).toBe(require('./response'))
+  })
+
+  it('will be exported with static properties from entry point', () => {
+    const exported = require('../index').default
+
+    expect(exported).toBe(SiRuClient)
+    expect(new exported.TimeoutError('timeout')).toBeInstanceOf(TimeoutError)
+  })
+})
@@ -0,0 +1,51 @@
+// @flow
+
+/**
+ * Subscription handle, which is returned by SiRuClient#subscribe
+ * @class
+ *
+ * @param {string} topic - topic filter
+ * @param {function|null} handler - called with (topic, payload, uuid) when message matches topic filter
+ * @param {function} onUnsubscribe - called with this subscription when unsubscribed
+ */
+class Subscription {
+  topic: string
+  handler: Function|null
+  closed: boolean
+  _onUnsubscribe: Function
+
+  constructor(topic: string, handler: Function|null, onUnsubscribe: Function) {
+    if( typeof(topic) !== 'string' ) throw new Error(`Subscription: wrong topic : ${topic}`)
+    if( handler !== null && typeof(handler) !== 'function' ) throw new Error('Subscription: handler should be function')
+
+    this.topic = topic
+    this.handler = handler
+    this.closed = false
+    this._onUnsubscribe = onUnsubscribe
+  }
+
+  /**
+   * call handler with message
+   *
+   * @param {string} topic
+   * @param {string|object} payload
+   * @param {string|null} uuid - uuid of the device which sent the message
+   */
+  deliver(topic: string, payload: string|Object, uuid: string|null): void {
+    if( !this.closed && this.handler ) this.handler(topic, payload, uuid)
+  }
+
+  /**
+   * stop receiving messages by this subscription
+   *
+   * @method Subscription#unsubscribe
+   */
+  unsubscribe(): void {
+    if(this.closed) return
+
+    this.closed = true
+    this._onUnsubscribe(this)
+  }
+}
+
+export default Subscription
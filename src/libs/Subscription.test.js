@@ -0,0 +1,51 @@
+import Subscription from './Subscription'
+
+describe('constructor test', () => {
+  test('params is correct, it returns Subscription object', () => {
+    expect(new Subscription('test', null, () => {})).toBeInstanceOf(Subscription)
+    expect(new Subscription('test', () => {}, () => {})).toBeInstanceOf(Subscription)
+  })
+
+  test('when topic is not string, it throws Error', () => {
+    expect(() => new Subscription(0, null, () => {})).toThrow()
+  })
+
+  test('when handler is not function, it throws Error', () => {
+    expect(() => new Subscription('test', 'handler', () => {})).toThrow()
+  })
+})
+
+describe('deliver() and unsubscribe() test', () => {
+  let subscription, handler, onUnsubscribe
+
+  beforeEach(() => {
+    handler = jest.fn()
+    onUnsubscribe = jest.fn()
+    subscription = new Subscription('test/+', handler, onUnsubscribe)
+  })
+
+  afterEach(() => {
+    subscription = null
+  })
+
+  test('deliver() calls handler', () => {
+    subscription.deliver('test/hoge', 'hello', 'test-uuid')
+    expect(handler).toHaveBeenCalledWith('test/hoge', 'hello', 'test-uuid')
+  })
+
+  test('unsubscribe() calls onUnsubscribe only once', () => {
+    subscription.unsubscribe()
+    subscription.unsubscribe()
+
+    expect(subscription.closed).toBe(true)
+    expect(onUnsubscribe).toHaveBeenCalledTimes(1)
+    expect(onUnsubscribe).toHaveBeenCalledWith(subscription)
+  })
+
+  test('deliver() does not call handler after unsubscribed', () => {
+    subscription.unsubscribe()
+    subscription.deliver('test/hoge', 'hello', 'test-uuid')
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,251 @@
+// @flow
+
+/**
+ * Error classes for SiRuClient
+ *
+ * Babel can not extend built-in classes such as Error, so each constructor
+ * restores the prototype chain by itself. Otherwise `instanceof` does not work.
+ */
+
+/**
+ * When request is aborted by AbortSignal
+ * @class
+ *
+ * @param {string} message
+ */
+class AbortError extends Error {
+  constructor(message: string) {
+    super(message)
+    Object.setPrototypeOf(this, AbortError.prototype)
+
+    this.name = 'AbortError'
+    this.message = message
+  }
+}
+
+/**
+ * When response does not arrive within timeout
+ * @class
+ *
+ * @param {string} message
+ */
+class TimeoutError extends Error {
+  constructor(message: string) {
+    super(message)
+    Object.setPrototypeOf(this, TimeoutError.prototype)
+
+    this.name = 'TimeoutError'
+    this.message = message
+  }
+}
+
+/**
+ * When chunked response can not be reassembled, e.g. a chunk is lost,
+ * chunk is malformed or size limit is exceeded.
+ * @class
+ *
+ * @param {string} message
+ */
+class ReassemblyError extends Error {
+  constructor(message: string) {
+    super(message)
+    Object.setPrototypeOf(this, ReassemblyError.prototype)
+
+    this.name = 'ReassemblyError'
+    this.message = message
+  }
+}
+
+/**
+ * When device responds with status other than 2xx
+ * @class
+ *
+ * @param {string} message
+ * @param {Response} response - response from the device
+ */
+class HttpError extends Error {
+  response: Object
+  status: number
+
+  constructor(message: string, response: Object) {
+    super(message)
+    Object.setPrototypeOf(this, HttpError.prototype)
+
+    this.name = 'HttpError'
+    this.message = message
+    this.response = response
+    this.status = response.status
+  }
+}
+
+/**
+ * When queued request for absent device is dropped or expired in offline queue
+ * @class
+ *
+ * @param {string} message
+ */
+class QueueError extends Error {
+  constructor(message: string) {
+    super(message)
+    Object.setPrototypeOf(this, QueueError.prototype)
+
+    this.name = 'QueueError'
+    this.message = message
+  }
+}
+
+/**
+ * When device responds JSON-RPC 2.0 error object. Standard error codes are
+ * mapped to subclasses by RpcError.from().
+ * @class
+ *
+ * @param {string} message
+ * @param {number} code - error code of JSON-RPC
+ * @param {any} [data] - additional information from the device
+ */
+class RpcError extends Error {
+  code: number
+  data: any
+
+  constructor(message: string, code: number, data: any) {
+    super(message)
+    Object.setPrototypeOf(this, RpcError.prototype)
+
+    this.name = 'RpcError'
+    this.message = message
+    this.code = code
+    this.data = data
+  }
+
+  /**
+   * create error from error object of JSON-RPC response
+   *
+   * @param {object} error - {code, message, data}
+   * @returns {RpcError} instance of subclass for standard error code
+   */
+  static from(error: Object): RpcError {
+    const { code, message, data } = error
+
+    switch(code) {
+    case -32700: return new ParseError(message, data)
+    case -32600: return new InvalidRequestError(message, data)
+    case -32601: return new MethodNotFoundError(message, data)
+    case -32602: return new InvalidParamsError(message, data)
+    case -32603: return new InternalError(message, data)
+    default:
+      // -32000 to -32099 are reserved for implementation-defined server errors
+      if(code <= -32000 && code >= -32099) return new ServerError(message, code, data)
+      return new RpcError(message, code, data)
+    }
+  }
+}
+
+/**
+ * When device received invalid JSON (-32700)
+ * @class
+ * @extends RpcError
+ */
+class ParseError extends RpcError {
+  constructor(message: string, data: any) {
+    super(message, -32700, data)
+    Object.setPrototypeOf(this, ParseError.prototype)
+
+    this.name = 'ParseError'
+  }
+}
+
+/**
+ * When request is not valid request object (-32600)
+ * @class
+ * @extends RpcError
+ */
+class InvalidRequestError extends RpcError {
+  constructor(message: string, data: any) {
+    super(message, -32600, data)
+    Object.setPrototypeOf(this, InvalidRequestError.prototype)
+
+    this.name = 'InvalidRequestError'
+  }
+}
+
+/**
+ * When method does not exist on the device (-32601)
+ * @class
+ * @extends RpcError
+ */
+class MethodNotFoundError extends RpcError {
+  constructor(message: string, data: any) {
+    super(message, -32601, data)
+    Object.setPrototypeOf(this, MethodNotFoundError.prototype)
+
+    this.name = 'MethodNotFoundError'
+  }
+}
+
+/**
+ * When params are invalid for the method (-32602)
+ * @class
+ * @extends RpcError
+ */
+class InvalidParamsError extends RpcError {
+  constructor(message: string, data: any) {
+    super(message, -32602, data)
+    Object.setPrototypeOf(this, InvalidParamsError.prototype)
+
+    this.name = 'InvalidParamsError'
+  }
+}
+
+/**
+ * When internal JSON-RPC error occurs on the device (-32603)
+ * @class
+ * @extends RpcError
+ */
+class InternalError extends RpcError {
+  constructor(message: string, data: any) {
+    super(message, -32603, data)
+    Object.setPrototypeOf(this, InternalError.prototype)
+
+    this.name = 'InternalError'
+  }
+}
+
+/**
+ * When device responds implementation-defined server error (-32000 to -32099)
+ * @class
+ * @extends RpcError
+ */
+class ServerError extends RpcError {
+  constructor(message: string, code: number, data: any) {
+    super(message, code, data)
+    Object.setPrototypeOf(this, ServerError.prototype)
+
+    this.name = 'ServerError'
+  }
+}
+
+/**
+ * When request parameters do not match API description of the device
+ * @class
+ *
+ * @param {string} message
+ * @param {Array<string>} errors - every validation error
+ */
+class ValidationError extends Error {
+  errors: Array<string>
+
+  constructor(message: string, errors: Array<string>) {
+    super(message)
+    Object.setPrototypeOf(this, ValidationError.prototype)
+
+    this.name = 'ValidationError'
+    this.message = message
+    this.errors = errors
+  }
+}
+
+export {
+  AbortError, TimeoutError, ReassemblyError, HttpError, QueueError,
+  RpcError, ParseError, InvalidRequestError, MethodNotFoundError, InvalidParamsError, InternalError, ServerError,
+  ValidationError
+}
@@ -0,0 +1,118 @@
+import {
+  AbortError, TimeoutError, ReassemblyError, HttpError, QueueError,
+  RpcError, ParseError, InvalidRequestError, MethodNotFoundError, InvalidParamsError, InternalError, ServerError,
+  ValidationError
+} from './errors'
+
+describe('AbortError test', () => {
+  test('it is instance of AbortError and Error', () => {
+    const err = new AbortError('aborted')
+
+    expect(err).toBeInstanceOf(AbortError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.name).toBe('AbortError')
+    expect(err.message).toBe('aborted')
+  })
+})
+
+describe('TimeoutError test', () => {
+  test('it is instance of TimeoutError and Error', () => {
+    const err = new TimeoutError('timeout')
+
+    expect(err).toBeInstanceOf(TimeoutError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err).not.toBeInstanceOf(AbortError)
+    expect(err.name).toBe('TimeoutError')
+    expect(err.message).toBe('timeout')
+  })
+})
+
+describe('ReassemblyError test', () => {
+  test('it is instance of ReassemblyError and Error', () => {
+    const err = new ReassemblyError('lost')
+
+    expect(err).toBeInstanceOf(ReassemblyError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.name).toBe('ReassemblyError')
+    expect(err.message).toBe('lost')
+  })
+})
+
+describe('HttpError test', () => {
+  test('it carries response and status', () => {
+    const response = { status: 404 }
+    const err = new HttpError('not found', response)
+
+    expect(err).toBeInstanceOf(HttpError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.name).toBe('HttpError')
+    expect(err.message).toBe('not found')
+    expect(err.response).toBe(response)
+    expect(err.status).toBe(404)
+  })
+})
+
+describe('QueueError test', () => {
+  test('it is instance of QueueError and Error', () => {
+    const err = new QueueError('expired')
+
+    expect(err).toBeInstanceOf(QueueError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err).not.toBeInstanceOf(TimeoutError)
+    expect(err.name).toBe('QueueError')
+    expect(err.message).toBe('expired')
+  })
+})
+
+describe('RpcError test', () => {
+  test('it carries code and data', () => {
+    const err = new RpcError('failed', 42, { reason: 'busy' })
+
+    expect(err).toBeInstanceOf(RpcError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.name).toBe('RpcError')
+    expect(err.message).toBe('failed')
+    expect(err.code).toBe(42)
+    expect(err.data).toEqual({ reason: 'busy' })
+  })
+
+  test('from() maps standard error codes to subclasses', () => {
+    [
+      [ -32700, ParseError ],
+      [ -32600, InvalidRequestError ],
+      [ -32601, MethodNotFoundError ],
+      [ -32602, InvalidParamsError ],
+      [ -32603, InternalError ],
+      [ -32000, ServerError ],
+      [ -32099, ServerError ]
+    ].forEach(([ code, klass ]) => {
+      const err = RpcError.from({ code, message: 'error', data: 1 })
+
+      expect(err).toBeInstanceOf(klass)
+      expect(err).toBeInstanceOf(RpcError)
+      expect(err.name).toBe(klass.name)
+      expect(err.code).toBe(code)
+      expect(err.data).toBe(1)
+    })
+  })
+
+  test('from() creates RpcError for application defined code', () => {
+    const err = RpcError.from({ code: 1, message: 'arm is busy' })
+
+    expect(err.constructor).toBe(RpcError)
+    expect(err.code).toBe(1)
+    expect(err.message).toBe('arm is busy')
+  })
+})
+
+describe('ValidationError test', () => {
+  test('it carries every validation error', () => {
+    const err = new ValidationError('invalid', [ 'unit is required' ])
+
+    expect(err).toBeInstanceOf(ValidationError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.name).toBe('ValidationError')
+    expect(err.message).toBe('invalid')
+    expect(err.errors).toEqual([ 'unit is required' ])
+  })
+})
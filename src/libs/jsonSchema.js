@@ -0,0 +1,193 @@
+// @flow
+
+/**
+ * Minimal JSON Schema validator for request parameters of device API (see DeviceApi).
+ *
+ * Supported keywords are $ref (local reference only), type, enum, const, nullable (OpenAPI),
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern,
+ * items, minItems, maxItems, properties, required, additionalProperties, allOf, anyOf and oneOf.
+ * Other keywords (e.g. format) are ignored.
+ */
+
+import _ from 'underscore'
+
+// $ref deeper than this is considered as circular reference
+const MAX_REF_DEPTH = 32
+
+/**
+ * get JSON type of value ('null', 'array', 'object', 'string', 'number' or 'boolean')
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = (value: any): string => {
+  if(value === null) return 'null'
+  if(Array.isArray(value)) return 'array'
+
+  return typeof(value)
+}
+
+/**
+ * check value matches type of schema. 'integer' is number without fraction.
+ *
+ * @param {string} type
+ * @param {any} value
+ * @returns {boolean}
+ */
+const matchesType = (type: string, value: any): boolean => {
+  if(type === 'integer') return Number.isInteger(value)
+  if(type === 'number') return typeof(value) === 'number' && isFinite(value)
+
+  return typeOf(value) === type
+}
+
+const jsonSchema: {
+  resolve: Function,
+  validate: Function
+} = {
+  /**
+   * resolve local reference (e.g. '#/components/schemas/Temperature') in document
+   *
+   * @param {object} document - document which includes the reference
+   * @param {string} ref - value of $ref
+   * @returns {any} referenced object. When it is not found, Error will be thrown.
+   */
+  resolve: function(document: Object, ref: string): any {
+    if(typeof(ref) !== 'string' || ref.indexOf('#') !== 0) throw new Error(`unsupported $ref: ${String(ref)}`)
+
+    return ref.slice(1).split('/')
+      .filter(token => token !== '')
+      .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((obj, token) => {
+        if(obj === null || typeof(obj) !== 'object' || !obj.hasOwnProperty(token)) {
+          throw new Error(`$ref is not found: ${ref}`)
+        }
+
+        return obj[token]
+      }, document)
+  },
+
+  /**
+   * validate value with schema
+   *
+   * @param {object} schema - JSON Schema
+   * @param {any} value
+   * @param {object} [document] - document to resolve $ref
+   * @param {string} [name] - name of value used in error messages
+   * @returns {Array<string>} error messages. It is empty, when value is valid.
+   *
+   * @example
+   * jsonSchema.validate({ type: 'string', enum: ['c', 'f'] }, 'k', null, 'unit')
+   * // #=> [ 'unit should be one of "c", "f"' ]
+   */
+  validate: function(schema: Object, value: any, document: ?Object, name: ?string): Array<string> {
+    return _validate(schema, value, document || {}, name || 'value', 0)
+  }
+}
+
+/**
+ * @private
+ */
+const _validate = (schema: any, value: any, document: Object, name: string, depth: number): Array<string> => {
+  if(schema === null || typeof(schema) !== 'object') return []
+
+  if(typeof(schema.$ref) === 'string') {
+    if(depth >= MAX_REF_DEPTH) return [ `${name} has too deep $ref: ${schema.$ref}` ]
+
+    try {
+      return _validate(jsonSchema.resolve(document, schema.$ref), value, document, name, depth + 1)
+    } catch(err) {
+      return [ `${name} can not be validated, since ${err.message}` ]
+    }
+  }
+
+  if(value === null && schema.nullable === true) return []
+
+  const __sub = (_schema, _value, _name) => _validate(_schema, _value, document, _name, depth)
+
+  if(schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [ schema.type ]
+
+    if(!types.some(type => matchesType(type, value))) return [ `${name} should be ${types.join(' or ')}` ]
+  }
+
+  const errors = []
+
+  if(Array.isArray(schema.enum) && !schema.enum.some(item => _.isEqual(item, value))) {
+    errors.push(`${name} should be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`)
+  }
+  if(schema.hasOwnProperty('const') && !_.isEqual(schema.const, value)) {
+    errors.push(`${name} should be ${JSON.stringify(schema.const)}`)
+  }
+
+  if(typeof(value) === 'number') {
+    if(typeof(schema.minimum) === 'number' && value < schema.minimum) errors.push(`${name} should be >= ${schema.minimum}`)
+    if(typeof(schema.maximum) === 'number' && value > schema.maximum) errors.push(`${name} should be <= ${schema.maximum}`)
+    if(typeof(schema.exclusiveMinimum) === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${name} should be > ${schema.exclusiveMinimum}`)
+    }
+    if(typeof(schema.exclusiveMaximum) === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${name} should be < ${schema.exclusiveMaximum}`)
+    }
+  }
+
+  if(typeof(value) === 'string') {
+    if(typeof(schema.minLength) === 'number' && value.length < schema.minLength) {
+      errors.push(`${name} should have at least ${schema.minLength} characters`)
+    }
+    if(typeof(schema.maxLength) === 'number' && value.length > schema.maxLength) {
+      errors.push(`${name} should have at most ${schema.maxLength} characters`)
+    }
+    if(typeof(schema.pattern) === 'string' && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} should match ${schema.pattern}`)
+    }
+  }
+
+  if(Array.isArray(value)) {
+    if(typeof(schema.minItems) === 'number' && value.length < schema.minItems) {
+      errors.push(`${name} should have at least ${schema.minItems} items`)
+    }
+    if(typeof(schema.maxItems) === 'number' && value.length > schema.maxItems) {
+      errors.push(`${name} should have at most ${schema.maxItems} items`)
+    }
+    if(schema.items && typeof(schema.items) === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, idx) => errors.push(...__sub(schema.items, item, `${name}[${idx}]`)))
+    }
+  }
+
+  if(typeOf(value) === 'object') {
+    const properties = schema.properties && typeof(schema.properties) === 'object' ? schema.properties : {}
+
+    if(Array.isArray(schema.required)) {
+      schema.required
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push(`${name}.${key} is required`))
+    }
+
+    Object.keys(value).forEach(key => {
+      if(value[key] === undefined) return
+
+      if(properties.hasOwnProperty(key)) {
+        errors.push(...__sub(properties[key], value[key], `${name}.${key}`))
+      } else if(schema.additionalProperties === false) {
+        errors.push(`${name}.${key} is not allowed`)
+      } else if(schema.additionalProperties && typeof(schema.additionalProperties) === 'object') {
+        errors.push(...__sub(schema.additionalProperties, value[key], `${name}.${key}`))
+      }
+    })
+  }
+
+  if(Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(_schema => errors.push(...__sub(_schema, value, name)))
+  }
+  if(Array.isArray(schema.anyOf) && !schema.anyOf.some(_schema => __sub(_schema, value, name).length === 0)) {
+    errors.push(`${name} should match any of schemas`)
+  }
+  if(Array.isArray(schema.oneOf) && schema.oneOf.filter(_schema => __sub(_schema, value, name).length === 0).length !== 1) {
+    errors.push(`${name} should match exactly one of schemas`)
+  }
+
+  return errors
+}
+
+export default jsonSchema
@@ -0,0 +1,74 @@
+import jsonSchema from './jsonSchema'
+
+describe('jsonSchema.validate() test', () => {
+  test('it checks type', () => {
+    expect(jsonSchema.validate({ type: 'integer' }, 1)).toEqual([])
+    expect(jsonSchema.validate({ type: 'integer' }, 1.5, null, 'n')).toEqual([ 'n should be integer' ])
+    expect(jsonSchema.validate({ type: 'number' }, '1')).toEqual([ 'value should be number' ])
+    expect(jsonSchema.validate({ type: [ 'string', 'null' ] }, null)).toEqual([])
+    expect(jsonSchema.validate({ type: 'object' }, [])).toEqual([ 'value should be object' ])
+    expect(jsonSchema.validate({ type: 'string', nullable: true }, null)).toEqual([])
+  })
+
+  test('it checks enum and const', () => {
+    expect(jsonSchema.validate({ enum: [ 'c', 'f' ] }, 'k', null, 'unit')).toEqual([ 'unit should be one of "c", "f"' ])
+    expect(jsonSchema.validate({ enum: [ { a: 1 } ] }, { a: 1 })).toEqual([])
+    expect(jsonSchema.validate({ const: 1 }, 2)).toEqual([ 'value should be 1' ])
+  })
+
+  test('it checks range of number and length of string', () => {
+    expect(jsonSchema.validate({ minimum: 0, maximum: 10 }, -1)).toEqual([ 'value should be >= 0' ])
+    expect(jsonSchema.validate({ minimum: 0, maximum: 10 }, 11)).toEqual([ 'value should be <= 10' ])
+    expect(jsonSchema.validate({ exclusiveMinimum: 0, exclusiveMaximum: 10 }, 10)).toEqual([ 'value should be < 10' ])
+    expect(jsonSchema.validate({ minLength: 2, maxLength: 3 }, 'a')).toEqual([ 'value should have at least 2 characters' ])
+    expect(jsonSchema.validate({ pattern: '^[a-z]+$' }, 'A1')).toEqual([ 'value should match ^[a-z]+$' ])
+  })
+
+  test('it checks items of array', () => {
+    const schema = { type: 'array', items: { type: 'number' }, maxItems: 2 }
+
+    expect(jsonSchema.validate(schema, [ 1, 'a', 3 ], null, 'list'))
+      .toEqual([ 'list should have at most 2 items', 'list[1] should be number' ])
+  })
+
+  test('it checks properties of object', () => {
+    const schema = {
+      type: 'object',
+      required: [ 'x', 'y' ],
+      properties: { x: { type: 'number' }, y: { type: 'number' } },
+      additionalProperties: false
+    }
+
+    expect(jsonSchema.validate(schema, { x: 1, y: 2 })).toEqual([])
+    expect(jsonSchema.validate(schema, { x: 'a', z: 1 }, null, 'pos'))
+      .toEqual([ 'pos.y is required', 'pos.x should be number', 'pos.z is not allowed' ])
+    expect(jsonSchema.validate({ additionalProperties: { type: 'string' } }, { a: 1 }))
+      .toEqual([ 'value.a should be string' ])
+  })
+
+  test('it checks allOf, anyOf and oneOf', () => {
+    expect(jsonSchema.validate({ allOf: [ { minimum: 1 }, { maximum: 2 } ] }, 3)).toEqual([ 'value should be <= 2' ])
+    expect(jsonSchema.validate({ anyOf: [ { type: 'string' }, { type: 'number' } ] }, true))
+      .toEqual([ 'value should match any of schemas' ])
+    expect(jsonSchema.validate({ oneOf: [ { type: 'number' }, { type: 'integer' } ] }, 1))
+      .toEqual([ 'value should match exactly one of schemas' ])
+  })
+
+  test('it resolves local $ref', () => {
+    const document = {
+      definitions: { 'a/b': { type: 'string' } },
+      components: { schemas: { Loop: { $ref: '#/components/schemas/Loop' } } }
+    }
+
+    expect(jsonSchema.validate({ $ref: '#/definitions/a~1b' }, 1, document)).toEqual([ 'value should be string' ])
+    expect(jsonSchema.validate({ $ref: '#/definitions/none' }, 1, document))
+      .toEqual([ 'value can not be validated, since $ref is not found: #/definitions/none' ])
+    expect(jsonSchema.validate({ $ref: '#/components/schemas/Loop' }, 1, document)[0]).toMatch('too deep $ref')
+  })
+})
+
+describe('jsonSchema.resolve() test', () => {
+  test('it raises error for external reference', () => {
+    expect(() => jsonSchema.resolve({}, 'other.json#/a')).toThrow('unsupported $ref')
+  })
+})
@@ -1,44 +1,161 @@
 // @flow
 
+import ResponseBody from './ResponseBody'
+import Headers from './Headers'
+
+// reason phrases used, when device does not send status_text
+const STATUS_TEXTS = {
+  '200': 'OK',
+  '201': 'Created',
+  '202': 'Accepted',
+  '204': 'No Content',
+  '206': 'Partial Content',
+  '301': 'Moved Permanently',
+  '302': 'Found',
+  '304': 'Not Modified',
+  '400': 'Bad Request',
+  '401': 'Unauthorized',
+  '403': 'Forbidden',
+  '404': 'Not Found',
+  '405': 'Method Not Allowed',
+  '408': 'Request Timeout',
+  '409': 'Conflict',
+  '413': 'Payload Too Large',
+  '415': 'Unsupported Media Type',
+  '429': 'Too Many Requests',
+  '500': 'Internal Server Error',
+  '501': 'Not Implemented',
+  '502': 'Bad Gateway',
+  '503': 'Service Unavailable',
+  '504': 'Gateway Timeout'
+}
+
 /**
- * Response class for SiRuClient
+ * Response class for SiRuClient. It resembles Response of WHATWG Fetch.
+ * Body can be read only once (see `bodyUsed`), use `clone()` to read it more than once.
+ * When body is read as a stream (`body`), received chunks are not kept in memory, unless the response is cloned.
  * @class
  *
  * @param {Object} params - parameter
  * @param {number} params.status - 200,404 etc.
  * @param {string} params.method - "get", "post" etc
  * @param {number} params.transaction_id - transaction id
- * @param {string} params.text - response text
+ * @param {string} [params.text] - response text. When neither of body is specified, body is empty.
+ * @param {ArrayBuffer} [params.buffer] - response body in binary. It is used instead of `params.text`.
+ * @param {ResponseBody} [params.source] - response body which may be still being received.
+ *   It is used instead of `params.text` and `params.buffer`.
+ * @param {string} [params.statusText] - reason phrase. default is derived from status.
+ * @param {Object|Headers} [params.headers] - response headers
+ * @param {string} [params.uuid] - uuid of device which responded
+ * @param {string} [params.path] - requested path
  */
 class Response {
   status: number
+  statusText: string
+  ok: boolean
   method: string
   transaction_id: number
-  _text: string
+  headers: Headers
+  uuid: string
+  path: string
+  url: string
+  bodyUsed: boolean
+  request: Object|null
+  attempt: number
+  _source: ResponseBody
+  _stream: any
 
   constructor( params: Object ) {
 
     if( typeof(params.status) !== 'number' ||
         typeof(params.method) !== 'string' ||
-        typeof(params.transaction_id) !== 'number' ||
-        typeof(params.text) !== 'string' ) throw new Error('invalid options')
+        typeof(params.transaction_id) !== 'number' ) throw new Error('invalid options')
+
+    if( params.source !== undefined ) {
+      if( !(params.source instanceof ResponseBody) ) throw new Error('invalid options')
+    } else if( params.buffer !== undefined ) {
+      if( !(params.buffer instanceof ArrayBuffer) ) throw new Error('invalid options')
+    } else if( params.text !== undefined && params.text !== null && typeof(params.text) !== 'string' ) {
+      throw new Error('invalid options')
+    }
 
     this.status = params.status
+    this.statusText = typeof(params.statusText) === 'string' ? params.statusText : (STATUS_TEXTS[String(params.status)] || '')
+    this.ok = params.status >= 200 && params.status < 300
     this.method = params.method
     this.transaction_id = params.transaction_id
-    this._text = params.text
+    this.headers = new Headers(params.headers)
+    this.uuid = typeof(params.uuid) === 'string' ? params.uuid : ''
+    this.path = typeof(params.path) === 'string' ? params.path : ''
+    this.url = this.uuid + this.path
+    this.bodyUsed = false
+    // request options which produced this response (set by SiRuClient#fetch)
+    this.request = null
+    // number of attempts to get this response (set by SiRuClient#fetch)
+    this.attempt = 1
+
+    if( params.source !== undefined ) this._source = params.source
+    else if( params.buffer !== undefined ) this._source = ResponseBody.from(params.buffer)
+    else this._source = ResponseBody.from(params.text || '')
+
+    this._stream = null
+  }
+
+  /**
+   * response body as stream. WHATWG ReadableStream of Uint8Array in browser,
+   * and Readable stream in Node. Accessing it marks body as used.
+   *
+   * @type {ReadableStream|stream.Readable}
+   * @name Response#body
+   */
+  get body(): any {
+    if(!this._stream) {
+      if(this.bodyUsed) throw new TypeError('body has already been used')
+
+      this.bodyUsed = true
+      this._stream = this._source.toStream()
+    }
+
+    return this._stream
   }
+
   /**
-   * get response text
+   * create copy of this response, so that body can be read twice.
+   *
+   * @returns {Response}
+   * @method Response#clone
+   */
+  clone(): Response {
+    if(this.bodyUsed) throw new TypeError('can not clone response, since body has already been used')
+
+    // chunks should be kept, since the other response may read them as a whole
+    this._source.shared = true
+
+    const cloned = new Response({
+      status: this.status,
+      statusText: this.statusText,
+      method: this.method,
+      transaction_id: this.transaction_id,
+      headers: this.headers,
+      uuid: this.uuid,
+      path: this.path,
+      source: this._source
+    })
+
+    cloned.request = this.request
+    cloned.attempt = this.attempt
+
+    return cloned
+  }
+
+  /**
+   * get response text. Empty body is resolved with ''.
    *
    * @returns {Promise<string>} response text
    * @method Response#text
    */
   text():Promise<string> {
-    return new Promise((resolv, reject) => {
-      if(this._text && typeof(this._text) === 'string') resolv(this._text)
-      else reject(new Error("can not find text"))
-    })
+    return this._consume().then(source => source.text())
   }
 
   /**
@@ -61,6 +178,63 @@ class Response {
       })
     })
   }
+
+  /**
+   * get response in ArrayBuffer. When response is text, it is encoded in UTF-8.
+   *
+   * @returns {Promise<ArrayBuffer>}
+   * @method Response#arrayBuffer
+   */
+  arrayBuffer():Promise<ArrayBuffer> {
+    return this._consume().then(source => source.arrayBuffer())
+  }
+
+  /**
+   * get response in Blob. type of Blob is Content-Type header.
+   *
+   * @returns {Promise<Blob>}
+   * @method Response#blob
+   */
+  blob():Promise<Blob> {
+    return new Promise((resolv, reject) => {
+      if(typeof(Blob) === 'undefined') {
+        reject(new Error("Blob is not supported in this environment"))
+        return
+      }
+
+      const type = this.headers.get('content-type') || ''
+
+      this.arrayBuffer()
+        .then(buffer => resolv(new Blob([buffer], { type })))
+        .catch(err => reject(err))
+    })
+  }
+
+  /**
+   * @returns {boolean} true, when body is text (not binary framed)
+   * @private
+   */
+  _isText(): boolean {
+    return this._source.isText()
+  }
+
+  /**
+   * mark body as used
+   *
+   * @returns {Promise<ResponseBody>} rejected with TypeError, when body has already been used
+   * @private
+   */
+  _consume(): Promise<ResponseBody> {
+    return new Promise((resolv, reject) => {
+      if(this.bodyUsed) {
+        reject(new TypeError('body has already been used'))
+        return
+      }
+
+      this.bodyUsed = true
+      resolv(this._source)
+    })
+  }
 }
 
 module.exports = Response
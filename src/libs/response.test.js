@@ -1,4 +1,6 @@
 const Response = require('./response')
+import ResponseBody from './ResponseBody'
+import Headers from './Headers'
 
 describe('check constructor', () => {
   let options = {}
@@ -39,6 +41,16 @@ describe('check constructor', () => {
     options = Object.assign({}, options, {text: 80})
     expect(() => new Response(options)).toThrow()
   })
+
+  test('buffer is specified instead of text', () => {
+    options = Object.assign({}, options, {text: undefined, buffer: new ArrayBuffer(1)})
+    expect(new Response(options)).toBeDefined()
+  })
+
+  test('buffer is not ArrayBuffer', () => {
+    options = Object.assign({}, options, {buffer: 'hoge'})
+    expect(() => new Response(options)).toThrow()
+  })
 })
 
 
@@ -79,3 +91,187 @@ describe('check json()', () => {
   })
 })
 
+
+describe('check arrayBuffer() and blob()', () => {
+  const buffer = new Uint8Array([0x68, 0x65, 0x6c, 0x6c, 0x6f]).buffer
+
+  test('arrayBuffer() returns binary body', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, buffer })
+
+    return response.arrayBuffer().then(ret => expect(ret).toBe(buffer))
+  })
+
+  test('arrayBuffer() returns text body encoded in UTF-8', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello' })
+
+    return response.arrayBuffer()
+      .then(ret => expect(Array.from(new Uint8Array(ret))).toEqual([0x68, 0x65, 0x6c, 0x6c, 0x6f]))
+  })
+
+  test('text() returns binary body decoded in UTF-8', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, buffer })
+
+    return response.text().then(text => expect(text).toBe('hello'))
+  })
+
+  test('blob() returns Blob', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, buffer })
+
+    return response.blob().then(blob => {
+      expect(blob).toBeInstanceOf(Blob)
+      expect(blob.size).toBe(5)
+    })
+  })
+})
+
+describe('check body', () => {
+  const readAll = stream => new Promise(resolv => {
+    const data = []
+    stream.on('data', chunk => data.push(chunk.toString()))
+    stream.on('end', () => resolv(data.join('')))
+  })
+
+  test('body returns stream of text', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello' })
+
+    return readAll(response.body).then(text => expect(text).toBe('hello'))
+  })
+
+  test('body returns stream of source', () => {
+    const source = new ResponseBody()
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, source })
+    const ret = readAll(response.body)
+
+    source.push('hel')
+    source.push('lo')
+    source.end()
+
+    return ret.then(text => expect(text).toBe('hello'))
+  })
+
+  test('text() waits until source is ended', () => {
+    const source = new ResponseBody()
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, source })
+    const ret = response.text()
+
+    source.push('hello')
+    source.end()
+
+    return ret.then(text => expect(text).toBe('hello'))
+  })
+
+  test('body returns the same stream every time', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello' })
+
+    expect(response.body).toBe(response.body)
+  })
+
+  test('source must be ResponseBody', () => {
+    expect(() => new Response({ status: 200, method: 'get', transaction_id: 123, source: 'hello' })).toThrow()
+  })
+})
+
+describe('check ok, statusText, headers and url', () => {
+  test('ok is true for 2xx', () => {
+    expect(new Response({ status: 204, method: 'get', transaction_id: 123 }).ok).toBe(true)
+    expect(new Response({ status: 301, method: 'get', transaction_id: 123 }).ok).toBe(false)
+    expect(new Response({ status: 500, method: 'get', transaction_id: 123 }).ok).toBe(false)
+  })
+
+  test('statusText is derived from status, unless specified', () => {
+    expect(new Response({ status: 404, method: 'get', transaction_id: 123 }).statusText).toBe('Not Found')
+    expect(new Response({ status: 404, method: 'get', transaction_id: 123, statusText: 'Nope' }).statusText).toBe('Nope')
+    expect(new Response({ status: 299, method: 'get', transaction_id: 123 }).statusText).toBe('')
+  })
+
+  test('headers is Headers', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, headers: {'Content-Type': 'text/plain'} })
+
+    expect(response.headers).toBeInstanceOf(Headers)
+    expect(response.headers.get('content-type')).toBe('text/plain')
+  })
+
+  test('url is concatenation of uuid and path', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, uuid: 'uuid', path: '/echo/hello' })
+
+    expect(response.url).toBe('uuid/echo/hello')
+  })
+})
+
+describe('check empty body', () => {
+  test('text() resolves empty string, when body is not specified', () => {
+    const response = new Response({ status: 204, method: 'get', transaction_id: 123 })
+
+    return response.text().then(text => expect(text).toBe(''))
+  })
+
+  test('text() resolves empty string, when text is empty', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: '' })
+
+    return response.text().then(text => expect(text).toBe(''))
+  })
+})
+
+describe('check bodyUsed and clone()', () => {
+  test('body can not be read twice', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello' })
+
+    expect(response.bodyUsed).toBe(false)
+
+    return response.text()
+      .then(() => {
+        expect(response.bodyUsed).toBe(true)
+        return response.text()
+      })
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => expect(err).toBeInstanceOf(TypeError))
+  })
+
+  test('clone() can be read independently', () => {
+    const response = new Response({ status: 201, method: 'post', transaction_id: 123, text: 'hello', headers: {'X-A': '1'} })
+    const cloned = response.clone()
+
+    expect(cloned.status).toBe(201)
+    expect(cloned.headers.get('x-a')).toBe('1')
+
+    return Promise.all([response.text(), cloned.text()])
+      .then(texts => expect(texts).toEqual(['hello', 'hello']))
+  })
+
+  test('text() of clone() is available, after body of original is read as a stream', () => {
+    const source = new ResponseBody()
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, source })
+    const cloned = response.clone()
+
+    response.body.on('data', () => {})
+    source.push('hello')
+    source.end()
+
+    return cloned.text().then(text => expect(text).toBe('hello'))
+  })
+
+  test('body read as a stream does not keep chunks', () => {
+    const source = new ResponseBody()
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, source })
+
+    response.body.on('data', () => {})
+    source.push('hello')
+
+    expect(source.chunks).toEqual([])
+    return response.text()
+      .then(() => { throw new Error('should not be resolved') })
+      .catch(err => expect(err).toBeInstanceOf(TypeError))
+  })
+
+  test('clone() throws, when body has already been used', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello' })
+
+    return response.text().then(() => expect(() => response.clone()).toThrow(TypeError))
+  })
+
+  test('blob() has type of Content-Type', () => {
+    const response = new Response({ status: 200, method: 'get', transaction_id: 123, text: 'hello', headers: {'Content-Type': 'text/plain'} })
+
+    return response.blob().then(blob => expect(blob.type).toBe('text/plain'))
+  })
+})
@@ -0,0 +1,118 @@
+// @flow
+
+/**
+ * Topic filter utility, which follows MQTT 3.1.1 specification (section 4.7).
+ *
+ * - topic levels are separated by '/'
+ * - '+' matches exactly one level, and it must occupy an entire level
+ * - '#' matches parent level and any number of child levels, it must be the last level
+ * - topics beginning with '$' are not matched by filters beginning with a wildcard
+ */
+
+const SEPARATOR     = '/'
+const SINGLE_LEVEL  = '+'
+const MULTI_LEVEL   = '#'
+const MAX_LENGTH    = 65535
+
+const topicFilter: {
+  validate: Function,
+  validateTopic: Function,
+  isValid: Function,
+  isValidTopic: Function,
+  matches: Function
+} = {
+  /**
+   * validate topic filter. When it is invalid, Error will be thrown.
+   *
+   * @param {string} filter - topic filter (e.g. 'sensor/+/temperature', 'sensor/#')
+   */
+  validate: function(filter: string): void {
+    if(typeof(filter) !== 'string')
+      throw new Error("topic filter should be string")
+    if(filter.length === 0 || filter.length > MAX_LENGTH)
+      throw new Error(`topic filter should be 1 - ${MAX_LENGTH} characters`)
+    if(filter.indexOf('\u0000') !== -1)
+      throw new Error("topic filter should not include null character")
+
+    const levels = filter.split(SEPARATOR)
+
+    levels.forEach((level, i) => {
+      if(level.indexOf(MULTI_LEVEL) !== -1 && (level !== MULTI_LEVEL || i !== levels.length - 1))
+        throw new Error(`'#' should be the last level by itself: ${filter}`)
+      if(level.indexOf(SINGLE_LEVEL) !== -1 && level !== SINGLE_LEVEL)
+        throw new Error(`'+' should occupy an entire level: ${filter}`)
+    })
+  },
+
+  /**
+   * validate topic name for publishing. When it is invalid, Error will be thrown.
+   *
+   * @param {string} topic - topic name (e.g. 'sensor/1/temperature')
+   */
+  validateTopic: function(topic: string): void {
+    if(typeof(topic) !== 'string')
+      throw new Error("topic should be string")
+    if(!topicFilter.isValidTopic(topic))
+      throw new Error(`topic should not be empty or include wildcards: ${topic}`)
+  },
+
+  /**
+   * check topic filter is valid or not
+   *
+   * @param {string} filter
+   * @returns {boolean}
+   */
+  isValid: function(filter: string): boolean {
+    try {
+      topicFilter.validate(filter)
+      return true
+    } catch(e) {
+      return false
+    }
+  },
+
+  /**
+   * check topic name is valid or not. Topic name should not include wildcards.
+   *
+   * @param {string} topic
+   * @returns {boolean}
+   */
+  isValidTopic: function(topic: string): boolean {
+    return topicFilter.isValid(topic) &&
+      topic.indexOf(SINGLE_LEVEL) === -1 &&
+      topic.indexOf(MULTI_LEVEL) === -1
+  },
+
+  /**
+   * check topic name matches topic filter
+   *
+   * @param {string} filter - topic filter
+   * @param {string} topic - topic name
+   * @returns {boolean}
+   */
+  matches: function(filter: string, topic: string): boolean {
+    if(!topicFilter.isValid(filter) || !topicFilter.isValidTopic(topic)) return false
+
+    // topics beginning with '$' are reserved for system use
+    if(topic.charAt(0) === '$' && (filter.charAt(0) === SINGLE_LEVEL || filter.charAt(0) === MULTI_LEVEL))
+      return false
+
+    const f_levels = filter.split(SEPARATOR)
+    const t_levels = topic.split(SEPARATOR)
+
+    for(let i = 0; i < f_levels.length; i++) {
+      // '#' matches parent level and any child levels
+      if(f_levels[i] === MULTI_LEVEL) return true
+
+      // topic is shorter than filter
+      if(i >= t_levels.length) return false
+
+      if(f_levels[i] !== SINGLE_LEVEL && f_levels[i] !== t_levels[i]) return false
+    }
+
+    // filter must not be shorter than topic
+    return f_levels.length === t_levels.length
+  }
+}
+
+export default topicFilter
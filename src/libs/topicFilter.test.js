@@ -0,0 +1,117 @@
+import topicFilter from './topicFilter'
+
+describe('validate() test', () => {
+  test('it does not throw for valid filters', () => {
+    [
+      'a', 'a/b/c', '+', '#', 'a/+', 'a/#', '+/b', '+/+/#', '/', '/a', 'a/', 'a//b', '$SYS/#'
+    ].forEach(filter => {
+      expect(() => topicFilter.validate(filter)).not.toThrow()
+    })
+  })
+
+  test('it throws when filter is not string', () => {
+    expect(() => topicFilter.validate(0)).toThrow()
+    expect(() => topicFilter.validate(undefined)).toThrow()
+  })
+
+  test('it throws when filter is empty string', () => {
+    expect(() => topicFilter.validate('')).toThrow()
+  })
+
+  test('it throws when filter includes null character', () => {
+    expect(() => topicFilter.validate('a/\u0000')).toThrow()
+  })
+
+  test('it throws when "#" is not the last level', () => {
+    expect(() => topicFilter.validate('a/#/b')).toThrow()
+    expect(() => topicFilter.validate('#/b')).toThrow()
+  })
+
+  test('it throws when "#" does not occupy an entire level', () => {
+    expect(() => topicFilter.validate('a#')).toThrow()
+    expect(() => topicFilter.validate('a/b#')).toThrow()
+  })
+
+  test('it throws when "+" does not occupy an entire level', () => {
+    expect(() => topicFilter.validate('a+')).toThrow()
+    expect(() => topicFilter.validate('a/+b/c')).toThrow()
+    expect(() => topicFilter.validate('++')).toThrow()
+  })
+})
+
+describe('validateTopic() test', () => {
+  test('it does not throw for valid topic', () => {
+    expect(() => topicFilter.validateTopic('a/b')).not.toThrow()
+  })
+
+  test('it throws when topic is not string, empty or includes wildcards', () => {
+    expect(() => topicFilter.validateTopic(0)).toThrow()
+    expect(() => topicFilter.validateTopic('')).toThrow()
+    expect(() => topicFilter.validateTopic('a/+')).toThrow()
+    expect(() => topicFilter.validateTopic('a/#')).toThrow()
+  })
+})
+
+describe('isValid() and isValidTopic() test', () => {
+  test('isValid() returns boolean', () => {
+    expect(topicFilter.isValid('a/+')).toBe(true)
+    expect(topicFilter.isValid('a+')).toBe(false)
+  })
+
+  test('isValidTopic() returns false, when topic includes wildcards', () => {
+    expect(topicFilter.isValidTopic('a/b')).toBe(true)
+    expect(topicFilter.isValidTopic('a/+')).toBe(false)
+    expect(topicFilter.isValidTopic('a/#')).toBe(false)
+    expect(topicFilter.isValidTopic('')).toBe(false)
+  })
+})
+
+describe('matches() test', () => {
+  const cases = [
+    // [filter, topic, expected]
+    ['a/b', 'a/b', true],
+    ['a/b', 'a/c', false],
+    ['a/b', 'a', false],
+    ['a', 'a/b', false],
+    ['a/b/c', 'a/b', false],
+
+    ['+', 'a', true],
+    ['+', 'a/b', false],
+    ['+', '/a', false],
+    ['+/+', '/a', true],
+    ['a/+', 'a/b', true],
+    ['a/+', 'a', false],
+    ['a/+', 'a/b/c', false],
+    ['a/+', 'a/', true],
+    ['+/b', 'a/b', true],
+    ['a/+/c', 'a/b/c', true],
+    ['a/+/c', 'a/b/d', false],
+    ['a/+/+', 'a/b/c', true],
+
+    ['#', 'a', true],
+    ['#', 'a/b/c', true],
+    ['#', '/a', true],
+    ['a/#', 'a', true],
+    ['a/#', 'a/b', true],
+    ['a/#', 'a/b/c', true],
+    ['a/#', 'b/a', false],
+    ['a/b/#', 'a', false],
+    ['+/#', 'a/b/c', true],
+    ['a/+/#', 'a/b', true],
+
+    ['$SYS/#', '$SYS/broker', true],
+    ['#', '$SYS/broker', false],
+    ['+/broker', '$SYS/broker', false],
+    ['$SYS/+', '$SYS/broker', true],
+
+    ['a/#/b', 'a/c/b', false],
+    ['a+', 'a+', false],
+    ['a/b', 'a/+', false]
+  ]
+
+  cases.forEach(([filter, topic, expected]) => {
+    test(`"${filter}" ${expected ? 'matches' : 'does not match'} "${topic}"`, () => {
+      expect(topicFilter.matches(filter, topic)).toBe(expected)
+    })
+  })
+})
@@ -35,14 +35,99 @@ const serverMessages = new Enum([
 
 
 
+const KEEPALIVETIMER = 25000
+
+// last transaction id generated by createTransactionId()
+let lastTransactionId = 0
+
 const util: {
   KEEPALIVETIMER: number,
   TIMEOUT: number,
+  CHUNK_SIZE: number,
+  MAX_BUFFERED_AMOUNT: number,
+  FLOW_CONTROL_INTERVAL: number,
+  REASSEMBLY_TIMEOUT: number,
+  REASSEMBLY_DEADLINE: number,
+  MAX_REASSEMBLY_SIZE: number,
+  STREAM_BUFFER_SIZE: number,
+  RECONNECT: Object,
+  HEARTBEAT: Object,
+  RETRY: Object,
+  QUEUE: Object,
+  FATAL_ERROR_TYPES: Array<string>,
+  METHODS: Array<string>,
   MESSAGE_TYPES: any,
-  isJSONString: Function
+  isJSONString: Function,
+  isBinary: Function,
+  sizeOf: Function,
+  byteLength: Function,
+  sliceBody: Function,
+  encodeUTF8: Function,
+  decodeUTF8: Function,
+  createTransactionId: Function
 }= {
-  KEEPALIVETIMER: 25000,
+  KEEPALIVETIMER,
   TIMEOUT: 5000,
+  // size of each chunk of request body (characters for string, bytes for binary)
+  CHUNK_SIZE: 16384,
+  // we will wait sending next chunk while bufferedAmount of DataChannel exceeds this
+  MAX_BUFFERED_AMOUNT: 1048576,
+  FLOW_CONTROL_INTERVAL: 50,
+  // chunked message is discarded, when next chunk does not arrive within this
+  REASSEMBLY_TIMEOUT: 30000,
+  // chunked message is discarded, when it is not completed within this from the first chunk
+  REASSEMBLY_DEADLINE: 300000,
+  // total bytes of chunks being reassembled across all transactions (string is counted in UTF-8)
+  MAX_REASSEMBLY_SIZE: 16777216,
+  // maximum number of push frames buffered for ResponseStream#next()
+  STREAM_BUFFER_SIZE: 100,
+  RECONNECT: {
+    enabled: true,
+    maxRetries: 10,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    factor: 2
+  },
+  HEARTBEAT: {
+    interval: KEEPALIVETIMER,
+    staleAfter: 2,
+    deadAfter: 5,
+    autoUnregister: false
+  },
+  // retry policy of fetch()
+  RETRY: {
+    maxAttempts: 3,
+    initialDelay: 500,
+    maxDelay: 5000,
+    factor: 2,
+    // ratio of delay randomly reduced, to avoid retrying at the same time
+    jitter: 0.5,
+    // status codes to retry
+    statuses: [408, 429, 502, 503, 504],
+    // methods to retry. only idempotent ones by default
+    methods: ['GET', 'HEAD']
+  },
+  // offline queue for devices which are temporarily absent
+  QUEUE: {
+    ttl: 30000,
+    maxSize: 100
+  },
+  // error types of SkyWay, which mean signaling link is not available
+  FATAL_ERROR_TYPES: [
+    'disconnected',
+    'socket-error',
+    'server-error'
+  ],
+  // methods allowed for fetch()
+  METHODS: [
+    'GET',
+    'HEAD',
+    'POST',
+    'PUT',
+    'PATCH',
+    'DELETE',
+    'OPTIONS'
+  ],
   MESSAGE_TYPES : {
     CLIENT: clientMessages,
     SERVER: serverMessages
@@ -62,6 +147,121 @@ const util: {
     } catch(e) {
       return false
     }
+  },
+
+  /**
+  * check data is binary (ArrayBuffer, typed array or Blob) or not
+  *
+  * @params {any} data
+  */
+  isBinary: function(data: any): boolean {
+    if(typeof(ArrayBuffer) !== 'undefined' &&
+      (data instanceof ArrayBuffer || ArrayBuffer.isView(data))) return true
+    if(typeof(Blob) !== 'undefined' && data instanceof Blob) return true
+
+    return false
+  },
+
+  /**
+  * get size of body. characters for string, bytes for binary
+  *
+  * @params {string|ArrayBuffer|$ArrayBufferView|Blob} body
+  */
+  sizeOf: function(body: any): number {
+    if(typeof(body) === 'string') return body.length
+    if(typeof(Blob) !== 'undefined' && body instanceof Blob) return body.size
+    if(body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength
+
+    return 0
+  },
+
+  /**
+  * get size of body in bytes. string is counted as UTF-8 without encoding it.
+  *
+  * @params {string|ArrayBuffer|$ArrayBufferView|Blob} body
+  */
+  byteLength: function(body: any): number {
+    if(typeof(body) !== 'string') return util.sizeOf(body)
+
+    let len = 0
+    for(let i = 0; i < body.length; i++) {
+      const code = body.charCodeAt(i)
+      const next = body.charCodeAt(i + 1)
+
+      if(code < 0x80) len += 1
+      else if(code < 0x800) len += 2
+      else if(code >= 0xd800 && code < 0xdc00 && next >= 0xdc00 && next < 0xe000) {
+        // surrogate pair
+        len += 4
+        i++
+      } else len += 3 // lone surrogate is encoded as U+FFFD
+    }
+
+    return len
+  },
+
+  /**
+  * slice body into chunks. Binary body will be sliced into ArrayBuffer (or Blob for Blob)
+  *
+  * @params {string|ArrayBuffer|$ArrayBufferView|Blob} body
+  * @params {number} size - size of each chunk
+  */
+  sliceBody: function(body: any, size: number): Array<any> {
+    const len = util.sizeOf(body)
+    const chunks = []
+
+    // typed array is converted to ArrayBuffer of its own range
+    const _body = ArrayBuffer.isView(body) ?
+      body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) : body
+
+    for(let i = 0; i < len; i += size) {
+      chunks.push(typeof(_body) === 'string' ? _body.substr(i, size) : _body.slice(i, i + size))
+    }
+
+    return chunks
+  },
+
+  /**
+  * encode string to ArrayBuffer in UTF-8
+  *
+  * @params {string} str
+  */
+  encodeUTF8: function(str: string): ArrayBuffer {
+    if(typeof(TextEncoder) !== 'undefined') return new TextEncoder().encode(str).buffer
+
+    const bin = unescape(encodeURIComponent(str))
+    const arr = new Uint8Array(bin.length)
+    for(let i = 0; i < bin.length; i++) arr[i] = bin.charCodeAt(i)
+
+    return arr.buffer
+  },
+
+  /**
+  * decode UTF-8 ArrayBuffer to string
+  *
+  * @params {ArrayBuffer} buffer
+  */
+  decodeUTF8: function(buffer: ArrayBuffer): string {
+    if(typeof(TextDecoder) !== 'undefined') return new TextDecoder('utf-8').decode(new Uint8Array(buffer))
+
+    const arr = new Uint8Array(buffer)
+    let bin = ''
+    for(let i = 0; i < arr.length; i++) bin += String.fromCharCode(arr[i])
+
+    return decodeURIComponent(escape(bin))
+  },
+
+  /**
+  * create unique transaction id.
+  * It is based on current time, but monotonically increases even when
+  * called several times in the same milli second.
+  *
+  * @returns {number} transaction id
+  */
+  createTransactionId: function(): number {
+    lastTransactionId = Math.max(Date.now(), lastTransactionId + 1)
+
+    return lastTransactionId
   }
 }
 
@@ -14,3 +14,86 @@ describe('utility test', () => {
     expect(util.isJSONString(str)).toBe(false)
   })
 })
+
+describe('createTransactionId() test', () => {
+  test('it returns unique number, even when called in same milli second', () => {
+    const ids = []
+    for(let i = 0; i < 1000; i++) ids.push(util.createTransactionId())
+
+    expect(typeof(ids[0])).toBe('number')
+    expect(new Set(ids).size).toBe(1000)
+  })
+
+  test('it returns monotonically increasing number', () => {
+    const id1 = util.createTransactionId()
+    const id2 = util.createTransactionId()
+
+    expect(id2).toBeGreaterThan(id1)
+  })
+})
+
+describe('isBinary() test', () => {
+  test('it returns true for ArrayBuffer, typed array and Blob', () => {
+    expect(util.isBinary(new ArrayBuffer(1))).toBe(true)
+    expect(util.isBinary(new Uint8Array(1))).toBe(true)
+    expect(util.isBinary(new Blob(['hello']))).toBe(true)
+  })
+
+  test('it returns false for string and object', () => {
+    expect(util.isBinary('hello')).toBe(false)
+    expect(util.isBinary({str: 'hello'})).toBe(false)
+    expect(util.isBinary(null)).toBe(false)
+  })
+})
+
+describe('encodeUTF8() and decodeUTF8() test', () => {
+  test('encodeUTF8 returns ArrayBuffer in UTF-8', () => {
+    const buffer = util.encodeUTF8('aあ')
+
+    expect(buffer).toBeInstanceOf(ArrayBuffer)
+    expect(Array.from(new Uint8Array(buffer))).toEqual([0x61, 0xe3, 0x81, 0x82])
+  })
+
+  test('decodeUTF8 returns original string', () => {
+    expect(util.decodeUTF8(util.encodeUTF8('hello, こんにちは'))).toBe('hello, こんにちは')
+  })
+})
+
+describe('sizeOf() and sliceBody() test', () => {
+  test('sizeOf returns length of string, and bytes of binary', () => {
+    expect(util.sizeOf('hello')).toBe(5)
+    expect(util.sizeOf(new ArrayBuffer(3))).toBe(3)
+    expect(util.sizeOf(new Uint16Array(3))).toBe(6)
+    expect(util.sizeOf(new Blob(['hello']))).toBe(5)
+  })
+
+  test('byteLength returns UTF-8 bytes of string, and bytes of binary', () => {
+    expect(util.byteLength('hello')).toBe(5)
+    expect(util.byteLength('é')).toBe(2)
+    expect(util.byteLength('こんにちは')).toBe(15)
+    expect(util.byteLength('😀')).toBe(4)
+    expect(util.byteLength('\ud800')).toBe(3)
+    expect(util.byteLength('hello, こんにちは😀')).toBe(util.encodeUTF8('hello, こんにちは😀').byteLength)
+    expect(util.byteLength(new Uint16Array(3))).toBe(6)
+  })
+
+  test('sliceBody slices string', () => {
+    expect(util.sliceBody('hello world', 4)).toEqual(['hell', 'o wo', 'rld'])
+  })
+
+  test('sliceBody slices typed array into ArrayBuffer of its own range', () => {
+    const arr = new Uint8Array([0, 1, 2, 3, 4, 5]).subarray(1)
+    const chunks = util.sliceBody(arr, 2)
+
+    expect(chunks).toHaveLength(3)
+    expect(chunks[0]).toBeInstanceOf(ArrayBuffer)
+    expect(chunks.map(chunk => Array.from(new Uint8Array(chunk)))).toEqual([[1, 2], [3, 4], [5]])
+  })
+
+  test('sliceBody slices Blob into Blob', () => {
+    const chunks = util.sliceBody(new Blob(['hello']), 2)
+
+    expect(chunks).toHaveLength(3)
+    expect(chunks[2].size).toBe(1)
+  })
+})